@@ -4,58 +4,195 @@
 class SummonerStatsApp {
     constructor() {
         this.dataManager = new DataManager();
-        this.dashboard = null;
-        this.championPerformance = null;
-        this.matchHistory = null;
-        this.miniMap = null;
+        // Page-wide filters; the DataManager applies them and every module gets onDataChanged()
+        this.filterStore = new FilterStore();
+        this.eventBus = new EventBus();
+        // Errors and warnings listed behind the header Diagnostics button
+        this.diagnostics = new Diagnostics();
+        // One tab per module, in nav order; a registered module without a tab in the page gets one
+        this.modules = new ModuleRegistry(this.eventBus)
+            .register(Dashboard)
+            .register(ChampionPerformance)
+            .register(MatchHistory)
+            .register(MiniMap);
         this.currentTab = 'dashboard';
+        this.modulesInitialized = false;
+        this.router = null;
+        // A route waiting for matches that are still loading (e.g. #/match/<id> of an older game)
+        this.pendingRoute = null;
+        // Whether the open modal's route was pushed by the app, so closing it can go back
+        this.routeModalPushed = false;
     }
 
     async init() {
         try {
             // Show loading state
+            this.setupDiagnostics();
+            this.registerServiceWorker();
             this.showLoading();
+            this.setupCacheControls();
+            this.setupQueueSelector();
+            this.setupFilterBar();
+            this.setupEventBus();
+
+            // Report loader progress and render as soon as the newest games are in
+            this.dataManager.on('progress', progress => this.updateLoadingProgress(progress));
+            this.dataManager.on('initialDataReady', () => this.renderApp());
 
             // Load all data
             await this.dataManager.loadAllData();
 
-            // Initialize all modules
-            this.initializeModules();
+            if (this.modulesInitialized) {
+                // Older matches arrived after the first render
+                this.refreshModules();
+            } else {
+                this.renderApp();
+            }
 
-            // Setup tab switching
-            this.setupTabSwitching();
+            if (this.pendingRoute) {
+                const route = this.pendingRoute;
+                this.pendingRoute = null;
+                this.applyRoute(route);
+            }
 
-            // Hide loading and show content
-            this.showContent();
+            this.hideBackgroundLoading();
+            this.showLoadWarnings(this.dataManager.failedMatches);
+            this.reportMissingGameData(this.dataManager.getData());
+            this.setupSummonerSwitcher();
+            this.updateQueueSelector(true);
+            this.updateFilterBar(true);
 
         } catch (error) {
-            this.showError(error.message);
             console.error('Failed to initialize app:', error);
+            if (this.modulesInitialized) {
+                // The first games are already on screen; keep them and report the failure
+                this.hideBackgroundLoading();
+                this.diagnostics.addError('App', error);
+            } else {
+                this.showError(error.message);
+            }
         }
     }
 
+    renderApp() {
+        // Initialize all modules
+        this.initializeModules();
+
+        // Setup tab switching
+        this.setupTabSwitching();
+
+        // Hide loading and show content
+        this.showContent();
+        this.updateQueueSelector();
+        this.updateFilterBar();
+        this.modulesInitialized = true;
+
+        // Restore the view from the URL
+        this.setupRouter();
+    }
+
     initializeModules() {
-        // Initialize Dashboard
-        this.dashboard = new Dashboard(this.dataManager);
-        this.dashboard.init();
+        this.createModuleTabs();
+        this.modules.initAll(this.dataManager);
+
+        this.modules.getUnpublishedEvents().forEach(({ tabId, event }) => {
+            console.warn(`Module ${tabId} subscribes to ${event}, which no module publishes`);
+        });
+    }
+
+    // Modules talk to each other and to the app only through these events
+    setupEventBus() {
+        this.dataManager.on('globalFiltersChanged', () => this.modules.notifyDataChanged());
 
-        // Initialize Champion Performance
-        this.championPerformance = new ChampionPerformance(this.dataManager);
-        this.championPerformance.init();
+        this.eventBus.on('error:reported', ({ source, error }) => this.diagnostics.addError(source, error));
+        this.eventBus.on('tab:show', ({ tabId }) => this.switchToTab(tabId));
+        this.eventBus.on('matchFilters:changed', options => this.onMatchFiltersChanged(options));
+        this.eventBus.on('match:opened', ({ matchId }) => this.onMatchOpened(matchId));
+        this.eventBus.on('champion:opened', ({ championName }) => this.onChampionOpened(championName));
+    }
 
-        // Initialize Match History
-        this.matchHistory = new MatchHistory(this.dataManager);
-        this.matchHistory.init();
+    setupDiagnostics() {
+        window.addEventListener('error', (event) => {
+            this.diagnostics.addError('Uncaught error', event.error || event.message);
+        });
+        window.addEventListener('unhandledrejection', (event) => {
+            this.diagnostics.addError('Unhandled promise rejection', event.reason);
+        });
 
-        // Initialize Mini-map
-        this.miniMap = new MiniMap(this.dataManager);
-        this.miniMap.init();
+        this.diagnostics.subscribe(() => this.renderDiagnostics());
 
-        // Make modules available globally for cross-module communication
-        window.dashboard = this.dashboard;
-        window.championPerformance = this.championPerformance;
-        window.matchHistory = this.matchHistory;
-        window.miniMap = this.miniMap;
+        const clearButton = document.getElementById('diagnostics-clear-btn');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.diagnostics.clear());
+        }
+
+        this.renderDiagnostics();
+    }
+
+    renderDiagnostics() {
+        const { errors, warnings } = this.diagnostics.getCounts();
+        const countEl = document.getElementById('diagnostics-count');
+        if (countEl) {
+            countEl.textContent = errors + warnings;
+            countEl.className = `badge rounded-pill ${errors ? 'bg-danger' : warnings ? 'bg-warning text-dark' : 'bg-secondary'}`;
+        }
+
+        const body = document.getElementById('diagnostics-body');
+        if (!body) return;
+
+        const entries = this.diagnostics.getEntries();
+        if (entries.length === 0) {
+            body.innerHTML = '<p class="text-muted mb-0">No errors or warnings.</p>';
+            return;
+        }
+
+        body.innerHTML = `<ul class="list-group diagnostics-list">${entries.map(() => `
+            <li class="list-group-item">
+                <div class="d-flex justify-content-between gap-2">
+                    <strong class="diagnostics-source"></strong>
+                    <small class="text-muted diagnostics-time"></small>
+                </div>
+                <div class="small diagnostics-message"></div>
+                <pre class="small text-muted mb-0 mt-1 diagnostics-stack"></pre>
+            </li>
+        `).join('')}</ul>`;
+
+        // Messages and stacks are set as text since they can contain anything
+        body.querySelectorAll('.list-group-item').forEach((item, index) => {
+            const { source, message, level, stack, timestamp } = entries[index];
+            item.classList.add(level === 'warning' ? 'list-group-item-warning' : 'list-group-item-danger');
+            item.querySelector('.diagnostics-source').textContent = source;
+            item.querySelector('.diagnostics-time').textContent = new Date(timestamp).toLocaleTimeString();
+            item.querySelector('.diagnostics-message').textContent = message;
+
+            const stackEl = item.querySelector('.diagnostics-stack');
+            if (stack) {
+                stackEl.textContent = stack;
+            } else {
+                stackEl.remove();
+            }
+        });
+    }
+
+    createModuleTabs() {
+        const nav = document.getElementById('myTab');
+        const content = document.getElementById('myTabContent');
+        if (!nav || !content) return;
+
+        this.modules.getDefinitions().forEach(({ tabId, title, icon }) => {
+            if (document.getElementById(`${tabId}-tab`)) return;
+
+            nav.insertAdjacentHTML('beforeend', `
+                <li class="nav-item" role="presentation">
+                    <button class="nav-link" id="${tabId}-tab" data-bs-toggle="tab" data-bs-target="#${tabId}" type="button" role="tab" aria-controls="${tabId}" aria-selected="false">
+                        <i class="bi ${icon} me-2"></i>${title}
+                    </button>
+                </li>
+            `);
+            content.insertAdjacentHTML('beforeend', `
+                <div class="tab-pane fade" id="${tabId}" role="tabpanel" aria-labelledby="${tabId}-tab"></div>
+            `);
+        });
     }
 
     setupTabSwitching() {
@@ -71,46 +208,322 @@ class SummonerStatsApp {
 
     onTabSwitch(tabName) {
         this.currentTab = tabName;
-        
-        // Perform tab-specific initialization or updates
-        switch (tabName) {
-            case 'dashboard':
-                // Dashboard charts might need resize after becoming visible
-                this.resizeDashboardCharts();
-                break;
-            case 'champion-performance':
-                // Refresh champion performance data if needed
+
+        // Tabs opened by applyRoute already match the URL
+        if (this.router && this.getRouteTab(this.router.getRoute()) !== tabName) {
+            this.router.navigate(this.getTabRoute(tabName));
+        }
+
+        this.modules.show(tabName);
+    }
+
+    setupRouter() {
+        this.router = new HashRouter();
+        this.router.onChange(route => this.applyRoute(route));
+
+        // Closing a match or champion modal returns to the tab's route
+        document.addEventListener('hidden.bs.modal', (event) => {
+            if (!['match-details-modal', 'champion-detail-modal'].includes(event.target.id)) return;
+
+            const route = this.router.getRoute();
+            if (route.view !== 'match' && route.view !== 'champion') return;
+
+            if (this.routeModalPushed) {
+                this.routeModalPushed = false;
+                history.back();
+            } else {
+                // Opened from a shared link, so there is no earlier entry to go back to
+                this.router.navigate(this.getTabRoute(this.currentTab), { replace: true });
+            }
+        });
+
+        this.applyRoute(this.router.getRoute());
+    }
+
+    applyRoute(route) {
+        if (!this.modulesInitialized) return;
+
+        switch (route.view) {
+            case 'match':
+                this.switchToTab('match-history');
+                if (!this.modules.get('match-history').showMatchById(route.id)) {
+                    this.pendingRoute = route;
+                }
                 break;
-            case 'match-history':
-                // Update match list if needed
+            case 'champion':
+                this.switchToTab('champion-performance');
+                if (!this.modules.get('champion-performance').createChampionDetailModal(route.id)) {
+                    this.pendingRoute = route;
+                }
                 break;
-            case 'mini-map':
-                // Re-render mini-map if needed
-                if (this.miniMap) {
-                    this.miniMap.renderMiniMap(199);
+            case 'match-history': {
+                // Links to a queue outside the selected scope widen it so the games are listed
+                const { queue } = route.params;
+                if (queue && !QueueRegistry.isInQueueSet(parseInt(queue, 10), this.dataManager.getQueueSet())) {
+                    this.setQueueSet('all');
+                    this.updateQueueSelector();
                 }
+
+                this.hideRouteModals();
+                this.switchToTab('match-history');
+                const matchHistory = this.modules.get('match-history');
+                if (HashRouter.build({ view: route.view, params: matchHistory.getRouteParams() }) !== HashRouter.build(route)) {
+                    matchHistory.applyRouteParams(route.params);
+                }
+                break;
+            }
+            default:
+                this.hideRouteModals();
+                this.switchToTab(this.getRouteTab(route));
                 break;
         }
     }
 
-    resizeDashboardCharts() {
-        // Trigger resize for Chart.js charts
-        console.log('Resizing dashboard charts...');
-        setTimeout(() => {
-            if (this.dashboard && this.dashboard.charts) {
-                Object.values(this.dashboard.charts).forEach(chart => {
-                    if (chart && typeof chart.resize === 'function') {
-                        chart.resize();
-                    }
-                });
+    // Tab shown for a route: modal views open over their tab, any module's tab id is a view,
+    // and unknown views fall back to the dashboard
+    getRouteTab(route) {
+        const modalTabs = { match: 'match-history', champion: 'champion-performance' };
+        if (modalTabs[route.view]) return modalTabs[route.view];
+
+        const isTab = this.modules.getDefinitions().some(({ tabId }) => tabId === route.view);
+        return isTab ? route.view : 'dashboard';
+    }
+
+    getTabRoute(tabName) {
+        const matchHistory = this.modules.get('match-history');
+        if (tabName === 'match-history' && matchHistory) {
+            return { view: tabName, params: matchHistory.getRouteParams() };
+        }
+        return { view: tabName };
+    }
+
+    hideRouteModals() {
+        ['match-details-modal', 'champion-detail-modal'].forEach(id => {
+            const element = document.getElementById(id);
+            const modal = element && bootstrap.Modal.getInstance(element);
+            if (modal) modal.hide();
+        });
+        this.routeModalPushed = false;
+    }
+
+    // 'matchFilters:changed' from MatchHistory
+    onMatchFiltersChanged({ replace = false } = {}) {
+        if (!this.router || this.currentTab !== 'match-history') return;
+        this.router.navigate(this.getTabRoute('match-history'), { replace });
+    }
+
+    onMatchOpened(matchId) {
+        if (!this.router) return;
+        this.router.navigate({ view: 'match', id: matchId });
+        this.routeModalPushed = true;
+    }
+
+    onChampionOpened(championName) {
+        if (!this.router) return;
+        this.router.navigate({ view: 'champion', id: championName });
+        this.routeModalPushed = true;
+    }
+
+    setupSummonerSwitcher() {
+        const switcher = document.getElementById('summoner-switcher');
+        const summoners = this.dataManager.getSummoners();
+        if (!switcher || summoners.length < 2) return;
+
+        const active = this.dataManager.getActiveSummoner();
+        switcher.innerHTML = summoners.map(summoner => `
+            <option value="${summoner.id}" ${active && active.id === summoner.id ? 'selected' : ''}>${summoner.riotId}</option>
+        `).join('');
+        switcher.classList.remove('d-none');
+
+        switcher.addEventListener('change', (e) => this.switchSummoner(e.target.value));
+    }
+
+    async switchSummoner(summonerId) {
+        const switcher = document.getElementById('summoner-switcher');
+        if (switcher) switcher.disabled = true;
+
+        try {
+            console.log(`Switching to summoner ${summonerId}...`);
+            await this.dataManager.switchSummoner(summonerId);
+            this.updateQueueSelector(true);
+            this.refreshModules();
+        } catch (error) {
+            console.error('Failed to switch summoner:', error);
+            alert(`Failed to switch summoner: ${error.message}`);
+        } finally {
+            if (switcher) switcher.disabled = false;
+        }
+    }
+
+    setupQueueSelector() {
+        const selector = document.getElementById('queue-filter');
+        if (!selector) return;
+
+        selector.addEventListener('change', (e) => this.setQueueSet(e.target.value));
+    }
+
+    // Options show game counts for the active summoner; the selector stays
+    // disabled until every match has loaded so the scope applies to all games
+    updateQueueSelector(enable = false) {
+        const selector = document.getElementById('queue-filter');
+        if (!selector) return;
+
+        const { queueSet, queueSetCounts } = this.dataManager.getData();
+        selector.innerHTML = Object.entries(QueueRegistry.getQueueSets()).map(([key, { label }]) => {
+            const count = queueSetCounts ? queueSetCounts[key] : 0;
+            return `<option value="${key}" ${key === queueSet ? 'selected' : ''} ${count ? '' : 'disabled'}>${label} (${count})</option>`;
+        }).join('');
+
+        if (enable) selector.disabled = false;
+    }
+
+    setQueueSet(queueSetKey) {
+        try {
+            console.log(`Scoping statistics to queue set ${queueSetKey}...`);
+            this.dataManager.setQueueSet(queueSetKey);
+            this.refreshModules();
+        } catch (error) {
+            console.error('Failed to change queue set:', error);
+            alert(`Failed to change queues: ${error.message}`);
+        }
+    }
+
+    setupFilterBar() {
+        this.filterStore.subscribe(filters => this.dataManager.setGlobalFilters(filters));
+        this.filterStore.subscribe(() => this.updateFilterBar());
+
+        document.querySelectorAll('.global-filter-bar [data-filter]').forEach(input => {
+            input.addEventListener('change', (e) => this.onFilterBarChange(e.target));
+        });
+
+        const clearButton = document.getElementById('global-filter-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.filterStore.clear());
+        }
+    }
+
+    // A combination that leaves no games is rejected so every tab keeps something to show
+    onFilterBarChange(input) {
+        const filters = { ...this.filterStore.getFilters(), [input.dataset.filter]: input.value };
+        if (this.dataManager.countGlobalFilterMatches(filters) === 0) {
+            input.value = this.filterStore.getFilters()[input.dataset.filter];
+            this.setFilterBarStatus('No games match that filter combination.', true);
+            return;
+        }
+
+        this.filterStore.setFilters(filters);
+    }
+
+    // Options come from the whole queue scope so picking one value does not hide the others.
+    // Like the queue selector, the bar stays disabled until every match has loaded
+    updateFilterBar(enable = false) {
+        const { scopedPlayerMatches, patches } = this.dataManager.getData();
+        if (!scopedPlayerMatches) return;
+
+        const count = (getKey) => {
+            const counts = {};
+            scopedPlayerMatches.forEach(entry => {
+                const key = getKey(entry);
+                counts[key] = (counts[key] || 0) + 1;
+            });
+            return counts;
+        };
+
+        const queueCounts = count(({ match }) => match.info.queueId);
+        const roleCounts = count(({ playerParticipant }) => playerParticipant.teamPosition || 'UNKNOWN');
+        const championCounts = count(({ playerParticipant }) => playerParticipant.championName);
+
+        const options = {
+            queueId: Object.keys(queueCounts).sort((a, b) => a - b)
+                .map(queueId => ({ value: queueId, label: `${QueueRegistry.getQueueName(queueId)} (${queueCounts[queueId]})` })),
+            role: Object.keys(roleCounts).sort()
+                .map(role => ({ value: role, label: `${role} (${roleCounts[role]})` })),
+            champion: Object.keys(championCounts).sort()
+                .map(champion => ({ value: champion, label: `${champion} (${championCounts[champion]})` })),
+            patch: (patches || []).map(patch => ({ value: patch, label: patch }))
+        };
+        const anyLabels = { queueId: 'All Queues', role: 'All Roles', champion: 'All Champions', patch: 'All Patches' };
+
+        // Values that left the scope (queue set or summoner change) are dropped
+        const filters = this.filterStore.getFilters();
+        const stale = {};
+        Object.entries(options).forEach(([key, values]) => {
+            if (filters[key] && !values.some(option => option.value === filters[key])) stale[key] = '';
+        });
+        if (Object.keys(stale).length > 0) {
+            this.filterStore.setFilters(stale);
+            return;
+        }
+
+        document.querySelectorAll('.global-filter-bar [data-filter]').forEach(input => {
+            const key = input.dataset.filter;
+            if (options[key]) {
+                input.innerHTML = `<option value="">${anyLabels[key]}</option>` +
+                    options[key].map(option => `<option value="${option.value}">${option.label}</option>`).join('');
             }
-        }, 100);
+            input.value = filters[key];
+            if (enable) input.disabled = false;
+        });
+
+        const activeCount = FilterStore.getActiveCount(filters);
+        const clearButton = document.getElementById('global-filter-clear');
+        if (clearButton) clearButton.disabled = activeCount === 0;
+
+        const { playerMatches } = this.dataManager.getData();
+        this.setFilterBarStatus(activeCount > 0
+            ? `${activeCount} filter${activeCount === 1 ? '' : 's'} active: showing ${playerMatches.length} of ${scopedPlayerMatches.length} games on every tab`
+            : '');
+    }
+
+    setFilterBarStatus(message, isWarning = false) {
+        const status = document.getElementById('global-filter-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.toggle('text-warning', isWarning);
+        status.classList.toggle('text-muted', !isWarning);
+    }
+
+    // Caches the page itself for offline use; match and game data are cached by MatchCache.
+    // Service workers need http(s), so opening index.html from disk skips this
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    setupCacheControls() {
+        const clearCacheBtn = document.getElementById('clear-cache-btn');
+        if (!clearCacheBtn) return;
+
+        clearCacheBtn.addEventListener('click', () => this.clearCache());
     }
-    
+
+    async clearCache() {
+        if (!confirm('Clear cached match data? Everything will be downloaded again on reload.')) return;
+
+        try {
+            await this.dataManager.clearCache();
+            location.reload();
+        } catch (error) {
+            console.error('Failed to clear cache:', error);
+            alert(`Failed to clear cache: ${error.message}`);
+        }
+    }
+
+    refreshModules() {
+        console.log('Refreshing modules with updated data...');
+        this.modules.notifyDataChanged();
+        this.updateFilterBar();
+    }
+
     refreshDashboard() {
-        if (this.dashboard) {
+        const dashboard = this.modules.get('dashboard');
+        if (dashboard) {
             console.log('Refreshing dashboard via app...');
-            this.dashboard.refresh();
+            dashboard.refresh();
         }
     }
 
@@ -118,10 +531,115 @@ class SummonerStatsApp {
         const loadingEl = document.getElementById('loading');
         const contentEl = document.getElementById('content');
         
-        if (loadingEl) loadingEl.classList.remove('d-none');
+        if (loadingEl) {
+            loadingEl.classList.remove('d-none');
+
+            if (!document.getElementById('loading-progress-bar')) {
+                loadingEl.insertAdjacentHTML('beforeend', `
+                    <div class="progress loading-progress mx-auto">
+                        <div id="loading-progress-bar" class="progress-bar" role="progressbar" style="width: 0%"
+                             aria-valuenow="0" aria-valuemin="0" aria-valuemax="100"></div>
+                    </div>
+                    <small id="loading-progress-text" class="text-muted d-block mt-2"></small>
+                `);
+            }
+        }
         if (contentEl) contentEl.classList.add('d-none');
     }
 
+    updateLoadingProgress({ loaded, failed, total }) {
+        const percent = total > 0 ? Math.round((loaded + failed) / total * 100) : 0;
+        const text = `${loaded} / ${total} matches loaded${failed > 0 ? ` (${failed} skipped)` : ''}`;
+
+        // Initial loading screen
+        const progressBar = document.getElementById('loading-progress-bar');
+        const progressText = document.getElementById('loading-progress-text');
+        if (progressBar) {
+            progressBar.style.width = `${percent}%`;
+            progressBar.setAttribute('aria-valuenow', percent);
+        }
+        if (progressText) progressText.textContent = text;
+
+        // Compact indicator once the dashboard is already visible
+        if (this.modulesInitialized && percent < 100) {
+            let backgroundEl = document.getElementById('background-loading');
+            if (!backgroundEl) {
+                const contentEl = document.getElementById('content');
+                if (!contentEl) return;
+
+                backgroundEl = document.createElement('div');
+                backgroundEl.id = 'background-loading';
+                backgroundEl.className = 'background-loading mb-3';
+                backgroundEl.innerHTML = `
+                    <small class="text-muted">
+                        <i class="bi bi-cloud-download me-1"></i>Loading older matches...
+                        <span id="background-loading-text"></span>
+                    </small>
+                    <div class="progress mt-1">
+                        <div id="background-loading-bar" class="progress-bar" role="progressbar" style="width: 0%"></div>
+                    </div>
+                `;
+                contentEl.prepend(backgroundEl);
+            }
+
+            document.getElementById('background-loading-bar').style.width = `${percent}%`;
+            document.getElementById('background-loading-text').textContent = text;
+        }
+    }
+
+    hideBackgroundLoading() {
+        const backgroundEl = document.getElementById('background-loading');
+        if (backgroundEl) backgroundEl.remove();
+    }
+
+    showLoadWarnings(failedMatches) {
+        const existing = document.getElementById('load-warnings');
+        if (existing) existing.remove();
+
+        if (!failedMatches || failedMatches.length === 0) return;
+
+        failedMatches.forEach(({ file, reason }) => {
+            this.diagnostics.add({ source: 'Match loader', message: `${file}: ${reason}`, level: 'warning' });
+        });
+
+        const contentEl = document.getElementById('content');
+        if (!contentEl) return;
+
+        const warningEl = document.createElement('div');
+        warningEl.id = 'load-warnings';
+        warningEl.className = 'alert alert-warning alert-dismissible fade show';
+        warningEl.innerHTML = `
+            <strong><i class="bi bi-exclamation-triangle me-1"></i>${failedMatches.length} match file(s) could not be loaded and were skipped.</strong>
+            <ul class="mb-0 mt-2 small"></ul>
+            <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+        `;
+
+        // File names and error messages are set as text since they can contain anything
+        const listEl = warningEl.querySelector('ul');
+        failedMatches.forEach(({ file, reason }) => {
+            const item = document.createElement('li');
+            const fileEl = document.createElement('code');
+            fileEl.textContent = file;
+            item.append(fileEl, `: ${reason}`);
+            listEl.appendChild(item);
+        });
+
+        contentEl.prepend(warningEl);
+    }
+
+    // Without the rune and spell files the modal and champion tables fall back to ids
+    reportMissingGameData({ runesReforged, summonerSpells }) {
+        const missing = [];
+        if (!runesReforged || runesReforged.length === 0) missing.push('runesReforged.json');
+        if (!summonerSpells) missing.push('summoner.json');
+        if (missing.length === 0) return;
+
+        this.diagnostics.add({
+            source: 'Game data',
+            message: `game-data/${missing.join(' and ')} could not be loaded: runes and summoner spells are shown as ids. Run node scripts/fetch-game-data.js to generate them.`
+        });
+    }
+
     showContent() {
         const loadingEl = document.getElementById('loading');
         const contentEl = document.getElementById('content');
@@ -164,43 +682,19 @@ class SummonerStatsApp {
 
     // Analytics aggregation methods
     getOverallStatistics() {
-        const data = this.dataManager.getData();
-        const { playerMatches } = data;
-
-        const wins = playerMatches.filter(m => m.playerParticipant.win).length;
-        const winRate = this.dataManager.calculateWinRate(wins, playerMatches.length);
-
-        // Calculate average performance
-        const avgKills = playerMatches.reduce((sum, m) => sum + m.playerParticipant.kills, 0) / playerMatches.length;
-        const avgDeaths = playerMatches.reduce((sum, m) => sum + m.playerParticipant.deaths, 0) / playerMatches.length;
-        const avgAssists = playerMatches.reduce((sum, m) => sum + m.playerParticipant.assists, 0) / playerMatches.length;
-        const avgKDA = this.dataManager.calculateKDA(avgKills, avgDeaths, avgAssists);
-
-        // Calculate average gold per minute
-        const avgGPM = playerMatches.reduce((sum, m) => {
-            return sum + this.dataManager.calculateGoldPerMinute(m.playerParticipant.goldEarned, m.match.info.gameDuration);
-        }, 0) / playerMatches.length;
-
-        return {
-            totalGames: playerMatches.length,
-            wins,
-            losses: playerMatches.length - wins,
-            winRate: parseFloat(winRate),
-            avgKills: avgKills.toFixed(1),
-            avgDeaths: avgDeaths.toFixed(1),
-            avgAssists: avgAssists.toFixed(1),
-            avgKDA: avgKDA === Infinity ? 'Perfect' : avgKDA.toFixed(2),
-            avgGPM: avgGPM.toFixed(0)
-        };
+        return Analytics.getOverallStatistics(this.dataManager.getData().playerMatches);
     }
 
     exportStatistics() {
         const stats = this.getOverallStatistics();
-        const championStats = this.championPerformance ? this.championPerformance.getChampionStats() : [];
-        const roleDistribution = this.miniMap ? this.miniMap.getRoleDistribution() : {};
+        const championPerformance = this.modules.get('champion-performance');
+        const miniMap = this.modules.get('mini-map');
+        const championStats = championPerformance ? championPerformance.getChampionStats() : [];
+        const roleDistribution = miniMap ? miniMap.getRoleDistribution() : {};
         
         const exportData = {
             player: this.dataManager.getData().mainPlayerName,
+            queues: QueueRegistry.getQueueSets()[this.dataManager.getData().queueSet].label,
             generated: new Date().toISOString(),
             overall: stats,
             champions: championStats,
@@ -221,17 +715,8 @@ class SummonerStatsApp {
     }
 
     destroy() {
-        // Clean up all modules
-        if (this.dashboard) this.dashboard.destroy();
-        if (this.championPerformance) this.championPerformance.destroy();
-        if (this.matchHistory) this.matchHistory.destroy();
-        if (this.miniMap) this.miniMap.destroy();
-
-        // Clean up global references
-        delete window.dashboard;
-        delete window.championPerformance;
-        delete window.matchHistory;
-        delete window.miniMap;
+        // Clean up all modules and their event subscriptions
+        this.modules.destroyAll();
     }
 }
 
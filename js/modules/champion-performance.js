@@ -2,16 +2,30 @@
  * Champion Performance Module - Sortable table with champion statistics
  */
 class ChampionPerformance {
-    constructor(dataManager) {
+    constructor(dataManager, eventBus = new EventBus()) {
         this.dataManager = dataManager;
+        this.eventBus = eventBus;
         this.championStats = [];
         this.currentSort = { key: 'games', order: 'desc' };
+        // Empty patch means every patch; since=true keeps the patch and everything newer
+        this.patchFilter = { patch: '', since: false };
+    }
+
+    static getModuleDefinition() {
+        return {
+            tabId: 'champion-performance',
+            title: 'Champion Performance',
+            icon: 'bi-trophy',
+            publishes: ['matches:show', 'champion:opened'],
+            subscribes: {}
+        };
     }
 
     init() {
         const data = this.dataManager.getData();
         this.calculateChampionStats(data);
         this.setupSortHandlers();
+        this.renderPatchControls();
         this.renderTable();
         this.populateFilters();
         this.renderEnhancements();
@@ -26,6 +40,8 @@ class ChampionPerformance {
         const trendAnalysis = this.renderChampionTrendAnalysis();
         const comparisonTool = this.createChampionComparison();
         const masteryProgression = this.renderMasteryProgression();
+        const banAnalysis = this.renderBanAnalysis();
+        const itemAnalysis = this.renderItemAnalysis();
         const advancedFilters = this.createAdvancedFilters();
         const exportTools = this.createExportTools();
         const tableCard = championPerformanceTab.querySelector('.card');
@@ -34,6 +50,8 @@ class ChampionPerformance {
             tableCard.parentNode.insertBefore(trendAnalysis, tableCard);
             tableCard.parentNode.insertBefore(comparisonTool, tableCard);
             tableCard.parentNode.insertBefore(masteryProgression, tableCard);
+            tableCard.parentNode.insertBefore(banAnalysis, tableCard);
+            tableCard.parentNode.insertBefore(itemAnalysis, tableCard);
             tableCard.parentNode.insertBefore(advancedFilters, tableCard);
             
             // Insert export tools right before the table
@@ -43,111 +61,89 @@ class ChampionPerformance {
         }
     }
 
-    calculateChampionStats(data) {
-        const { playerMatches, championData, masteryMap } = data;
-        const championStats = {};
-        const championIdMap = new Map(Object.values(championData.data).map(c => [c.key, c]));
-
-        playerMatches.forEach(({ match, playerParticipant }) => {
-            const champId = playerParticipant.championId;
-            if (!championStats[champId]) {
-                const champInfo = championIdMap.get(String(champId));
-                championStats[champId] = { 
-                    id: champId,
-                    name: playerParticipant.championName, 
-                    image: champInfo ? champInfo.image.full : '',
-                    games: 0, 
-                    wins: 0, 
-                    kills: 0, 
-                    deaths: 0, 
-                    assists: 0,
-                    // Advanced metrics
-                    firstBlood: 0,
-                    firstTower: 0,
-                    soloKills: 0,
-                    multikills: 0,
-                    visionScore: 0,
-                    csPerMinute: 0,
-                    goldPerMinute: 0,
-                    damagePerGold: 0,
-                    killParticipation: 0,
-                    earlyGamePerformance: 0,
-                    lateGamePerformance: 0,
-                    totalDamage: 0,
-                    totalGold: 0,
-                    totalCS: 0,
-                    gamesByPatch: new Map(),
-                    performanceByRole: new Map(),
-                    itemBuilds: new Map(),
-                    runeSets: new Map()
-                };
-            }
-            
-            const stats = championStats[champId];
-            stats.games++;
-            if (playerParticipant.win) stats.wins++;
-            stats.kills += playerParticipant.kills;
-            stats.deaths += playerParticipant.deaths;
-            stats.assists += playerParticipant.assists;
-
-            // Advanced metrics calculation
-            if (playerParticipant.firstBloodKill) stats.firstBlood++;
-            if (playerParticipant.firstTowerKill) stats.firstTower++;
-            
-            stats.visionScore += playerParticipant.visionScore || 0;
-            stats.totalDamage += playerParticipant.totalDamageDealtToChampions || 0;
-            stats.totalGold += playerParticipant.goldEarned || 0;
-            
-            // Calculate CS per minute
-            const totalCS = (playerParticipant.totalMinionsKilled || 0) + (playerParticipant.neutralMinionsKilled || 0);
-            const gameMinutes = match.info.gameDuration / 60;
-            stats.totalCS += totalCS;
-            stats.csPerMinute += gameMinutes > 0 ? totalCS / gameMinutes : 0;
-            
-            // Gold per minute
-            stats.goldPerMinute += gameMinutes > 0 ? (playerParticipant.goldEarned || 0) / gameMinutes : 0;
-            
-            // Damage efficiency
-            if (playerParticipant.goldEarned > 0) {
-                stats.damagePerGold += (playerParticipant.totalDamageDealtToChampions || 0) / playerParticipant.goldEarned;
-            }
-            
-            // Kill participation
-            const teamKills = this.calculateTeamKills(match, playerParticipant.teamId);
-            if (teamKills > 0) {
-                stats.killParticipation += ((playerParticipant.kills + playerParticipant.assists) / teamKills) * 100;
-            }
-            
-            // Early/Late game performance
-            stats.earlyGamePerformance += this.calculateEarlyGameScore(playerParticipant);
-            stats.lateGamePerformance += this.calculateLateGameScore(playerParticipant);
-            
-            // Track item builds and rune sets
-            this.trackItemBuilds(stats, playerParticipant);
-            this.trackRuneSets(stats, playerParticipant);
+    // Player matches narrowed by the patch controls above the table
+    getPlayerMatches() {
+        const { playerMatches } = this.dataManager.getData();
+        const { patch, since } = this.patchFilter;
+        if (!patch) return playerMatches;
+
+        return playerMatches.filter(({ match }) => {
+            const comparison = this.dataManager.comparePatches(this.dataManager.getPatch(match), patch);
+            return since ? comparison >= 0 : comparison === 0;
         });
+    }
 
-        // Normalize advanced stats (convert totals to averages)
-        Object.values(championStats).forEach(champ => {
-            if (champ.games > 0) {
-                champ.avgVisionScore = (champ.visionScore / champ.games).toFixed(1);
-                champ.avgCSPerMin = (champ.csPerMinute / champ.games).toFixed(1);
-                champ.avgGoldPerMin = (champ.goldPerMinute / champ.games).toFixed(0);
-                champ.avgDamagePerGold = (champ.damagePerGold / champ.games).toFixed(2);
-                champ.avgKillParticipation = (champ.killParticipation / champ.games).toFixed(1);
-                champ.avgEarlyGame = (champ.earlyGamePerformance / champ.games).toFixed(2);
-                champ.avgLateGame = (champ.lateGamePerformance / champ.games).toFixed(2);
-            }
+    renderPatchControls() {
+        const tableContainer = document.querySelector('#champion-performance .table-responsive');
+        if (!tableContainer) return;
+
+        let controls = document.getElementById('champion-patch-controls');
+        if (!controls) {
+            controls = document.createElement('div');
+            controls.id = 'champion-patch-controls';
+            controls.className = 'champion-patch-controls d-flex align-items-center gap-3 mb-3';
+            controls.innerHTML = `
+                <label for="champion-patch-filter" class="mb-0 small text-muted">
+                    <i class="bi bi-bandaid me-1"></i>Patch
+                </label>
+                <select id="champion-patch-filter" class="form-select form-select-sm w-auto"></select>
+                <div class="form-check form-switch mb-0">
+                    <input class="form-check-input" type="checkbox" id="champion-patch-since">
+                    <label class="form-check-label small" for="champion-patch-since">Since this patch</label>
+                </div>
+                <small id="champion-patch-status" class="text-muted"></small>
+            `;
+            tableContainer.parentNode.insertBefore(controls, tableContainer);
+
+            controls.querySelector('#champion-patch-filter').addEventListener('change', (e) => {
+                this.patchFilter.patch = e.target.value;
+                this.refresh();
+            });
+            controls.querySelector('#champion-patch-since').addEventListener('change', (e) => {
+                this.patchFilter.since = e.target.checked;
+                this.refresh();
+            });
+        }
+
+        const { patches } = this.dataManager.getData();
+        if (this.patchFilter.patch && !patches.includes(this.patchFilter.patch)) {
+            this.patchFilter.patch = '';
+        }
+
+        const select = controls.querySelector('#champion-patch-filter');
+        select.innerHTML = '<option value="">All Patches</option>' +
+            patches.map(patch => `<option value="${patch}" ${patch === this.patchFilter.patch ? 'selected' : ''}>${patch}</option>`).join('');
+
+        const sinceToggle = controls.querySelector('#champion-patch-since');
+        sinceToggle.checked = this.patchFilter.since;
+        sinceToggle.disabled = !this.patchFilter.patch;
+
+        const games = this.getPlayerMatches().length;
+        controls.querySelector('#champion-patch-status').textContent = this.patchFilter.patch
+            ? `${games} games on ${this.patchFilter.since ? `${this.patchFilter.patch} and later` : this.patchFilter.patch}`
+            : '';
+    }
+
+    // Shared analytics plus item builds, rune sets and spells, which need the item and rune data
+    calculateChampionStats(data) {
+        const playerMatches = this.getPlayerMatches();
+        const championStats = Analytics.calculateChampionStats(playerMatches, data);
+        const statsById = new Map(championStats.map(champ => [champ.id, champ]));
+
+        championStats.forEach(champ => {
+            champ.itemBuilds = new Map();
+            champ.runeSets = new Map();
+            champ.summonerSpells = new Map();
         });
 
-        // Add mastery information
-        Object.values(championStats).forEach(champ => {
-            const mastery = masteryMap.get(champ.id);
-            champ.masteryLevel = mastery ? mastery.level : 0;
-            champ.masteryPoints = mastery ? mastery.points : 0;
+        playerMatches.forEach(({ playerParticipant }) => {
+            const stats = statsById.get(playerParticipant.championId);
+            this.trackItemBuilds(stats, playerParticipant);
+            this.trackRuneSets(stats, playerParticipant);
+            this.trackSummonerSpells(stats, playerParticipant);
         });
 
-        this.championStats = Object.values(championStats);
+        this.championStats = championStats;
     }
 
     setupSortHandlers() {
@@ -239,6 +235,8 @@ class ChampionPerformance {
                 valA = a.masteryPoints;
                 valB = b.masteryPoints;
                 break;
+            case 'lastPatch':
+                return this.dataManager.comparePatches(a.lastPatch, b.lastPatch);
             default:
                 valA = a[sortKey];
                 valB = b[sortKey];
@@ -349,6 +347,7 @@ class ChampionPerformance {
                 <td>${champ.games}</td>
                 <td>${champWinRate}%</td>
                 <td>${kdaDisplay}</td>
+                <td title="${this.formatPatchBreakdown(champ)}">${champ.lastPatch}</td>
                 <td>${champ.masteryLevel || 'N/A'}</td>
                 <td>${champ.masteryPoints ? champ.masteryPoints.toLocaleString() : 'N/A'}</td>
             `;
@@ -360,12 +359,21 @@ class ChampionPerformance {
             
             row.addEventListener('dblclick', () => {
                 this.createChampionDetailModal(champ.name);
+                this.eventBus.emit('champion:opened', { championName: champ.name });
             });
             
             championStatsTable.appendChild(row);
         });
     }
 
+    // Tooltip text, newest patch first: "15.14: 3 games, 67% WR"
+    formatPatchBreakdown(champ) {
+        return [...champ.gamesByPatch.entries()]
+            .sort(([a], [b]) => this.dataManager.comparePatches(b, a))
+            .map(([patch, stats]) => `${patch}: ${stats.games} game${stats.games === 1 ? '' : 's'}, ${this.dataManager.calculateWinRate(stats.wins, stats.games)}% WR`)
+            .join('\n');
+    }
+
     populateFilters() {
         const championFilter = document.getElementById('champion-filter');
         if (championFilter) {
@@ -382,16 +390,8 @@ class ChampionPerformance {
     }
 
     onChampionClick(championName) {
-        // Trigger filter in match history module
-        if (window.matchHistory && typeof window.matchHistory.applyFilters === 'function') {
-            window.matchHistory.applyFilters({ champion: championName });
-            
-            // Switch to match history tab
-            const matchHistoryTab = document.getElementById('match-history-tab');
-            if (matchHistoryTab) {
-                matchHistoryTab.click();
-            }
-        }
+        // Match History filters to the champion and switches to its tab
+        this.eventBus.emit('matches:show', { filters: { champion: championName } });
     }
 
     getChampionStats() {
@@ -432,28 +432,10 @@ class ChampionPerformance {
             .slice(0, limit);
     }
 
-    calculateTeamKills(match, teamId) {
-        return match.info.participants
-            .filter(p => p.teamId === teamId)
-            .reduce((total, p) => total + p.kills, 0);
-    }
-
-    calculateEarlyGameScore(participant) {
-        // Score based on early game impact (0-15 minutes)
-        return (participant.kills * 2 + participant.assists + 
-               (participant.firstBloodKill ? 5 : 0)) / Math.max(participant.deaths, 1);
-    }
-
-    calculateLateGameScore(participant) {
-        // Score based on late game performance
-        const damageRatio = (participant.totalDamageDealtToChampions || 0) / Math.max(participant.goldEarned, 1);
-        return damageRatio * 1000; // Scale for readability
-    }
-
+    // Completed legendaries only, so components and starters do not split identical builds
     trackItemBuilds(stats, participant) {
-        const items = [participant.item0, participant.item1, participant.item2, 
-                      participant.item3, participant.item4, participant.item5]
-            .filter(id => id !== 0)
+        const { itemData } = this.dataManager.getData();
+        const items = ItemUtils.getLegendaryOrder(participant, itemData).items
             .sort((a, b) => a - b)
             .join(',');
         
@@ -465,20 +447,35 @@ class ChampionPerformance {
         }
     }
 
+    // Keyed by keystone and secondary tree (games without runes, e.g. Arena, are skipped)
     trackRuneSets(stats, participant) {
-        // Track primary rune tree if available
-        if (participant.perks && participant.perks.styles && participant.perks.styles.length > 0) {
-            const primaryStyle = participant.perks.styles[0].style;
-            const current = stats.runeSets.get(primaryStyle) || { count: 0, wins: 0 };
-            current.count++;
-            if (participant.win) current.wins++;
-            stats.runeSets.set(primaryStyle, current);
-        }
+        const styles = participant.perks && participant.perks.styles;
+        if (!styles || styles.length < 2 || !styles[0].style) return;
+
+        const keystone = styles[0].selections[0].perk;
+        const key = `${keystone}-${styles[1].style}`;
+        const current = stats.runeSets.get(key) || {
+            keystone, primaryStyle: styles[0].style, subStyle: styles[1].style, count: 0, wins: 0
+        };
+        current.count++;
+        if (participant.win) current.wins++;
+        stats.runeSets.set(key, current);
+    }
+
+    trackSummonerSpells(stats, participant) {
+        const spellIds = RuneUtils.getSummonerSpellIds(participant);
+        if (spellIds.length === 0) return;
+
+        const key = spellIds.join('-');
+        const current = stats.summonerSpells.get(key) || { spellIds, count: 0, wins: 0 };
+        current.count++;
+        if (participant.win) current.wins++;
+        stats.summonerSpells.set(key, current);
     }
 
     calculateChampionTrends() {
         const recentGames = 20;
-        const { playerMatches } = this.dataManager.getData();
+        const playerMatches = this.getPlayerMatches();
         const championTrends = {};
         
         // Ensure championStats is populated
@@ -633,7 +630,7 @@ class ChampionPerformance {
     }
 
     renderFallbackTrendAnalysis() {
-        const { playerMatches } = this.dataManager.getData();
+        const playerMatches = this.getPlayerMatches();
         const championStats = {};
         
         // Calculate basic stats from matches
@@ -723,9 +720,10 @@ class ChampionPerformance {
         return container;
     }
 
+    // Returns false when the champion has no games in the current data
     createChampionDetailModal(championName) {
         const champion = this.championStats.find(c => c.name === championName);
-        if (!champion) return;
+        if (!champion) return false;
 
         const advancedStats = this.getAdvancedChampionStats(championName);
         
@@ -763,6 +761,8 @@ class ChampionPerformance {
         modal.addEventListener('hidden.bs.modal', () => {
             modal.remove();
         });
+
+        return true;
     }
 
     getChampionIcon(champion) {
@@ -777,7 +777,7 @@ class ChampionPerformance {
     }
 
     getAdvancedChampionStats(championName) {
-        const { playerMatches } = this.dataManager.getData();
+        const playerMatches = this.getPlayerMatches();
         const championMatches = playerMatches.filter(m => m.playerParticipant.championName === championName);
         
         // Calculate additional statistics
@@ -941,6 +941,397 @@ class ChampionPerformance {
                     </div>
                 </div>
             </div>
+
+            ${this.renderLaneMatchups(champion)}
+
+            ${this.renderRuneSpellStats(champion)}
+        `;
+    }
+
+    renderRuneSpellStats(champion) {
+        const { runesReforged, summonerSpells } = this.dataManager.getData();
+        const byGames = (a, b) => b.count - a.count || b.wins / b.count - a.wins / a.count;
+        const runeSets = [...champion.runeSets.values()].sort(byGames);
+        const spellPairs = [...champion.summonerSpells.values()].sort(byGames);
+
+        const renderIcon = (perk, className) => perk.iconUrl
+            ? `<img src="${perk.iconUrl}" class="${className} me-1" alt="${perk.name}" title="${perk.name}">`
+            : '';
+        const renderWinRate = entry => {
+            const winRate = (entry.wins / entry.count) * 100;
+            return `<td class="${winRate >= 50 ? 'text-success' : 'text-danger'}">${winRate.toFixed(0)}%</td>`;
+        };
+
+        return `
+            <div class="rune-spell-stats mt-4">
+                <h6>Runes &amp; Summoner Spells</h6>
+                <div class="row">
+                    <div class="col-md-7">
+                        ${runeSets.length ? `
+                            <table class="table table-sm table-hover rune-stats-table">
+                                <thead><tr><th>Keystone</th><th>Secondary</th><th>Games</th><th>Win Rate</th></tr></thead>
+                                <tbody>
+                                    ${runeSets.map(runeSet => {
+                                        const keystone = RuneUtils.describePerk(runeSet.keystone, runesReforged);
+                                        const subStyle = RuneUtils.describePerk(runeSet.subStyle, runesReforged);
+                                        return `
+                                            <tr>
+                                                <td>${renderIcon(keystone, 'rune-icon')}${keystone.name}</td>
+                                                <td>${renderIcon(subStyle, 'rune-style-icon')}${subStyle.name}</td>
+                                                <td>${runeSet.count}</td>
+                                                ${renderWinRate(runeSet)}
+                                            </tr>
+                                        `;
+                                    }).join('')}
+                                </tbody>
+                            </table>
+                        ` : '<p class="text-muted small">No rune pages recorded for this champion.</p>'}
+                    </div>
+                    <div class="col-md-5">
+                        ${spellPairs.length ? `
+                            <table class="table table-sm table-hover rune-stats-table">
+                                <thead><tr><th>Spells</th><th>Games</th><th>Win Rate</th></tr></thead>
+                                <tbody>
+                                    ${spellPairs.map(pair => {
+                                        const spells = pair.spellIds.map(spellId => RuneUtils.describeSummonerSpell(spellId, summonerSpells));
+                                        return `
+                                            <tr>
+                                                <td>${spells.map(spell => `${renderIcon(spell, 'summoner-spell-icon')}${spell.iconUrl ? '' : spell.name}`).join(' ')}</td>
+                                                <td>${pair.count}</td>
+                                                ${renderWinRate(pair)}
+                                            </tr>
+                                        `;
+                                    }).join('')}
+                                </tbody>
+                            </table>
+                        ` : '<p class="text-muted small">No summoner spells recorded for this champion.</p>'}
+                    </div>
+                </div>
+                ${runesReforged.length === 0 || !summonerSpells ? '<small class="text-muted">Add game-data/runesReforged.json and summoner.json (node scripts/fetch-game-data.js) for names and icons.</small>' : ''}
+            </div>
+        `;
+    }
+
+    getLaneMatchups(championName) {
+        const championMatches = this.getPlayerMatches().filter(m => m.playerParticipant.championName === championName);
+        return this.dataManager.calculateLaneMatchups(championMatches);
+    }
+
+    // Best/worst need at least two games against the opponent when there are enough of those
+    getMatchupExtremes(matchups, count = 3) {
+        const repeated = matchups.filter(m => m.games >= 2);
+        const pool = repeated.length >= count ? repeated : matchups;
+        const byWinRate = [...pool].sort((a, b) => b.winRate - a.winRate || b.avgGoldDiff - a.avgGoldDiff);
+
+        return {
+            best: byWinRate.slice(0, count).filter(m => m.winRate >= 50),
+            worst: byWinRate.reverse().slice(0, count).filter(m => m.winRate < 50)
+        };
+    }
+
+    renderLaneMatchups(champion) {
+        const matchups = this.getLaneMatchups(champion.name);
+        if (matchups.length === 0) {
+            return `
+                <div class="lane-matchups mt-4">
+                    <h6>Lane Matchups</h6>
+                    <p class="text-muted mb-0">No lane opponents found (games without an assigned position are skipped).</p>
+                </div>
+            `;
+        }
+
+        const { championData } = this.dataManager.getData();
+        const { best, worst } = this.getMatchupExtremes(matchups);
+        const formatDiff = value => {
+            const rounded = Math.round(value);
+            const cls = rounded > 0 ? 'text-success' : rounded < 0 ? 'text-danger' : 'text-muted';
+            return `<span class="${cls}">${rounded > 0 ? '+' : ''}${rounded.toLocaleString()}</span>`;
+        };
+        const renderChip = matchup => `
+            <span class="matchup-chip me-2 mb-2">
+                <img src="${this.dataManager.getChampionIconUrl(matchup.championName, championData.version)}" class="matchup-icon me-1" alt="${matchup.championName}">
+                ${matchup.championName}
+                <small class="text-muted ms-1">${matchup.wins}-${matchup.games - matchup.wins}</small>
+            </span>
+        `;
+
+        return `
+            <div class="lane-matchups mt-4">
+                <h6>Lane Matchups</h6>
+                <div class="row mb-3">
+                    <div class="col-md-6">
+                        <div class="small text-success fw-bold mb-1"><i class="bi bi-hand-thumbs-up me-1"></i>Best Matchups</div>
+                        <div class="d-flex flex-wrap">${best.length ? best.map(renderChip).join('') : '<span class="text-muted small">None yet</span>'}</div>
+                    </div>
+                    <div class="col-md-6">
+                        <div class="small text-danger fw-bold mb-1"><i class="bi bi-hand-thumbs-down me-1"></i>Worst Matchups</div>
+                        <div class="d-flex flex-wrap">${worst.length ? worst.map(renderChip).join('') : '<span class="text-muted small">None yet</span>'}</div>
+                    </div>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm table-hover lane-matchup-table">
+                        <thead>
+                            <tr>
+                                <th>Opponent</th>
+                                <th>Record</th>
+                                <th>Win Rate</th>
+                                <th>KDA</th>
+                                <th>CS Diff</th>
+                                <th>Gold Diff</th>
+                                <th>Kill Participation</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${matchups.map(matchup => `
+                                <tr>
+                                    <td>
+                                        <img src="${this.dataManager.getChampionIconUrl(matchup.championName, championData.version)}" class="matchup-icon me-1" alt="${matchup.championName}">
+                                        ${matchup.championName}
+                                    </td>
+                                    <td>${matchup.wins}W ${matchup.games - matchup.wins}L</td>
+                                    <td class="${matchup.winRate >= 50 ? 'text-success' : 'text-danger'}">${matchup.winRate.toFixed(0)}%</td>
+                                    <td>${matchup.kda === Infinity ? 'Perfect' : matchup.kda.toFixed(2)}</td>
+                                    <td>${formatDiff(matchup.avgCsDiff)}</td>
+                                    <td>${formatDiff(matchup.avgGoldDiff)}</td>
+                                    <td>${matchup.avgKillParticipation.toFixed(0)}%</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <small class="text-muted">CS and gold differences are end-of-game totals against the enemy in the same position.</small>
+            </div>
+        `;
+    }
+
+    // Opponents that beat the player most often in lane, across every champion played
+    getSuggestedBans(banStats, count = 5) {
+        const teamBanCounts = new Map(banStats.teamBans.map(ban => [ban.championName, ban.count]));
+
+        return this.dataManager.calculateLaneMatchups(this.getPlayerMatches())
+            .map(matchup => ({ ...matchup, losses: matchup.games - matchup.wins }))
+            .filter(matchup => matchup.losses >= 2 && matchup.winRate < 50)
+            .sort((a, b) => b.losses - a.losses || a.winRate - b.winRate)
+            .slice(0, count)
+            .map(matchup => ({ ...matchup, alreadyBanned: teamBanCounts.get(matchup.championName) || 0 }));
+    }
+
+    renderBanAnalysis() {
+        const container = document.createElement('div');
+        container.className = 'champion-bans-panel mb-4';
+
+        const banStats = this.dataManager.calculateBanStats(this.getPlayerMatches());
+        if (banStats.gamesWithBans === 0) {
+            container.innerHTML = `
+                <div class="card stat-card">
+                    <div class="card-body">
+                        <h5 class="card-title">Ban Analysis</h5>
+                        <p class="text-muted mb-0"><i class="bi bi-info-circle me-2"></i>No games with a ban phase in the current scope.</p>
+                    </div>
+                </div>
+            `;
+            return container;
+        }
+
+        const { championData } = this.dataManager.getData();
+        const iconUrl = championName => this.dataManager.getChampionIconUrl(championName, championData.version);
+        const renderBanList = (bans, emptyText) => bans.length ? bans.slice(0, 8).map(ban => `
+            <div class="ban-list-item d-flex justify-content-between align-items-center">
+                <span>
+                    <img src="${iconUrl(ban.championName)}" class="matchup-icon me-2" alt="${ban.championName}">${ban.championName}
+                </span>
+                <span class="text-muted small">${ban.count} (${((ban.count / banStats.gamesWithBans) * 100).toFixed(0)}%)</span>
+            </div>
+        `).join('') : `<p class="text-muted small mb-0">${emptyText}</p>`;
+
+        // Enough games on both sides of the split to be worth comparing
+        const impact = banStats.banImpact
+            .filter(entry => entry.games >= 3 && entry.availableGames >= 3)
+            .slice(0, 10);
+        const suggestedBans = this.getSuggestedBans(banStats);
+
+        container.innerHTML = `
+            <div class="card stat-card">
+                <div class="card-body">
+                    <h5 class="card-title">Ban Analysis</h5>
+                    <p class="text-muted small">${banStats.gamesWithBans} games with a ban phase</p>
+                    <div class="row">
+                        <div class="col-md-4 mb-3">
+                            <h6><i class="bi bi-shield-fill-x text-primary me-2"></i>Your Team Bans</h6>
+                            ${renderBanList(banStats.teamBans, 'No bans recorded.')}
+                        </div>
+                        <div class="col-md-4 mb-3">
+                            <h6><i class="bi bi-shield-fill-x text-danger me-2"></i>Enemy Team Bans</h6>
+                            ${renderBanList(banStats.enemyBans, 'No bans recorded.')}
+                        </div>
+                        <div class="col-md-4 mb-3">
+                            <h6><i class="bi bi-slash-circle text-warning me-2"></i>Suggested Bans</h6>
+                            ${suggestedBans.length ? suggestedBans.map(matchup => `
+                                <div class="ban-list-item d-flex justify-content-between align-items-center">
+                                    <span>
+                                        <img src="${iconUrl(matchup.championName)}" class="matchup-icon me-2" alt="${matchup.championName}">${matchup.championName}
+                                    </span>
+                                    <span class="small text-danger">${matchup.wins}W ${matchup.losses}L in lane</span>
+                                </div>
+                                ${matchup.alreadyBanned ? `<small class="text-muted d-block mb-1">Banned by your team in ${matchup.alreadyBanned} games</small>` : ''}
+                            `).join('') : '<p class="text-muted small mb-0">No lane opponent has beaten you more than once.</p>'}
+                        </div>
+                    </div>
+                    <h6 class="mt-2">Win Rate When Banned vs. Available</h6>
+                    ${impact.length ? `
+                        <div class="table-responsive">
+                            <table class="table table-sm table-hover ban-impact-table">
+                                <thead>
+                                    <tr>
+                                        <th>Champion</th>
+                                        <th>Banned</th>
+                                        <th>Win Rate (Banned)</th>
+                                        <th>Win Rate (Available)</th>
+                                        <th>Difference</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${impact.map(entry => `
+                                        <tr>
+                                            <td>
+                                                <img src="${iconUrl(entry.championName)}" class="matchup-icon me-1" alt="${entry.championName}">
+                                                ${entry.championName}
+                                            </td>
+                                            <td>${entry.games}</td>
+                                            <td>${entry.bannedWinRate.toFixed(0)}% <small class="text-muted">(${entry.wins}W ${entry.games - entry.wins}L)</small></td>
+                                            <td>${entry.availableWinRate.toFixed(0)}% <small class="text-muted">(${entry.availableWins}W ${entry.availableGames - entry.availableWins}L)</small></td>
+                                            <td class="${entry.winRateDiff >= 0 ? 'text-success' : 'text-danger'}">${entry.winRateDiff >= 0 ? '+' : ''}${entry.winRateDiff.toFixed(0)}%</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : '<p class="text-muted small">Needs at least 3 games with and without a champion banned.</p>'}
+                    <small class="text-muted">Suggested bans are the lane opponents you have lost to most often (at least two losses, under 50% win rate).</small>
+                </div>
+            </div>
+        `;
+        return container;
+    }
+
+    renderItemAnalysis() {
+        const container = document.createElement('div');
+        container.className = 'item-analysis-panel mb-4';
+        container.innerHTML = `
+            <div class="card stat-card">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-center mb-3">
+                        <h5 class="card-title mb-0">Item Builds</h5>
+                        <select class="form-select form-select-sm item-analysis-champion w-auto">
+                            ${this.championStats.map(champ => `<option value="${champ.name}">${champ.name} (${champ.games})</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="item-analysis-content"></div>
+                </div>
+            </div>
+        `;
+
+        const championSelect = container.querySelector('.item-analysis-champion');
+        if (this.championStats.length === 0) {
+            container.querySelector('.item-analysis-content').innerHTML = '<p class="text-muted mb-0">No games in the current scope.</p>';
+            return container;
+        }
+
+        // Default to the most played champion
+        const mostPlayed = [...this.championStats].sort((a, b) => b.games - a.games)[0];
+        championSelect.value = mostPlayed.name;
+        championSelect.addEventListener('change', () => this.updateItemAnalysis(container, championSelect.value));
+        this.updateItemAnalysis(container, mostPlayed.name);
+
+        return container;
+    }
+
+    // Renders from final inventories first, then again once the champion's timelines have loaded
+    async updateItemAnalysis(container, championName) {
+        const { itemData } = this.dataManager.getData();
+        const content = container.querySelector('.item-analysis-content');
+        const championMatches = this.getPlayerMatches().filter(m => m.playerParticipant.championName === championName);
+
+        content.innerHTML = this.renderItemAnalysisContent(ItemUtils.calculateItemStats(championMatches, itemData));
+
+        const matchIds = championMatches.map(({ match }) => match.metadata.matchId)
+            .filter(matchId => this.dataManager.hasTimeline(matchId));
+        if (matchIds.length === 0) return;
+
+        const timelines = await this.dataManager.loadTimelines(matchIds);
+        if (container.querySelector('.item-analysis-champion').value !== championName) return;
+        content.innerHTML = this.renderItemAnalysisContent(ItemUtils.calculateItemStats(championMatches, itemData, timelines));
+    }
+
+    renderItemAnalysisContent(itemStats) {
+        const { itemData } = this.dataManager.getData();
+        const renderIcon = itemId => `
+            <img src="${this.dataManager.getItemUrl(itemId, itemData)}" class="item-icon" alt="${ItemUtils.getItemName(itemId, itemData)}" title="${ItemUtils.getItemName(itemId, itemData)}">
+        `;
+        const renderWinRate = entry => `
+            <span class="${entry.winRate >= 50 ? 'text-success' : 'text-danger'}">${entry.winRate.toFixed(0)}%</span>
+            <small class="text-muted">(${entry.games}g)</small>
+        `;
+
+        if (itemStats.items.length === 0) {
+            return '<p class="text-muted mb-0">No completed items recorded for this champion.</p>';
+        }
+
+        const inventoryGames = itemStats.games - itemStats.timelineGames;
+        const sourceNote = inventoryGames === 0
+            ? 'Purchase order from match timelines.'
+            : `${itemStats.timelineGames} of ${itemStats.games} games use timeline purchase order; the other ${inventoryGames} use final inventory slots, so their order is approximate.`;
+
+        return `
+            <div class="row">
+                ${itemStats.slots.map((slot, index) => `
+                    <div class="col-md-4 mb-3">
+                        <h6>${['1st', '2nd', '3rd'][index]} Legendary</h6>
+                        ${slot.length ? slot.slice(0, 5).map(entry => `
+                            <div class="item-build-row d-flex justify-content-between align-items-center">
+                                <span>${renderIcon(entry.itemId)} ${ItemUtils.getItemName(entry.itemId, itemData)}</span>
+                                <span>${renderWinRate(entry)}</span>
+                            </div>
+                        `).join('') : '<p class="text-muted small mb-0">Not reached yet</p>'}
+                    </div>
+                `).join('')}
+            </div>
+            <div class="row">
+                <div class="col-lg-6 mb-3">
+                    <h6>Core Builds</h6>
+                    ${itemStats.coreBuilds.length ? `
+                        <table class="table table-sm item-build-table mb-0">
+                            <thead><tr><th>Items</th><th>Games</th><th>Win Rate</th></tr></thead>
+                            <tbody>
+                                ${itemStats.coreBuilds.slice(0, 8).map(build => `
+                                    <tr>
+                                        <td>${build.items.map(renderIcon).join('')}</td>
+                                        <td>${build.games}</td>
+                                        <td class="${build.winRate >= 50 ? 'text-success' : 'text-danger'}">${build.winRate.toFixed(0)}%</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : '<p class="text-muted small mb-0">No game finished two legendaries.</p>'}
+                </div>
+                <div class="col-lg-6 mb-3">
+                    <h6>Item Win Rates</h6>
+                    <table class="table table-sm item-build-table mb-0">
+                        <thead><tr><th>Item</th><th>Type</th><th>Games</th><th>Win Rate</th></tr></thead>
+                        <tbody>
+                            ${itemStats.items.slice(0, 12).map(entry => `
+                                <tr>
+                                    <td>${renderIcon(entry.itemId)} ${ItemUtils.getItemName(entry.itemId, itemData)}</td>
+                                    <td><span class="badge ${entry.category === 'boots' ? 'bg-secondary' : 'bg-primary'}">${entry.category === 'boots' ? 'Boots' : 'Legendary'}</span></td>
+                                    <td>${entry.games}</td>
+                                    <td class="${entry.winRate >= 50 ? 'text-success' : 'text-danger'}">${entry.winRate.toFixed(0)}%</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <small class="text-muted">${sourceNote} Core builds group the first three legendaries regardless of order.</small>
         `;
     }
 
@@ -1497,10 +1888,14 @@ class ChampionPerformance {
                 <i class="bi bi-filter me-2"></i>
                 Showing ${filteredCount} of ${totalChampions} champions
                 ${filteredCount !== totalChampions ? 
-                    `<button class="btn btn-sm btn-outline-secondary ms-2" onclick="window.championPerformance?.resetAdvancedFilters(document.querySelector('.advanced-filters'))">Clear Filters</button>` : 
+                    `<button class="btn btn-sm btn-outline-secondary ms-2 filter-status-clear">Clear Filters</button>` : 
                     ''
                 }
             `;
+            const clearButton = statusEl.querySelector('.filter-status-clear');
+            if (clearButton) {
+                clearButton.addEventListener('click', () => this.resetAdvancedFilters(document.querySelector('.advanced-filters')));
+            }
             statusEl.style.display = 'block';
         } else {
             statusEl.style.display = 'none';
@@ -1854,6 +2249,33 @@ class ChampionPerformance {
         }, 3000);
     }
 
+    // Re-render with the latest data (e.g. after more matches finish loading)
+    refresh() {
+        const data = this.dataManager.getData();
+        const championFilter = document.getElementById('champion-filter');
+        const selectedChampion = championFilter ? championFilter.value : '';
+
+        this.renderPatchControls();
+        this.calculateChampionStats(data);
+        this.originalChampionStats = null;
+        this.renderTable();
+        this.populateFilters();
+        if (championFilter) championFilter.value = selectedChampion;
+
+        // Rebuild enhancement panels so they reflect the new stats
+        const championPerformanceTab = document.getElementById('champion-performance');
+        if (championPerformanceTab) {
+            championPerformanceTab.querySelectorAll(
+                '.champion-trends-container, .champion-comparison-tool, .mastery-progression, .champion-bans-panel, .item-analysis-panel, .advanced-filters, .export-tools'
+            ).forEach(element => element.remove());
+        }
+        this.renderEnhancements();
+    }
+
+    onDataChanged() {
+        this.refresh();
+    }
+
     destroy() {
         // Clean up event listeners if needed
         document.querySelectorAll('.sortable-header').forEach(header => {
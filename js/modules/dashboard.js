@@ -2,14 +2,25 @@
  * Dashboard Module - Professional Analytics Dashboard
  */
 class Dashboard {
-    constructor(dataManager) {
+    constructor(dataManager, eventBus = new EventBus()) {
         this.dataManager = dataManager;
+        this.eventBus = eventBus;
         this.charts = {};
         this.liveMetrics = {};
         this.performanceCache = {};
         this.initialized = false;
     }
 
+    static getModuleDefinition() {
+        return {
+            tabId: 'dashboard',
+            title: 'Dashboard',
+            icon: 'bi-speedometer2',
+            publishes: [],
+            subscribes: {}
+        };
+    }
+
     init() {
         // Prevent multiple initializations
         if (this.initialized) {
@@ -22,17 +33,22 @@ class Dashboard {
         
         console.log('Initializing Dashboard...');
         const data = this.dataManager.getData();
+        const byId = id => () => document.getElementById(id);
         
-        this.renderKPIs(data);
-        this.renderRankedStats(data);
+        // Each card renders on its own so one failure leaves the rest of the dashboard intact
+        this.renderCard('KPIs', () => this.renderKPIs(data), () => document.getElementById('total-games').closest('.row'));
+        this.renderCard('Ranked Stats', () => this.renderRankedStats(data), () => document.getElementById('ranked-stats').closest('.card'));
+        this.renderCard('LP History', () => this.renderLpHistory(data), byId('lp-history-container'));
         this.renderCharts(data);
-        this.renderAdvancedTrends(data);
-        this.renderLiveMetricsCard(data);
-        this.renderPerformanceHeatmap(data);
-        this.addPerformanceBadges(data);
-        this.renderWinPredictionCard(data);
-        this.renderComparativeAnalysis(data);
-        this.renderChampionMasteryProgression(data);
+        this.renderCard('Performance Trends', () => this.renderAdvancedTrends(data));
+        this.renderCard('Live Metrics', () => this.renderLiveMetricsCard(data), byId('live-metrics-container'));
+        this.renderCard('Performance Heatmap', () => this.renderPerformanceHeatmap(data), byId('performance-heatmap-container'));
+        this.renderCard('Performance Badges', () => this.addPerformanceBadges(data));
+        this.renderCard('Win Prediction', () => this.renderWinPredictionCard(data), byId('win-prediction-container'));
+        this.renderCard('Comparative Analysis', () => this.renderComparativeAnalysis(data), byId('comparative-analysis-container'));
+        this.renderCard('Patch Trends', () => this.renderPatchTrends(data), byId('dashboard-patch-row'));
+        this.renderCard('Arena Stats', () => this.renderArenaStats(data), byId('dashboard-arena-row'));
+        this.renderCard('Mastery Progression', () => this.renderChampionMasteryProgression(data), byId('mastery-progression-container'));
         
         this.initialized = true;
         console.log('Dashboard initialization complete');
@@ -51,6 +67,7 @@ class Dashboard {
         
         // Clean up dynamic elements and rows
         const dynamicElements = [
+            'lp-history-container',
             'live-metrics-container',
             'performance-heatmap-container',
             'game-details-tooltip',
@@ -62,6 +79,8 @@ class Dashboard {
             'mastery-details-tooltip',
             'dashboard-advanced-features',
             'dashboard-predictions-row',
+            'dashboard-patch-row',
+            'dashboard-arena-row',
             'dashboard-timeline-row',
             'dashboard-mastery-row'
         ];
@@ -76,11 +95,44 @@ class Dashboard {
         
         // Clean up performance badges
         document.querySelectorAll('.performance-badge').forEach(badge => badge.remove());
+
+        // Error panels from the previous render
+        document.querySelectorAll('.error-panel').forEach(panel => {
+            if (panel.dataset.errorKey.startsWith('dashboard:')) panel.remove();
+        });
         
         // Reset initialization flag
         this.initialized = false;
     }
 
+    // Panel goes on the card when it exists, otherwise at the top of the tab
+    renderCard(title, render, getContainer = () => null) {
+        const container = () => getContainer() || document.getElementById('dashboard');
+        return ErrorBoundary.run(render, {
+            key: `dashboard:${title}`,
+            title,
+            getContainer: container,
+            onError: error => this.eventBus.emit('error:reported', { source: `Dashboard: ${title}`, error }),
+            retry: () => {
+                // A chart created on the card before the failure would block a new one on the same canvas
+                const card = getContainer();
+                if (card) {
+                    card.querySelectorAll('canvas').forEach(canvas => {
+                        const chart = Chart.getChart(canvas);
+                        if (chart) chart.destroy();
+                    });
+                }
+                this.renderCard(title, render, getContainer);
+            }
+        });
+    }
+
+    // Card around a canvas, used to place a chart's error panel
+    getChartCard(canvasId) {
+        const canvas = document.getElementById(canvasId);
+        return canvas ? canvas.closest('.card') : null;
+    }
+
     renderKPIs(data) {
         const { mainPlayerName, playerMatches } = data;
         
@@ -121,6 +173,8 @@ class Dashboard {
         
         if (rankedInfo) {
             const rankedStatsEl = document.getElementById('ranked-stats');
+            // Cleared so re-renders (refresh, summoner switch) don't duplicate cards
+            rankedStatsEl.innerHTML = '';
             rankedInfo.forEach(queue => {
                 const queueType = queue.queueType.replace('RANKED_', '').replace('_', ' ').toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
                 const rank = `${queue.tier} ${queue.rank}`;
@@ -148,9 +202,186 @@ class Dashboard {
         }
     }
 
+    renderLpHistory(data) {
+        const { lpHistory } = data;
+        const rankedCard = document.getElementById('ranked-stats').closest('.card');
+
+        let container = document.getElementById('lp-history-container');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'lp-history-container';
+            container.className = 'card stat-card';
+            rankedCard.insertAdjacentElement('afterend', container);
+        }
+
+        const queues = Object.values(lpHistory ? lpHistory.queues : {});
+        const hasHistory = queues.some(queue => queue.points.length > 1);
+
+        container.innerHTML = `
+            <div class="card-body">
+                <h5 class="card-title">
+                    <i class="bi bi-graph-up-arrow me-2 text-primary"></i>LP History
+                </h5>
+                ${hasHistory ? `
+                    <div class="chart-container lp-history-chart-container">
+                        <canvas id="lp-history-chart"></canvas>
+                    </div>
+                    <div class="lp-history-legend small text-muted mt-2">
+                        <span class="me-3"><i class="bi bi-caret-up-fill text-success"></i> Promotion</span>
+                        <span class="me-3"><i class="bi bi-caret-down-fill text-danger"></i> Demotion</span>
+                        <span>Dashed lines mark tier boundaries</span>
+                    </div>
+                ` : `
+                    <p class="text-muted mb-0">
+                        Not enough ranked snapshots yet. Each run of <code>scripts/fetch-riot-data.js</code> appends one to
+                        <code>${this.dataManager.getPlayerDataDir()}${this.dataManager.RANKED_HISTORY_FILE}</code>.
+                    </p>
+                `}
+            </div>
+        `;
+
+        if (hasHistory) {
+            this.createLpHistoryChart(queues.filter(queue => queue.points.length > 0));
+        }
+    }
+
+    createLpHistoryChart(queues) {
+        const ctx = document.getElementById('lp-history-chart');
+        if (!ctx) return;
+
+        if (this.charts.lpHistory) {
+            this.charts.lpHistory.destroy();
+        }
+
+        const colors = ChartUtils.getDefaultColors();
+        const queueColors = {
+            RANKED_SOLO_5x5: colors.infoBorder,
+            RANKED_FLEX_SR: colors.secondaryBorder
+        };
+
+        const values = queues.flatMap(queue => queue.points.map(point => point.value));
+        // Pad to the surrounding divisions so boundaries near the data stay visible
+        const min = Math.floor((Math.min(...values) - 50) / 100) * 100;
+        const max = Math.ceil((Math.max(...values) + 50) / 100) * 100;
+        const boundaries = RankUtils.getTierBoundaries(min, max);
+
+        // Dashed line and tier name at the start of every tier in range
+        const tierBoundaryPlugin = {
+            id: 'tierBoundaries',
+            afterDatasetsDraw(chart) {
+                const { ctx: canvas, chartArea, scales } = chart;
+                canvas.save();
+                boundaries.forEach(({ value, tier }) => {
+                    const y = scales.y.getPixelForValue(value);
+                    canvas.strokeStyle = 'rgba(107, 114, 128, 0.6)';
+                    canvas.setLineDash([6, 4]);
+                    canvas.beginPath();
+                    canvas.moveTo(chartArea.left, y);
+                    canvas.lineTo(chartArea.right, y);
+                    canvas.stroke();
+                    canvas.fillStyle = '#6b7280';
+                    canvas.font = '600 10px sans-serif';
+                    canvas.fillText(tier, chartArea.left + 4, y - 4);
+                });
+                canvas.restore();
+            }
+        };
+
+        const pointColor = point => point.change === 'promotion'
+            ? colors.successBorder
+            : point.change === 'demotion' ? colors.dangerBorder : null;
+
+        this.charts.lpHistory = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: queues.map(queue => {
+                    const color = queueColors[queue.queueType];
+                    return {
+                        label: queue.label,
+                        data: queue.points.map(point => ({ x: point.timestamp, y: point.value, point })),
+                        borderColor: color,
+                        backgroundColor: color,
+                        borderWidth: 2,
+                        tension: 0.2,
+                        pointStyle: context => context.raw && context.raw.point.change ? 'triangle' : 'circle',
+                        rotation: context => context.raw && context.raw.point.change === 'demotion' ? 180 : 0,
+                        pointRadius: context => context.raw && context.raw.point.change ? 7 : 3,
+                        pointBackgroundColor: context => (context.raw && pointColor(context.raw.point)) || color,
+                        pointBorderColor: '#fff'
+                    };
+                })
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                parsing: false,
+                plugins: {
+                    legend: {
+                        display: queues.length > 1,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        ...ChartUtils.getDefaultTooltipStyle(),
+                        callbacks: {
+                            title: items => new Date(items[0].raw.x).toLocaleString(),
+                            label: context => {
+                                const point = context.raw.point;
+                                return `${context.dataset.label}: ${RankUtils.formatRank(point)} ${point.leaguePoints} LP`;
+                            },
+                            afterLabel: context => {
+                                const point = context.raw.point;
+                                const lines = [];
+                                if (point.delta) lines.push(`${point.delta > 0 ? '+' : ''}${point.delta} LP over ${point.games} game${point.games === 1 ? '' : 's'}`);
+                                if (point.change) lines.push(point.change === 'promotion' ? 'Promoted' : 'Demoted');
+                                return lines;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ...ChartUtils.getDefaultScaleStyle(),
+                        min,
+                        max,
+                        ticks: {
+                            ...ChartUtils.getDefaultScaleStyle().ticks,
+                            stepSize: 100,
+                            callback: value => RankUtils.formatLpValue(value).replace(/ 0 LP$/, '')
+                        }
+                    },
+                    x: {
+                        ...ChartUtils.getDefaultScaleStyle(),
+                        type: 'linear',
+                        ticks: {
+                            ...ChartUtils.getDefaultScaleStyle().ticks,
+                            maxTicksLimit: 8,
+                            callback: value => new Date(value).toLocaleDateString()
+                        }
+                    }
+                }
+            },
+            plugins: [tierBoundaryPlugin]
+        });
+    }
+
     renderCharts(data) {
         const { playerMatches, championData } = data;
-        
+        const last20Games = playerMatches.slice(0, 20).reverse();
+
+        this.renderCard('Role Distribution', () => this.renderRoleDistributionChart(playerMatches), () => this.getChartCard('role-distribution-chart'));
+        this.renderCard('Win/Loss Trend', () => {
+            const chartLabels = last20Games.map((g, i) => `Game ${playerMatches.length - 19 + i}`);
+            const chartData = last20Games.map(g => g.playerParticipant.win ? 1 : 0);
+            const winLossCtx = document.getElementById('win-loss-chart').getContext('2d');
+            this.charts.winLoss = this.createInteractiveWinLossChart(winLossCtx, chartData, chartLabels, last20Games);
+        }, () => this.getChartCard('win-loss-chart'));
+        this.renderCard('Gold per Minute', () => this.renderGPMChart(last20Games), () => this.getChartCard('gpm-trend-chart'));
+        this.renderCard('Win Rate by Queue', () => this.renderGameModeChart(playerMatches), () => this.getChartCard('gamemode-winrate-chart'));
+        this.renderCard('Damage Composition', () => this.renderDamageComposition(playerMatches), () => this.getChartCard('damage-composition-chart'));
+        this.renderCard('Top Champions', () => this.renderChampionCharts(playerMatches, championData), () => this.getChartCard('top-champs-winrate-chart'));
+    }
+
+    renderRoleDistributionChart(playerMatches) {
         // Calculate role statistics
         const roleStats = {};
         playerMatches.forEach(({ playerParticipant }) => {
@@ -173,26 +404,6 @@ class Dashboard {
             Object.values(roleStats).map(s => s.games),
             'Games Played'
         );
-
-        // Win/Loss Trend Chart
-        const last20Games = playerMatches.slice(0, 20).reverse();
-        const chartLabels = last20Games.map((g, i) => `Game ${playerMatches.length - 19 + i}`);
-        const chartData = last20Games.map(g => g.playerParticipant.win ? 1 : 0);
-        
-        const winLossCtx = document.getElementById('win-loss-chart').getContext('2d');
-        this.charts.winLoss = this.createInteractiveWinLossChart(winLossCtx, chartData, chartLabels, last20Games);
-
-        // Gold per Minute Trend
-        this.renderGPMChart(last20Games);
-
-        // Game Mode Win Rate
-        this.renderGameModeChart(playerMatches);
-
-        // Damage Composition
-        this.renderDamageComposition(playerMatches);
-
-        // Champion Performance Charts
-        this.renderChampionCharts(playerMatches, championData);
     }
 
     renderGPMChart(last20Games) {
@@ -251,7 +462,8 @@ class Dashboard {
     renderGameModeChart(playerMatches) {
         const gameModeStats = {};
         playerMatches.forEach(({ match, playerParticipant }) => {
-            const gameMode = match.info.gameMode;
+            // Keyed by queue so Solo and Flex aren't merged into "CLASSIC"
+            const gameMode = QueueRegistry.getQueueName(match.info.queueId);
             if (!gameModeStats[gameMode]) {
                 gameModeStats[gameMode] = { games: 0, wins: 0 };
             }
@@ -824,8 +1036,7 @@ class Dashboard {
 
     // Utility methods for calculations
     calculateWinRateForMatches(matches) {
-        const wins = matches.filter(({ playerParticipant }) => playerParticipant.win).length;
-        return parseFloat(this.dataManager.calculateWinRate(wins, matches.length));
+        return Analytics.calculateWinRateForMatches(matches);
     }
 
     calculateAverageKDA(matches) {
@@ -937,7 +1148,7 @@ class Dashboard {
 
     // Win Rate Prediction System
     renderWinPredictionCard(data) {
-        const prediction = this.calculateWinPrediction(data);
+        const prediction = Analytics.calculateWinPrediction(data.playerMatches);
         
         let container = document.getElementById('win-prediction-container');
         if (container) {
@@ -992,142 +1203,6 @@ class Dashboard {
         `;
     }
 
-    calculateWinPrediction(data) {
-        const { playerMatches } = data;
-        const recentForm = playerMatches.slice(0, 20);
-        
-        const factors = {
-            recentWinRate: this.calculateWinRateForMatches(recentForm),
-            roleConsistency: this.calculateRoleConsistency(recentForm),
-            championComfort: this.calculateChampionFamiliarity(recentForm),
-            timeOfDay: this.analyzeTimeOfDayPerformance(recentForm),
-            streakMomentum: this.calculateStreakMomentum(recentForm)
-        };
-        
-        // Weighted prediction algorithm
-        const prediction = (
-            factors.recentWinRate * 0.35 +
-            factors.roleConsistency * 0.15 +
-            factors.championComfort * 0.25 +
-            factors.timeOfDay * 0.15 +
-            factors.streakMomentum * 0.10
-        );
-        
-        return {
-            nextGamePrediction: Math.max(20, Math.min(80, prediction)),
-            confidence: this.calculatePredictionConfidence(factors),
-            recommendations: this.generateRecommendations(factors),
-            factors: factors
-        };
-    }
-
-    calculateRoleConsistency(matches) {
-        const roleCounts = {};
-        matches.forEach(({ playerParticipant }) => {
-            const role = playerParticipant.teamPosition || 'UNKNOWN';
-            roleCounts[role] = (roleCounts[role] || 0) + 1;
-        });
-        
-        const maxRoleCount = Math.max(...Object.values(roleCounts));
-        return (maxRoleCount / matches.length) * 100;
-    }
-
-    calculateChampionFamiliarity(matches) {
-        const championCounts = {};
-        let totalComfort = 0;
-        
-        matches.forEach(({ playerParticipant }) => {
-            const champion = playerParticipant.championName;
-            championCounts[champion] = (championCounts[champion] || 0) + 1;
-        });
-        
-        Object.values(championCounts).forEach(count => {
-            totalComfort += Math.min(count * 15, 60); // Cap at 60 for mastery
-        });
-        
-        return Math.min(totalComfort / matches.length, 70);
-    }
-
-    analyzeTimeOfDayPerformance(matches) {
-        const currentHour = new Date().getHours();
-        const hourlyPerformance = {};
-        
-        matches.forEach(({ match, playerParticipant }) => {
-            const hour = new Date(match.info.gameCreation).getHours();
-            const hourGroup = Math.floor(hour / 4) * 4; // Group into 4-hour blocks
-            
-            if (!hourlyPerformance[hourGroup]) {
-                hourlyPerformance[hourGroup] = { games: 0, wins: 0 };
-            }
-            
-            hourlyPerformance[hourGroup].games++;
-            if (playerParticipant.win) hourlyPerformance[hourGroup].wins++;
-        });
-        
-        const currentHourGroup = Math.floor(currentHour / 4) * 4;
-        const currentPerformance = hourlyPerformance[currentHourGroup];
-        
-        if (currentPerformance && currentPerformance.games >= 3) {
-            return (currentPerformance.wins / currentPerformance.games) * 100;
-        }
-        
-        return 50; // Neutral if no data
-    }
-
-    calculateStreakMomentum(matches) {
-        const recent5 = matches.slice(0, 5);
-        let wins = 0;
-        let momentum = 50; // Start neutral
-        
-        recent5.forEach(({ playerParticipant }, index) => {
-            if (playerParticipant.win) {
-                wins++;
-                momentum += (5 - index) * 2; // More recent wins have higher impact
-            } else {
-                momentum -= (5 - index) * 1.5;
-            }
-        });
-        
-        return Math.max(0, Math.min(100, momentum));
-    }
-
-    calculatePredictionConfidence(factors) {
-        const variance = Object.values(factors).reduce((sum, value) => {
-            return sum + Math.pow(value - 50, 2);
-        }, 0) / Object.values(factors).length;
-        
-        const consistency = 100 - (variance / 25); // Normalize variance to confidence
-        return Math.max(60, Math.min(95, Math.round(consistency)));
-    }
-
-    generateRecommendations(factors) {
-        const recommendations = [];
-        
-        if (factors.roleConsistency < 70) {
-            recommendations.push("Stick to your main role for better consistency");
-        }
-        
-        if (factors.championComfort < 50) {
-            recommendations.push("Play familiar champions you've mastered");
-        }
-        
-        if (factors.timeOfDay < 45) {
-            recommendations.push("Consider playing during your peak performance hours");
-        }
-        
-        if (factors.streakMomentum > 70) {
-            recommendations.push("You're on a hot streak - keep the momentum!");
-        } else if (factors.streakMomentum < 30) {
-            recommendations.push("Take a break and reset your mental state");
-        }
-        
-        if (factors.recentWinRate > 60) {
-            recommendations.push("Your recent form is strong - maintain your playstyle");
-        }
-        
-        return recommendations.length > 0 ? recommendations : ["Keep playing and improving your skills"];
-    }
-
     getConfidenceClass(confidence) {
         if (confidence >= 80) return 'text-success';
         if (confidence >= 60) return 'text-warning';
@@ -1502,6 +1577,204 @@ class Dashboard {
     }
 
     // Champion Mastery Progression Implementation
+    // Win rate and KDA per patch, oldest to newest
+    renderPatchTrends(data) {
+        const { playerMatches } = data;
+        const patchStats = {};
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            const patch = this.dataManager.getPatch(match);
+            if (!patchStats[patch]) {
+                patchStats[patch] = { games: 0, wins: 0, kills: 0, deaths: 0, assists: 0 };
+            }
+            const stats = patchStats[patch];
+            stats.games++;
+            if (playerParticipant.win) stats.wins++;
+            stats.kills += playerParticipant.kills;
+            stats.deaths += playerParticipant.deaths;
+            stats.assists += playerParticipant.assists;
+        });
+
+        const patches = Object.keys(patchStats).sort((a, b) => this.dataManager.comparePatches(a, b));
+        if (patches.length === 0) return;
+
+        let patchRow = document.getElementById('dashboard-patch-row');
+        if (!patchRow) {
+            patchRow = document.createElement('div');
+            patchRow.id = 'dashboard-patch-row';
+            patchRow.className = 'row';
+            document.querySelector('#dashboard').appendChild(patchRow);
+        }
+
+        patchRow.innerHTML = `
+            <div class="col-lg-12 mb-4">
+                <div class="card stat-card">
+                    <div class="card-body">
+                        <h5 class="card-title">
+                            <i class="bi bi-bandaid me-2 text-primary"></i>Performance by Patch
+                        </h5>
+                        <div class="chart-container patch-trends-chart-container">
+                            <canvas id="patch-trends-chart"></canvas>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const colors = ChartUtils.getDefaultColors();
+        const stats = patches.map(patch => patchStats[patch]);
+
+        this.charts.patchTrends = new Chart(document.getElementById('patch-trends-chart'), {
+            type: 'bar',
+            data: {
+                labels: patches,
+                datasets: [{
+                    type: 'bar',
+                    label: 'Win Rate %',
+                    data: stats.map(s => parseFloat(this.dataManager.calculateWinRate(s.wins, s.games))),
+                    backgroundColor: colors.info,
+                    borderColor: colors.infoBorder,
+                    borderWidth: 1,
+                    borderRadius: 6,
+                    yAxisID: 'y'
+                }, {
+                    type: 'line',
+                    label: 'KDA',
+                    data: stats.map(s => {
+                        const kda = this.dataManager.calculateKDA(s.kills, s.deaths, s.assists);
+                        return kda === Infinity ? s.kills + s.assists : parseFloat(kda.toFixed(2));
+                    }),
+                    borderColor: colors.warningBorder,
+                    backgroundColor: colors.warning,
+                    borderWidth: 3,
+                    pointRadius: 4,
+                    tension: 0.3,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    },
+                    tooltip: {
+                        ...ChartUtils.getDefaultTooltipStyle(),
+                        callbacks: {
+                            afterTitle: items => `${stats[items[0].dataIndex].games} games`
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ...ChartUtils.getDefaultScaleStyle(),
+                        beginAtZero: true,
+                        max: 100,
+                        title: { display: true, text: 'Win Rate %' }
+                    },
+                    y1: {
+                        ...ChartUtils.getDefaultScaleStyle(),
+                        position: 'right',
+                        beginAtZero: true,
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'KDA' }
+                    },
+                    x: ChartUtils.getDefaultScaleStyle()
+                }
+            }
+        });
+    }
+
+    // Arena games are ranked by placement, so they get their own card instead of win/loss
+    renderArenaStats(data) {
+        const { arenaAugments } = data;
+        const arenaStats = ArenaUtils.calculateArenaStats(data.playerMatches);
+        if (arenaStats.games === 0) return;
+
+        let arenaRow = document.getElementById('dashboard-arena-row');
+        if (!arenaRow) {
+            arenaRow = document.createElement('div');
+            arenaRow.id = 'dashboard-arena-row';
+            arenaRow.className = 'row';
+            document.querySelector('#dashboard').appendChild(arenaRow);
+        }
+
+        const formatRate = value => `${value.toFixed(1)}%`;
+        const partnerRows = arenaStats.partners.slice(0, 8).map(partner => `
+            <tr>
+                <td>${partner.name}</td>
+                <td>${partner.games}</td>
+                <td>${partner.avgPlacement.toFixed(2)}</td>
+                <td>${formatRate(partner.topFourRate)}</td>
+            </tr>
+        `).join('');
+        const augmentRows = arenaStats.augments.slice(0, 10).map(augment => `
+            <tr>
+                <td>${ArenaUtils.getAugmentName(augment.augmentId, arenaAugments)}</td>
+                <td>${augment.games}</td>
+                <td>${augment.avgPlacement.toFixed(2)}</td>
+                <td>${formatRate(augment.topFourRate)}</td>
+            </tr>
+        `).join('');
+
+        arenaRow.innerHTML = `
+            <div class="col-lg-12 mb-4" id="arena-stats-container">
+                <div class="card stat-card arena-card">
+                    <div class="card-body">
+                        <h5 class="card-title">
+                            <i class="bi bi-people me-2 text-primary"></i>Arena
+                            <small class="text-muted">(${arenaStats.games} games)</small>
+                        </h5>
+                        <div class="row text-center mb-3">
+                            <div class="col-4">
+                                <div class="arena-stat-value">${arenaStats.avgPlacement !== null ? arenaStats.avgPlacement.toFixed(2) : '-'}</div>
+                                <div class="text-muted small">Avg Placement</div>
+                            </div>
+                            <div class="col-4">
+                                <div class="arena-stat-value">${formatRate(arenaStats.topFourRate)}</div>
+                                <div class="text-muted small">Top 4 Rate</div>
+                            </div>
+                            <div class="col-4">
+                                <div class="arena-stat-value">${formatRate(arenaStats.firstRate)}</div>
+                                <div class="text-muted small">1st Place Rate</div>
+                            </div>
+                        </div>
+                        <div class="row">
+                            <div class="col-lg-4">
+                                <h6>Placements</h6>
+                                <canvas id="arena-placement-chart"></canvas>
+                            </div>
+                            <div class="col-lg-4">
+                                <h6>Duo Partners</h6>
+                                <table class="table table-sm">
+                                    <thead><tr><th>Partner</th><th>Games</th><th>Avg</th><th>Top 4</th></tr></thead>
+                                    <tbody>${partnerRows}</tbody>
+                                </table>
+                            </div>
+                            <div class="col-lg-4">
+                                <h6>Augments</h6>
+                                <table class="table table-sm">
+                                    <thead><tr><th>Augment</th><th>Picks</th><th>Avg</th><th>Top 4</th></tr></thead>
+                                    <tbody>${augmentRows}</tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const placements = [1, 2, 3, 4, 5, 6, 7, 8];
+        this.charts.arenaPlacements = ChartUtils.createBarChart(
+            document.getElementById('arena-placement-chart').getContext('2d'),
+            placements.map(p => ArenaUtils.formatPlacement(p)),
+            placements.map(p => arenaStats.distribution[p] || 0),
+            'Games',
+            ChartUtils.getDefaultColors().secondary
+        );
+    }
+
     renderChampionMasteryProgression(data) {
         const { playerMatches, championData, masteryData } = data;
         
@@ -2069,6 +2342,21 @@ class Dashboard {
         this.init();
     }
 
+    onDataChanged() {
+        this.refresh();
+    }
+
+    // Charts rendered while the tab was hidden need a resize once visible
+    onShow() {
+        setTimeout(() => {
+            Object.values(this.charts).forEach(chart => {
+                if (chart && typeof chart.resize === 'function') {
+                    chart.resize();
+                }
+            });
+        }, 100);
+    }
+
     destroy() {
         this.cleanup();
     }
@@ -2,10 +2,23 @@
  * Match History Module - Filterable match list with detailed modal view
  */
 class MatchHistory {
-    constructor(dataManager) {
+    constructor(dataManager, eventBus = new EventBus()) {
         this.dataManager = dataManager;
+        this.eventBus = eventBus;
+        // Refine the games left by the global filter bar
         this.currentFilters = {};
         this.filteredMatches = [];
+        this.matchDetailCharts = [];
+    }
+
+    static getModuleDefinition() {
+        return {
+            tabId: 'match-history',
+            title: 'Match History',
+            icon: 'bi-list-ul',
+            publishes: ['match:opened', 'matchFilters:changed', 'tab:show'],
+            subscribes: { 'matches:show': 'showMatches' }
+        };
     }
 
     init() {
@@ -28,6 +41,8 @@ class MatchHistory {
 
         const roleFilter = document.getElementById('role-filter');
         if (roleFilter) {
+            // Keep the "All Roles" option when repopulating
+            roleFilter.innerHTML = '<option value="">All Roles</option>';
             Object.keys(roleStats).sort().forEach(role => {
                 const option = document.createElement('option');
                 option.value = role;
@@ -36,9 +51,81 @@ class MatchHistory {
             });
         }
 
+        this.populateQueueFilter(playerMatches);
+        this.populatePatchFilter(data.patches);
+        this.populateTeammateFilter(playerMatches);
+
         // Champion filter is populated by ChampionPerformance module
     }
 
+    populatePatchFilter(patches) {
+        const patchFilter = document.getElementById('match-patch-filter');
+        if (!patchFilter) return;
+
+        patchFilter.innerHTML = '<option value="">All Patches</option>' +
+            patches.map(patch => `<option value="${patch}">${patch}</option>`).join('');
+
+        if (this.currentFilters.patch && patches.includes(this.currentFilters.patch)) {
+            patchFilter.value = this.currentFilters.patch;
+        } else {
+            delete this.currentFilters.patch;
+        }
+    }
+
+    // Only queues present in the current global queue scope are offered
+    populateQueueFilter(playerMatches) {
+        const queueFilter = document.getElementById('match-queue-filter');
+        if (!queueFilter) return;
+
+        const queueCounts = {};
+        playerMatches.forEach(({ match }) => {
+            queueCounts[match.info.queueId] = (queueCounts[match.info.queueId] || 0) + 1;
+        });
+
+        queueFilter.innerHTML = '<option value="">All Queues</option>';
+        Object.keys(queueCounts).sort((a, b) => a - b).forEach(queueId => {
+            const option = document.createElement('option');
+            option.value = queueId;
+            option.textContent = `${QueueRegistry.getQueueName(queueId)} (${queueCounts[queueId]})`;
+            queueFilter.appendChild(option);
+        });
+
+        if (this.currentFilters.queueId && queueCounts[this.currentFilters.queueId]) {
+            queueFilter.value = this.currentFilters.queueId;
+        } else {
+            delete this.currentFilters.queueId;
+        }
+    }
+
+    // Friends who shared at least two games with the player in the current scope
+    populateTeammateFilter(playerMatches) {
+        const teammateFilter = document.getElementById('match-teammate-filter');
+        if (!teammateFilter) return;
+
+        const teammates = this.dataManager.calculateTeammateStats(playerMatches);
+        teammateFilter.innerHTML = '<option value="">Anyone</option>';
+        // Riot ids are chosen by players, so they are set as text
+        teammates.forEach(teammate => {
+            const option = document.createElement('option');
+            option.value = teammate.puuid;
+            option.textContent = `${teammate.riotId} (${teammate.games})`;
+            teammateFilter.appendChild(option);
+        });
+
+        if (this.currentFilters.teammate && teammates.some(teammate => teammate.puuid === this.currentFilters.teammate)) {
+            teammateFilter.value = this.currentFilters.teammate;
+        } else {
+            delete this.currentFilters.teammate;
+        }
+    }
+
+    // 'matches:show' from other tabs, e.g. a champion row or the Mini Map teammate tracker
+    showMatches({ filters }) {
+        this.applyFilters(filters);
+        this.syncFilterInputs();
+        this.eventBus.emit('tab:show', { tabId: 'match-history' });
+    }
+
     setupEventListeners() {
         const searchInput = document.getElementById('search-input');
         const roleFilter = document.getElementById('role-filter');
@@ -47,7 +134,8 @@ class MatchHistory {
 
         if (searchInput) {
             searchInput.addEventListener('input', (e) => {
-                this.applyFilters({ search: e.target.value });
+                // Typing updates the current history entry instead of adding one per key
+                this.applyFilters({ search: e.target.value }, { replaceRoute: true });
             });
         }
 
@@ -93,7 +181,7 @@ class MatchHistory {
         }
     }
 
-    applyFilters(newFilters) {
+    applyFilters(newFilters, { replaceRoute = false } = {}) {
         this.currentFilters = { ...this.currentFilters, ...newFilters };
         
         // Update filter UI
@@ -106,6 +194,117 @@ class MatchHistory {
         if (searchInput) searchInput.value = this.currentFilters.search || '';
         
         this.renderMatchList();
+        this.notifyFiltersChanged({ replace: replaceRoute });
+    }
+
+    // URL query keys (see HashRouter) for the filters that can be shared in a link
+    getRouteFilterKeys() {
+        return {
+            champion: { filter: 'champion' },
+            role: { filter: 'role' },
+            search: { filter: 'search' },
+            queue: { filter: 'queueId' },
+            patch: { filter: 'patch' },
+            teammate: { filter: 'teammate' },
+            from: { filter: 'dateFrom' },
+            to: { filter: 'dateTo' },
+            minKda: { filter: 'minKDA', type: 'number' },
+            maxKda: { filter: 'maxKDA', type: 'number' },
+            minDuration: { filter: 'minDuration', type: 'number' },
+            // 60 minutes is the end of the duration slider, i.e. no limit
+            maxDuration: { filter: 'maxDuration', type: 'number', unset: 60 * 60 },
+            wins: { filter: 'winsOnly', type: 'boolean' },
+            losses: { filter: 'lossesOnly', type: 'boolean' },
+            positiveKda: { filter: 'positiveKDAOnly', type: 'boolean' },
+            ranked: { filter: 'rankedOnly', type: 'boolean' }
+        };
+    }
+
+    getRouteParams() {
+        const params = {};
+        Object.entries(this.getRouteFilterKeys()).forEach(([param, { filter, type, unset }]) => {
+            const value = this.currentFilters[filter];
+            if (type === 'boolean') {
+                if (value) params[param] = '1';
+            } else if (type === 'number') {
+                if (value && value !== Infinity && value !== unset) params[param] = String(value);
+            } else if (value) {
+                params[param] = value;
+            }
+        });
+        return params;
+    }
+
+    // Replaces every filter with the ones in the route, e.g. after back/forward
+    applyRouteParams(params) {
+        const filters = {};
+        Object.entries(this.getRouteFilterKeys()).forEach(([param, { filter, type }]) => {
+            const value = params[param];
+            if (value === undefined || value === '') return;
+
+            if (type === 'boolean') {
+                filters[filter] = value === '1' || value === 'true';
+            } else if (type === 'number') {
+                const number = parseFloat(value);
+                if (!Number.isNaN(number)) filters[filter] = number;
+            } else {
+                filters[filter] = value;
+            }
+        });
+
+        this.currentFilters = filters;
+        this.syncFilterInputs();
+        this.renderMatchList();
+    }
+
+    // Basic and advanced filter inputs mirror currentFilters, including cleared values
+    syncFilterInputs() {
+        const filters = this.currentFilters;
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        };
+        const setChecked = (id, checked) => {
+            const element = document.getElementById(id);
+            if (element) element.checked = checked;
+        };
+
+        setValue('role-filter', filters.role || '');
+        setValue('champion-filter', filters.champion || '');
+        setValue('search-input', filters.search || '');
+        setValue('match-queue-filter', filters.queueId || '');
+        setValue('match-patch-filter', filters.patch || '');
+        setValue('match-teammate-filter', filters.teammate || '');
+        setValue('date-from', filters.dateFrom || '');
+        setValue('date-to', filters.dateTo || '');
+        const minMinutes = filters.minDuration ? Math.floor(filters.minDuration / 60) : 0;
+        const maxMinutes = filters.maxDuration ? Math.floor(filters.maxDuration / 60) : 60;
+        setValue('min-duration', minMinutes);
+        setValue('max-duration', maxMinutes);
+        const durationDisplay = document.getElementById('duration-display');
+        if (durationDisplay) durationDisplay.textContent = `${minMinutes}m - ${maxMinutes}m`;
+        setValue('min-kda', filters.minKDA || '');
+        setValue('max-kda', filters.maxKDA && filters.maxKDA !== Infinity ? filters.maxKDA : '');
+        setChecked('filter-wins', Boolean(filters.winsOnly));
+        setChecked('filter-losses', Boolean(filters.lossesOnly));
+        setChecked('filter-positive-kda', Boolean(filters.positiveKDAOnly));
+        setValue('filter-presets', '');
+
+        document.querySelectorAll('.quick-filter-btn').forEach(button => button.classList.remove('active'));
+    }
+
+    notifyFiltersChanged({ replace = false } = {}) {
+        this.eventBus.emit('matchFilters:changed', { replace });
+    }
+
+    // Opens the details modal for a loaded match, including matches outside the queue scope
+    showMatchById(matchId) {
+        const data = this.dataManager.getData();
+        const match = (data.allMatches || data.matches || []).find(m => m.metadata.matchId === matchId);
+        if (!match) return false;
+
+        this.showMatchDetails(match, data);
+        return true;
     }
 
     clearFilters() {
@@ -117,12 +316,16 @@ class MatchHistory {
         if (roleFilter) roleFilter.value = '';
         if (championFilter) championFilter.value = '';
         if (searchInput) searchInput.value = '';
+
+        const teammateFilter = document.getElementById('match-teammate-filter');
+        if (teammateFilter) teammateFilter.value = '';
         
         // Clear quick filter active states
         const quickFilterButtons = document.querySelectorAll('.quick-filter-btn');
         quickFilterButtons.forEach(btn => btn.classList.remove('active'));
         
         this.renderMatchList();
+        this.notifyFiltersChanged();
     }
 
     filterMatches() {
@@ -170,7 +373,25 @@ class MatchHistory {
                 return false;
             }
             
-            // Game mode filter
+            // Patch filter
+            if (this.currentFilters.patch && this.dataManager.getPatch(match) !== this.currentFilters.patch) {
+                return false;
+            }
+
+            // Queue filter (within the global queue scope)
+            if (this.currentFilters.queueId && match.info.queueId !== parseInt(this.currentFilters.queueId, 10)) {
+                return false;
+            }
+            if (this.currentFilters.rankedOnly && !QueueRegistry.isRanked(match.info.queueId)) {
+                return false;
+            }
+
+            // Teammate filter (same team, or the same duo in Arena)
+            if (this.currentFilters.teammate && !this.dataManager.isPlayedWith(match, playerParticipant, this.currentFilters.teammate)) {
+                return false;
+            }
+
+            // Game mode filter (presets saved before the queue filter existed)
             if (this.currentFilters.gameMode && match.info.gameMode !== this.currentFilters.gameMode) {
                 return false;
             }
@@ -209,6 +430,10 @@ class MatchHistory {
         }
 
         const data = this.dataManager.getData();
+        // Opponents met more than once in the current scope
+        const recurringOpponents = new Map(
+            this.dataManager.calculateOpponentStats(data.playerMatches).map(opponent => [opponent.puuid, opponent])
+        );
 
         filteredMatches.forEach(({ match, playerParticipant }) => {
             const li = document.createElement('li');
@@ -220,51 +445,94 @@ class MatchHistory {
             const duration = this.formatGameDuration(match.info.gameDuration);
             const kda = `${playerParticipant.kills}/${playerParticipant.deaths}/${playerParticipant.assists}`;
             const champIconUrl = this.dataManager.getChampionIconUrl(playerParticipant.championName, data.championData.version);
+            const lpDelta = this.dataManager.getLpDelta(match.metadata.matchId);
+            const laneOpponent = this.dataManager.getLaneOpponent(match, playerParticipant);
+            const metOpponents = this.dataManager.getOpponents(match, playerParticipant)
+                .map(opponent => recurringOpponents.get(opponent.puuid))
+                .filter(opponent => opponent);
 
             li.innerHTML = `
                 <div class="d-flex align-items-center">
                     <img src="${champIconUrl}" class="champion-icon me-3" alt="${playerParticipant.championName}">
                     <div>
-                        <div><strong>${playerParticipant.championName}</strong> <span class="badge bg-secondary">${playerParticipant.teamPosition || 'N/A'}</span></div>
-                        <small class="text-muted">${gameDate} • ${duration}</small>
+                        <div><strong>${playerParticipant.championName}</strong> ${ArenaUtils.isArenaMatch(match)
+                            ? `<span class="badge bg-dark arena-placement-badge">${ArenaUtils.formatPlacement(ArenaUtils.getPlacement(playerParticipant))} Place</span>`
+                            : `<span class="badge bg-secondary">${playerParticipant.teamPosition || 'N/A'}</span>`}
+                            ${laneOpponent ? `<small class="text-muted ms-1">vs ${laneOpponent.championName}</small>` : ''}</div>
+                        <small class="text-muted">${gameDate} • ${duration} • Patch ${this.dataManager.getPatch(match)}</small>
                     </div>
                 </div>
                 <div class="text-end">
                     <div class="fw-bold">KDA: ${kda}</div>
                     <small class="text-muted">${playerParticipant.goldEarned.toLocaleString()} gold</small>
+                    ${lpDelta ? this.renderLpDeltaBadge(lpDelta) : ''}
                 </div>
             `;
+
+            if (metOpponents.length) {
+                li.querySelector('strong').parentElement.appendChild(this.createRecurringOpponentBadge(metOpponents));
+            }
             
             li.addEventListener('click', () => {
                 this.showMatchDetails(match, data);
+                this.eventBus.emit('match:opened', { matchId: match.metadata.matchId });
             });
             
             matchListEl.appendChild(li);
         });
     }
 
+    // Riot ids are chosen by players, so the tooltip is set as a property rather than through HTML
+    createRecurringOpponentBadge(opponents) {
+        const badge = document.createElement('span');
+        badge.className = 'badge bg-warning text-dark recurring-opponent-badge ms-1';
+        badge.title = opponents
+            .map(opponent => `${opponent.riotId}: ${opponent.wins}W ${opponent.losses}L in ${opponent.games} games`)
+            .join('\n');
+        badge.innerHTML = '<i class="bi bi-person-exclamation me-1"></i>';
+        badge.append(`${opponents.length} met before`);
+        return badge;
+    }
+
+    renderLpDeltaBadge({ delta, estimated }) {
+        const sign = delta > 0 ? '+' : '';
+        const title = estimated
+            ? 'Estimated from ranked snapshots spanning several games'
+            : 'From the ranked snapshots before and after this game';
+        return `<span class="badge lp-delta-badge ms-1 ${delta >= 0 ? 'bg-success' : 'bg-danger'}" title="${title}">${estimated ? '~' : ''}${sign}${delta} LP</span>`;
+    }
+
     formatGameDuration(seconds) {
         const minutes = Math.floor(seconds / 60);
         const remainingSeconds = seconds % 60;
         return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
-    showMatchDetails(match, data) {
-        const { mainPlayerPuuid, championData, itemData, gameModes } = data;
+    async showMatchDetails(match, data) {
+        const { mainPlayerPuuid, championData, itemData, gameModes, arenaAugments, runesReforged, summonerSpells } = data;
         const modalBody = document.getElementById('match-details-body');
         const modalTitle = document.getElementById('matchDetailsModalLabel');
 
         if (!modalBody || !modalTitle) return;
 
+        // Real event times come from the timeline file when one exists
+        const timeline = await this.dataManager.getTimeline(match.metadata.matchId);
+        this.destroyMatchDetailCharts();
+
         // Set modal title
         const gameModeInfo = gameModes.find(gm => gm.gameMode === match.info.gameMode);
-        modalTitle.textContent = `Match Details - ${gameModeInfo ? gameModeInfo.description : match.info.gameMode}`;
+        const queueKnown = Boolean(QueueRegistry.getQueues()[match.info.queueId]);
+        modalTitle.textContent = `Match Details - ${queueKnown
+            ? QueueRegistry.getQueueName(match.info.queueId)
+            : gameModeInfo ? gameModeInfo.description : match.info.gameMode}`;
 
         // Organize teams
         const teams = { 100: [], 200: [] };
         match.info.participants.forEach(p => teams[p.teamId].push(p));
 
         const playerParticipant = match.info.participants.find(p => p.puuid === mainPlayerPuuid);
+        // Arena has 2-player subteams and no lanes or objectives
+        const isArena = ArenaUtils.isArenaMatch(match);
         
         // Create enhanced match details with tabs
         modalBody.innerHTML = `
@@ -280,7 +548,7 @@ class MatchHistory {
                             <strong>Game Mode:</strong> ${match.info.gameMode}
                         </div>
                         <div class="col-md-3">
-                            <strong>Queue:</strong> ${match.info.queueId}
+                            <strong>Queue:</strong> ${QueueRegistry.getQueueName(match.info.queueId)}
                         </div>
                         <div class="col-md-3">
                             <strong>Date:</strong> ${new Date(match.info.gameCreation).toLocaleDateString()}
@@ -288,17 +556,44 @@ class MatchHistory {
                     </div>
                 </div>
                 <div class="col-md-4">
-                    ${playerParticipant ? this.renderPlayerHighlight(playerParticipant, championData) : ''}
+                    ${playerParticipant ? this.renderPlayerHighlight(playerParticipant, championData, isArena) : ''}
                 </div>
             </div>
 
-            <!-- Match Timeline -->
-            ${this.renderMatchTimeline(match, mainPlayerPuuid)}
+            <!-- Runes and Summoner Spells -->
+            ${playerParticipant ? this.renderRunePage(playerParticipant, runesReforged, summonerSpells) : ''}
+
+            ${isArena ? `
+                <!-- Arena Summary -->
+                ${playerParticipant ? this.renderArenaSummary(match, playerParticipant, arenaAugments) : ''}
+            ` : `
+                <!-- Match Timeline -->
+                ${this.renderMatchTimeline(match, mainPlayerPuuid, timeline)}
 
-            <!-- Performance Breakdown -->
-            ${playerParticipant ? this.renderPerformanceBreakdown(playerParticipant, match) : ''}
+                <!-- Gold/XP Graphs -->
+                ${timeline ? this.renderTimelineGraphs(match, timeline, playerParticipant) : ''}
+
+                <!-- Performance Breakdown -->
+                ${playerParticipant ? this.renderPerformanceBreakdown(playerParticipant, match) : ''}
+            `}
             
             <!-- Team Tables -->
+            ${isArena
+                ? this.renderArenaTeams(match, mainPlayerPuuid, championData, itemData, arenaAugments)
+                : this.renderTeamTables(match, teams, mainPlayerPuuid, championData, itemData)}
+        `;
+
+        // Show modal
+        const modal = bootstrap.Modal.getOrCreateInstance(document.getElementById('match-details-modal'));
+        modal.show();
+
+        if (timeline && !isArena) {
+            this.createTimelineCharts(match, timeline, playerParticipant);
+        }
+    }
+
+    renderTeamTables(match, teams, mainPlayerPuuid, championData, itemData) {
+        return `
             <div class="row mt-4">
                 <div class="col-lg-6">
                     <h5 class="text-primary">Blue Team ${match.info.teams[0].win ? '(Victory)' : '(Defeat)'}</h5>
@@ -340,13 +635,105 @@ class MatchHistory {
                 </div>
             </div>
         `;
+    }
 
-        // Show modal
-        const modal = new bootstrap.Modal(document.getElementById('match-details-modal'));
-        modal.show();
+    renderTimelineGraphs(match, timeline, playerParticipant) {
+        const opponent = this.dataManager.getLaneOpponent(match, playerParticipant);
+        const laneDiffs = opponent
+            ? TimelineUtils.getLaneDifferences(timeline, playerParticipant.participantId, opponent.participantId)
+            : null;
+
+        const formatDiff = value => {
+            if (value === null || value === undefined) return '<span class="text-muted">-</span>';
+            const cls = value > 0 ? 'text-success' : value < 0 ? 'text-danger' : 'text-muted';
+            return `<span class="${cls}">${value > 0 ? '+' : ''}${value.toLocaleString()}</span>`;
+        };
+        const checkpoints = [10, 15, Math.round(match.info.gameDuration / 60)];
+
+        return `
+            <div class="timeline-graphs mb-4">
+                <h6>Game Flow</h6>
+                <div class="row g-3">
+                    <div class="${laneDiffs ? 'col-lg-6' : 'col-12'}">
+                        <small class="text-muted">Team gold and XP difference (your team's view)</small>
+                        <div class="timeline-graph-container">
+                            <canvas id="match-team-diff-chart"></canvas>
+                        </div>
+                    </div>
+                    ${laneDiffs ? `
+                        <div class="col-lg-6">
+                            <small class="text-muted">You vs ${opponent.championName} (lane opponent)</small>
+                            <div class="timeline-graph-container">
+                                <canvas id="match-lane-diff-chart"></canvas>
+                            </div>
+                        </div>
+                        <div class="col-12">
+                            <table class="table table-sm text-center mb-0 lane-diff-table">
+                                <thead>
+                                    <tr>
+                                        <th></th>
+                                        <th>@10m</th>
+                                        <th>@15m</th>
+                                        <th>End</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${[['Gold', laneDiffs.gold], ['CS', laneDiffs.cs], ['XP', laneDiffs.xp]].map(([label, series]) => `
+                                        <tr>
+                                            <th class="text-start">${label}</th>
+                                            ${checkpoints.map(minute => `<td>${formatDiff(TimelineUtils.getValueAtMinute(series, minute))}</td>`).join('')}
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    createTimelineCharts(match, timeline, playerParticipant) {
+        const colors = ChartUtils.getDefaultColors();
+        const teamId = playerParticipant ? playerParticipant.teamId : 100;
+
+        const teamCanvas = document.getElementById('match-team-diff-chart');
+        if (teamCanvas) {
+            const teamDiffs = TimelineUtils.getTeamDifferences(match, timeline, teamId);
+            this.matchDetailCharts.push(ChartUtils.createDifferenceChart(teamCanvas.getContext('2d'), teamDiffs.labels, [
+                { label: 'Gold', data: teamDiffs.gold, color: colors.warningBorder },
+                { label: 'XP', data: teamDiffs.xp, color: colors.infoBorder }
+            ]));
+        }
+
+        const laneCanvas = document.getElementById('match-lane-diff-chart');
+        const opponent = this.dataManager.getLaneOpponent(match, playerParticipant);
+        if (laneCanvas && opponent) {
+            const laneDiffs = TimelineUtils.getLaneDifferences(timeline, playerParticipant.participantId, opponent.participantId);
+            this.matchDetailCharts.push(ChartUtils.createDifferenceChart(laneCanvas.getContext('2d'), laneDiffs.labels, [
+                { label: 'Gold', data: laneDiffs.gold, color: colors.warningBorder },
+                { label: 'XP', data: laneDiffs.xp, color: colors.infoBorder },
+                { label: 'CS', data: laneDiffs.cs, color: colors.secondaryBorder, yAxisID: 'cs' }
+            ]));
+
+            // CS differences are much smaller than gold/XP, so give them their own axis
+            const chart = this.matchDetailCharts[this.matchDetailCharts.length - 1];
+            chart.options.scales.cs = {
+                position: 'right',
+                ...ChartUtils.getDefaultScaleStyle(),
+                grid: { display: false },
+                title: { display: true, text: 'CS' }
+            };
+            chart.update();
+        }
+    }
+
+    destroyMatchDetailCharts() {
+        this.matchDetailCharts.forEach(chart => chart.destroy());
+        this.matchDetailCharts = [];
     }
 
-    renderTeamTable(team, mainPlayerPuuid, championData, itemData) {
+    renderTeamTable(team, mainPlayerPuuid, championData, itemData, arenaAugments = null) {
         return team.map(p => {
             const isMainPlayer = p.puuid === mainPlayerPuuid;
             const items = [p.item0, p.item1, p.item2, p.item3, p.item4, p.item5, p.item6]
@@ -370,12 +757,86 @@ class MatchHistory {
                     <td>${p.kills}/${p.deaths}/${p.assists}</td>
                     <td>${p.totalDamageDealtToChampions.toLocaleString()}</td>
                     <td>${p.goldEarned.toLocaleString()}</td>
+                    ${arenaAugments ? `<td>${this.renderAugmentList(p, arenaAugments)}</td>` : ''}
                     <td>${items}</td>
                 </tr>
             `;
         }).join('');
     }
 
+    renderArenaSummary(match, playerParticipant, arenaAugments) {
+        const placement = ArenaUtils.getPlacement(playerParticipant);
+        const partner = ArenaUtils.getDuoPartner(match, playerParticipant);
+        const subteamCount = ArenaUtils.getSubteams(match).length;
+
+        return `
+            <div class="arena-summary mb-4">
+                <h6>Arena Result</h6>
+                <div class="row g-3">
+                    <div class="col-md-3">
+                        <div class="arena-placement ${ArenaUtils.isTopFour(playerParticipant) ? 'top-four' : ''}">
+                            ${ArenaUtils.formatPlacement(placement)}
+                            <small class="text-muted">/ ${subteamCount}</small>
+                        </div>
+                    </div>
+                    <div class="col-md-4">
+                        <strong>Duo Partner:</strong>
+                        ${partner ? `${partner.riotIdGameName} (${partner.championName})` : '<span class="text-muted">Unknown</span>'}
+                    </div>
+                    <div class="col-md-5">
+                        <strong>Augments:</strong>
+                        ${this.renderAugmentList(playerParticipant, arenaAugments)}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderAugmentList(participant, arenaAugments) {
+        const augmentIds = ArenaUtils.getAugmentIds(participant);
+        if (augmentIds.length === 0) return '<span class="text-muted">-</span>';
+
+        return augmentIds.map(augmentId => {
+            const name = ArenaUtils.getAugmentName(augmentId, arenaAugments);
+            const iconUrl = ArenaUtils.getAugmentIconUrl(augmentId, arenaAugments);
+            return iconUrl
+                ? `<img src="${iconUrl}" class="augment-icon" alt="${name}" title="${name}">`
+                : `<span class="badge bg-light text-dark border augment-badge">${name}</span>`;
+        }).join(' ');
+    }
+
+    // One card per duo, ordered by placement (Arena lobbies are 8 subteams of 2)
+    renderArenaTeams(match, mainPlayerPuuid, championData, itemData, arenaAugments) {
+        return `
+            <div class="row mt-4 arena-teams">
+                ${ArenaUtils.getSubteams(match).map(subteam => `
+                    <div class="col-lg-6 mb-3">
+                        <h6 class="${subteam.placement <= 4 ? 'text-success' : 'text-muted'}">
+                            ${ArenaUtils.formatPlacement(subteam.placement)} Place
+                        </h6>
+                        <div class="table-responsive">
+                            <table class="table table-sm table-hover mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Player</th>
+                                        <th>KDA</th>
+                                        <th>Damage</th>
+                                        <th>Gold</th>
+                                        <th>Augments</th>
+                                        <th>Items</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${this.renderTeamTable(subteam.participants, mainPlayerPuuid, championData, itemData, arenaAugments)}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     getFilteredMatches() {
         return this.filteredMatches;
     }
@@ -525,15 +986,27 @@ class MatchHistory {
                             </div>
                         </div>
                         
-                        <!-- Game Mode Filter -->
+                        <!-- Patch Filter -->
+                        <div class="filter-group">
+                            <label>Patch</label>
+                            <select id="match-patch-filter" class="form-select">
+                                <option value="">All Patches</option>
+                            </select>
+                        </div>
+
+                        <!-- Queue Filter -->
                         <div class="filter-group">
-                            <label>Game Mode</label>
-                            <select id="gamemode-filter" class="form-select">
-                                <option value="">All Game Modes</option>
-                                <option value="CLASSIC">Ranked/Normal</option>
-                                <option value="ARAM">ARAM</option>
-                                <option value="URF">URF</option>
-                                <option value="ONEFORALL">One for All</option>
+                            <label>Queue</label>
+                            <select id="match-queue-filter" class="form-select">
+                                <option value="">All Queues</option>
+                            </select>
+                        </div>
+
+                        <!-- Teammate Filter -->
+                        <div class="filter-group">
+                            <label>Played With</label>
+                            <select id="match-teammate-filter" class="form-select">
+                                <option value="">Anyone</option>
                             </select>
                         </div>
                         
@@ -607,14 +1080,16 @@ class MatchHistory {
         });
     }
 
-    applyAdvancedFilters() {
+    applyAdvancedFilters({ replaceRoute = false } = {}) {
         const filters = {
             ...this.currentFilters,
             dateFrom: document.getElementById('date-from')?.value,
             dateTo: document.getElementById('date-to')?.value,
             minDuration: parseInt(document.getElementById('min-duration')?.value || 0) * 60,
             maxDuration: parseInt(document.getElementById('max-duration')?.value || 60) * 60,
-            gameMode: document.getElementById('gamemode-filter')?.value,
+            queueId: document.getElementById('match-queue-filter')?.value,
+            patch: document.getElementById('match-patch-filter')?.value,
+            teammate: document.getElementById('match-teammate-filter')?.value,
             winsOnly: document.getElementById('filter-wins')?.checked,
             lossesOnly: document.getElementById('filter-losses')?.checked,
             positiveKDAOnly: document.getElementById('filter-positive-kda')?.checked,
@@ -624,6 +1099,7 @@ class MatchHistory {
         
         this.currentFilters = filters;
         this.renderMatchList();
+        this.notifyFiltersChanged({ replace: replaceRoute });
     }
 
     clearAdvancedFilters() {
@@ -632,13 +1108,16 @@ class MatchHistory {
         document.getElementById('min-duration').value = 0;
         document.getElementById('max-duration').value = 60;
         document.getElementById('duration-display').textContent = '0m - 60m';
-        document.getElementById('gamemode-filter').value = '';
+        document.getElementById('match-queue-filter').value = '';
+        document.getElementById('match-patch-filter').value = '';
+        document.getElementById('match-teammate-filter').value = '';
         document.getElementById('filter-wins').checked = false;
         document.getElementById('filter-losses').checked = false;
         document.getElementById('filter-positive-kda').checked = false;
         document.getElementById('min-kda').value = '';
         document.getElementById('max-kda').value = '';
         document.getElementById('filter-presets').value = '';
+        delete this.currentFilters.rankedOnly;
         
         this.applyAdvancedFilters();
     }
@@ -665,7 +1144,7 @@ class MatchHistory {
                 winsOnly: true
             },
             'recent-ranked': {
-                gameMode: 'CLASSIC',
+                rankedOnly: true,
                 dateFrom: this.getDateDaysAgo(14)
             }
         };
@@ -678,9 +1157,10 @@ class MatchHistory {
             if (preset.minDuration) document.getElementById('min-duration').value = Math.floor(preset.minDuration / 60);
             if (preset.minKDA) document.getElementById('min-kda').value = preset.minKDA;
             if (preset.maxKDA) document.getElementById('max-kda').value = preset.maxKDA;
-            if (preset.gameMode) document.getElementById('gamemode-filter').value = preset.gameMode;
             
-            this.applyAdvancedFilters();
+            this.currentFilters.rankedOnly = Boolean(preset.rankedOnly);
+            // clearAdvancedFilters already added a history entry for this preset
+            this.applyAdvancedFilters({ replaceRoute: true });
         }
     }
 
@@ -693,7 +1173,9 @@ class MatchHistory {
             dateTo: document.getElementById('date-to').value,
             minDuration: parseInt(document.getElementById('min-duration').value) * 60,
             maxDuration: parseInt(document.getElementById('max-duration').value) * 60,
-            gameMode: document.getElementById('gamemode-filter').value,
+            queueId: document.getElementById('match-queue-filter').value,
+            patch: document.getElementById('match-patch-filter').value,
+            teammate: document.getElementById('match-teammate-filter').value,
             winsOnly: document.getElementById('filter-wins').checked,
             lossesOnly: document.getElementById('filter-losses').checked,
             positiveKDAOnly: document.getElementById('filter-positive-kda').checked,
@@ -769,7 +1251,7 @@ class MatchHistory {
                 
             case 'ranked-only':
                 this.currentFilters = {
-                    gameMode: 'CLASSIC'
+                    rankedOnly: true
                 };
                 break;
                 
@@ -783,6 +1265,7 @@ class MatchHistory {
         // Update the basic filter UI to reflect the quick filter
         this.updateFilterUI();
         this.renderMatchList();
+        this.notifyFiltersChanged();
     }
 
     updateFilterUI() {
@@ -807,9 +1290,19 @@ class MatchHistory {
                 if (minDurationInput) minDurationInput.value = Math.floor(this.currentFilters.minDuration / 60);
             }
             
-            if (this.currentFilters.gameMode) {
-                const gameModeInput = document.getElementById('gamemode-filter');
-                if (gameModeInput) gameModeInput.value = this.currentFilters.gameMode;
+            if (this.currentFilters.queueId) {
+                const queueInput = document.getElementById('match-queue-filter');
+                if (queueInput) queueInput.value = this.currentFilters.queueId;
+            }
+
+            if (this.currentFilters.patch) {
+                const patchInput = document.getElementById('match-patch-filter');
+                if (patchInput) patchInput.value = this.currentFilters.patch;
+            }
+
+            if (this.currentFilters.teammate) {
+                const teammateInput = document.getElementById('match-teammate-filter');
+                if (teammateInput) teammateInput.value = this.currentFilters.teammate;
             }
             
             if (this.currentFilters.winsOnly) {
@@ -855,7 +1348,7 @@ class MatchHistory {
         return date.toISOString().split('T')[0];
     }
 
-    renderPlayerHighlight(playerParticipant, championData) {
+    renderPlayerHighlight(playerParticipant, championData, isArena = false) {
         const championIdMap = new Map(Object.values(championData.data).map(c => [c.key, c]));
         const champInfo = championIdMap.get(String(playerParticipant.championId));
         const champIconUrl = champInfo ? 
@@ -873,7 +1366,9 @@ class MatchHistory {
                 <img src="${champIconUrl}" class="champion-icon-large mb-2" alt="${playerParticipant.championName}" style="width: 64px; height: 64px;">
                 <h6>${playerParticipant.championName}</h6>
                 <div class="result-badge ${playerParticipant.win ? 'bg-success' : 'bg-danger'} text-white px-3 py-1 rounded">
-                    ${playerParticipant.win ? 'Victory' : 'Defeat'}
+                    ${isArena
+                        ? `${ArenaUtils.formatPlacement(ArenaUtils.getPlacement(playerParticipant))} Place`
+                        : playerParticipant.win ? 'Victory' : 'Defeat'}
                 </div>
                 <div class="mt-2">
                     <strong>KDA:</strong> ${playerParticipant.kills}/${playerParticipant.deaths}/${playerParticipant.assists}
@@ -883,12 +1378,68 @@ class MatchHistory {
         `;
     }
 
-    renderMatchTimeline(match, mainPlayerPuuid) {
-        const timelineData = this.processMatchTimeline(match);
+    // Keystone, both trees, stat shards and summoner spells; skipped for games without runes (Arena)
+    renderRunePage(playerParticipant, runesReforged, summonerSpells) {
+        const runePage = RuneUtils.getRunePage(playerParticipant, runesReforged);
+        if (!runePage) return '';
+
+        const renderPerk = (perk, className = 'rune-icon') => perk.iconUrl
+            ? `<img src="${perk.iconUrl}" class="${className}" alt="${perk.name}" title="${perk.name}">`
+            : `<span class="badge bg-secondary rune-placeholder" title="${perk.name}">${perk.id}</span>`;
+        const spells = RuneUtils.getSummonerSpellIds(playerParticipant)
+            .map(spellId => RuneUtils.describeSummonerSpell(spellId, summonerSpells));
+
+        return `
+            <div class="rune-page mb-4">
+                <h6>Runes &amp; Summoner Spells</h6>
+                <div class="d-flex flex-wrap align-items-center gap-4">
+                    <div class="rune-tree">
+                        <div class="small text-muted mb-1">${runePage.primaryStyle.iconUrl ? renderPerk(runePage.primaryStyle, 'rune-style-icon') : ''} ${runePage.primaryStyle.name}</div>
+                        <div class="d-flex align-items-center gap-1">
+                            ${renderPerk(runePage.keystone, 'rune-keystone-icon')}
+                            ${runePage.primaryRunes.map(rune => renderPerk(rune)).join('')}
+                        </div>
+                        <div class="small fw-semibold mt-1">${runePage.keystone.name}</div>
+                    </div>
+                    <div class="rune-tree">
+                        <div class="small text-muted mb-1">${runePage.subStyle.iconUrl ? renderPerk(runePage.subStyle, 'rune-style-icon') : ''} ${runePage.subStyle.name}</div>
+                        <div class="d-flex align-items-center gap-1">
+                            ${runePage.secondaryRunes.map(rune => renderPerk(rune)).join('')}
+                        </div>
+                    </div>
+                    <div class="rune-tree">
+                        <div class="small text-muted mb-1">Shards</div>
+                        <div class="d-flex align-items-center gap-1">
+                            ${runePage.shards.map(shard => renderPerk(shard, 'rune-shard-icon')).join('')}
+                        </div>
+                    </div>
+                    <div class="rune-tree">
+                        <div class="small text-muted mb-1">Spells</div>
+                        <div class="d-flex align-items-center gap-1">
+                            ${spells.map(spell => renderPerk(spell, 'summoner-spell-icon')).join('')}
+                        </div>
+                    </div>
+                </div>
+                ${runesReforged.length === 0 ? '<small class="text-muted d-block mt-2">Rune names need game-data/runesReforged.json (node scripts/fetch-game-data.js).</small>' : ''}
+            </div>
+        `;
+    }
+
+    renderMatchTimeline(match, mainPlayerPuuid, timeline = null) {
+        const timelineData = timeline
+            ? this.processTimelineEvents(match, timeline, mainPlayerPuuid)
+            : this.processMatchTimeline(match);
         
         return `
             <div class="match-timeline mb-4">
-                <h6>Match Timeline</h6>
+                <h6>
+                    Match Timeline
+                    ${timelineData.estimated ? `
+                        <span class="badge bg-warning text-dark ms-2 timeline-estimate-badge" title="No timeline file for this match; times are approximated from team objectives">
+                            <i class="bi bi-exclamation-triangle me-1"></i>Estimated times
+                        </span>
+                    ` : ''}
+                </h6>
                 <div class="timeline-container">
                     <div class="timeline-header">
                         <span class="time-marker">0m</span>
@@ -1017,7 +1568,145 @@ class MatchHistory {
             });
         }
         
-        return { events: events.sort((a, b) => a.position - b.position) };
+        return { events: events.sort((a, b) => a.position - b.position), estimated: true };
+    }
+
+    // Builds timeline events from match-v5 timeline frames
+    processTimelineEvents(match, timeline, mainPlayerPuuid) {
+        const events = [];
+        const gameDurationMs = match.info.gameDuration * 1000;
+        const participants = new Map(match.info.participants.map(p => [p.participantId, p]));
+        const mainPlayer = match.info.participants.find(p => p.puuid === mainPlayerPuuid);
+        const teamName = teamId => teamId === 100 ? 'Blue' : 'Red';
+        const championName = participantId => participants.get(participantId)?.championName || 'Minions';
+        const toEvent = (event, details) => ({
+            timestamp: this.formatTimelineTimestamp(event.timestamp),
+            position: Math.min(event.timestamp / gameDurationMs * 100, 98),
+            ...details
+        });
+
+        const counts = { dragon: { 100: 0, 200: 0 }, tower: { 100: 0, 200: 0 } };
+        let firstBloodFound = false;
+
+        timeline.info.frames.forEach(frame => {
+            (frame.events || []).forEach(event => {
+                switch (event.type) {
+                    case 'CHAMPION_KILL': {
+                        const killer = participants.get(event.killerId);
+                        const isFirstBlood = !firstBloodFound && Boolean(killer);
+                        const involvesPlayer = mainPlayer && (
+                            event.killerId === mainPlayer.participantId ||
+                            event.victimId === mainPlayer.participantId ||
+                            (event.assistingParticipantIds || []).includes(mainPlayer.participantId)
+                        );
+
+                        if (isFirstBlood) {
+                            firstBloodFound = true;
+                            events.push(toEvent(event, {
+                                type: 'first-blood',
+                                title: 'First Blood',
+                                description: `${championName(event.killerId)} killed ${championName(event.victimId)}`,
+                                icon: 'bi-droplet-half',
+                                teamId: killer.teamId,
+                                importance: 'high'
+                            }));
+                        } else if (involvesPlayer) {
+                            const playerDied = event.victimId === mainPlayer.participantId;
+                            events.push(toEvent(event, {
+                                type: playerDied ? 'death' : 'kill',
+                                title: playerDied ? 'You Died' : (event.killerId === mainPlayer.participantId ? 'Kill' : 'Assist'),
+                                description: `${championName(event.killerId)} killed ${championName(event.victimId)}`,
+                                icon: playerDied ? 'bi-x-circle' : 'bi-crosshair',
+                                teamId: killer ? killer.teamId : (mainPlayer.teamId === 100 ? 200 : 100),
+                                importance: 'medium'
+                            }));
+                        }
+                        break;
+                    }
+                    case 'BUILDING_KILL': {
+                        // teamId is the team that owned the building
+                        const teamId = event.teamId === 100 ? 200 : 100;
+                        const isTower = event.buildingType === 'TOWER_BUILDING';
+                        const number = isTower ? ++counts.tower[teamId] : null;
+                        events.push(toEvent(event, {
+                            type: 'tower',
+                            title: isTower ? (number === 1 ? 'First Tower' : `Tower ${number}`) : 'Inhibitor',
+                            description: `${teamName(teamId)} Team destroyed ${this.getBuildingDescription(event)}`,
+                            icon: 'bi-building-fill',
+                            teamId,
+                            importance: isTower && number > 2 ? 'medium' : 'high'
+                        }));
+                        break;
+                    }
+                    case 'ELITE_MONSTER_KILL': {
+                        const teamId = event.killerTeamId || participants.get(event.killerId)?.teamId;
+                        if (event.monsterType === 'DRAGON') {
+                            const isElder = event.monsterSubType === 'ELDER_DRAGON';
+                            const number = ++counts.dragon[teamId];
+                            events.push(toEvent(event, {
+                                type: 'dragon',
+                                title: isElder ? 'Elder Dragon' : `Dragon ${number}`,
+                                description: `${teamName(teamId)} Team secured ${this.formatMonsterSubType(event.monsterSubType)}`,
+                                icon: isElder ? 'bi-award-fill' : 'bi-fire',
+                                teamId,
+                                importance: isElder ? 'critical' : 'high'
+                            }));
+                        } else if (event.monsterType === 'BARON_NASHOR') {
+                            events.push(toEvent(event, {
+                                type: 'baron',
+                                title: 'Baron Nashor',
+                                description: `${teamName(teamId)} Team secured Baron Nashor buff`,
+                                icon: 'bi-gem',
+                                teamId,
+                                importance: 'critical'
+                            }));
+                        } else if (event.monsterType === 'RIFT_HERALD') {
+                            events.push(toEvent(event, {
+                                type: 'herald',
+                                title: 'Rift Herald',
+                                description: `${teamName(teamId)} Team secured Rift Herald`,
+                                icon: 'bi-eye-fill',
+                                teamId,
+                                importance: 'medium'
+                            }));
+                        }
+                        break;
+                    }
+                }
+            });
+        });
+
+        return { events: events.sort((a, b) => a.position - b.position), estimated: false };
+    }
+
+    formatTimelineTimestamp(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    getBuildingDescription(event) {
+        const lanes = { TOP_LANE: 'top', MID_LANE: 'mid', BOT_LANE: 'bot' };
+        const lane = lanes[event.laneType] ? `${lanes[event.laneType]} ` : '';
+
+        if (event.buildingType === 'INHIBITOR_BUILDING') {
+            return `${lane}inhibitor`;
+        }
+
+        const towers = {
+            OUTER_TURRET: 'outer turret',
+            INNER_TURRET: 'inner turret',
+            BASE_TURRET: 'inhibitor turret',
+            NEXUS_TURRET: 'nexus turret'
+        };
+        return `${lane}${towers[event.towerType] || 'turret'}`;
+    }
+
+    formatMonsterSubType(subType) {
+        if (!subType) return 'Dragon';
+        // e.g. FIRE_DRAGON -> Fire Dragon
+        return subType.toLowerCase().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
     }
 
     getTowerTypeDescription(towerNumber) {
@@ -1501,160 +2190,7 @@ class MatchHistory {
 
     calculateComprehensiveStatistics() {
         const matches = this.filteredMatches.length ? this.filteredMatches : this.dataManager.getData().playerMatches;
-        
-        if (matches.length === 0) {
-            return {
-                totalMatches: 0,
-                winRate: 0,
-                avgKDA: '0.00',
-                avgGPM: 0,
-                longestWinStreak: 0,
-                longestLossStreak: 0,
-                currentStreak: { count: 0, type: 'none' },
-                bestKDAGame: { kda: '0.00' },
-                recent10: { wins: 0, losses: 0 },
-                recent20: { wins: 0, losses: 0 },
-                thisWeek: { games: 0 },
-                bestRole: { role: 'N/A', winRate: 0 },
-                avgKills: '0.0',
-                avgDeaths: '0.0',
-                avgAssists: '0.0',
-                avgDamagePerGame: 0
-            };
-        }
-
-        const totalMatches = matches.length;
-        const wins = matches.filter(m => m.playerParticipant.win).length;
-        const winRate = Math.round((wins / totalMatches) * 100);
-
-        // Calculate averages
-        const totalKills = matches.reduce((sum, m) => sum + m.playerParticipant.kills, 0);
-        const totalDeaths = matches.reduce((sum, m) => sum + m.playerParticipant.deaths, 0);
-        const totalAssists = matches.reduce((sum, m) => sum + m.playerParticipant.assists, 0);
-        const totalDamage = matches.reduce((sum, m) => sum + m.playerParticipant.totalDamageDealtToChampions, 0);
-        const totalGold = matches.reduce((sum, m) => sum + m.playerParticipant.goldEarned, 0);
-        const totalGameTime = matches.reduce((sum, m) => sum + m.match.info.gameDuration, 0);
-
-        const avgKDA = this.dataManager.calculateKDA(totalKills, totalDeaths, totalAssists);
-        const avgGPM = Math.round((totalGold / totalGameTime) * 60);
-
-        // Calculate streaks
-        const streaks = this.calculateStreaks(matches);
-        
-        // Calculate recent form
-        const recent10 = matches.slice(-10);
-        const recent20 = matches.slice(-20);
-        const recent10Wins = recent10.filter(m => m.playerParticipant.win).length;
-        const recent20Wins = recent20.filter(m => m.playerParticipant.win).length;
-
-        // Calculate this week's games
-        const oneWeekAgo = new Date();
-        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-        const thisWeekGames = matches.filter(m => new Date(m.match.info.gameCreation) >= oneWeekAgo).length;
-
-        // Find best role
-        const roleStats = {};
-        matches.forEach(m => {
-            const role = m.playerParticipant.teamPosition || 'UNKNOWN';
-            if (!roleStats[role]) {
-                roleStats[role] = { games: 0, wins: 0 };
-            }
-            roleStats[role].games++;
-            if (m.playerParticipant.win) roleStats[role].wins++;
-        });
-
-        let bestRole = { role: 'N/A', winRate: 0 };
-        Object.entries(roleStats).forEach(([role, stats]) => {
-            if (stats.games >= 3) { // Only consider roles with at least 3 games
-                const winRate = Math.round((stats.wins / stats.games) * 100);
-                if (winRate > bestRole.winRate) {
-                    bestRole = { role, winRate };
-                }
-            }
-        });
-
-        // Find best KDA game
-        let bestKDAGame = { kda: '0.00' };
-        matches.forEach(m => {
-            const kda = this.dataManager.calculateKDA(
-                m.playerParticipant.kills,
-                m.playerParticipant.deaths,
-                m.playerParticipant.assists
-            );
-            const kdaValue = kda === Infinity ? 999 : kda;
-            const bestKdaValue = bestKDAGame.kda === 'Perfect' ? 999 : parseFloat(bestKDAGame.kda);
-            
-            if (kdaValue > bestKdaValue) {
-                bestKDAGame.kda = kda === Infinity ? 'Perfect' : kda.toFixed(2);
-            }
-        });
-
-        return {
-            totalMatches,
-            winRate,
-            avgKDA: avgKDA === Infinity ? 'Perfect' : avgKDA.toFixed(2),
-            avgGPM,
-            longestWinStreak: streaks.longestWin,
-            longestLossStreak: streaks.longestLoss,
-            currentStreak: streaks.current,
-            bestKDAGame,
-            recent10: { wins: recent10Wins, losses: recent10.length - recent10Wins },
-            recent20: { wins: recent20Wins, losses: recent20.length - recent20Wins },
-            thisWeek: { games: thisWeekGames },
-            bestRole,
-            avgKills: (totalKills / totalMatches).toFixed(1),
-            avgDeaths: (totalDeaths / totalMatches).toFixed(1),
-            avgAssists: (totalAssists / totalMatches).toFixed(1),
-            avgDamagePerGame: Math.round(totalDamage / totalMatches)
-        };
-    }
-
-    calculateStreaks(matches) {
-        let longestWin = 0;
-        let longestLoss = 0;
-        let currentWin = 0;
-        let currentLoss = 0;
-        let currentStreak = { count: 0, type: 'none' };
-
-        // Process matches in chronological order
-        const sortedMatches = [...matches].sort((a, b) => a.match.info.gameCreation - b.match.info.gameCreation);
-        
-        for (let i = 0; i < sortedMatches.length; i++) {
-            const isWin = sortedMatches[i].playerParticipant.win;
-            
-            if (isWin) {
-                currentWin++;
-                currentLoss = 0;
-                longestWin = Math.max(longestWin, currentWin);
-            } else {
-                currentLoss++;
-                currentWin = 0;
-                longestLoss = Math.max(longestLoss, currentLoss);
-            }
-        }
-
-        // Current streak is from the most recent matches
-        if (sortedMatches.length > 0) {
-            const mostRecent = sortedMatches[sortedMatches.length - 1];
-            let streakCount = 1;
-            const streakType = mostRecent.playerParticipant.win ? 'win' : 'loss';
-            
-            for (let i = sortedMatches.length - 2; i >= 0; i--) {
-                if (sortedMatches[i].playerParticipant.win === mostRecent.playerParticipant.win) {
-                    streakCount++;
-                } else {
-                    break;
-                }
-            }
-            
-            currentStreak = { count: streakCount, type: streakType };
-        }
-
-        return {
-            longestWin,
-            longestLoss,
-            current: currentStreak
-        };
+        return Analytics.calculateComprehensiveStatistics(matches);
     }
 
     showExportOptions() {
@@ -1720,6 +2256,7 @@ class MatchHistory {
                 gameDuration: match.info.gameDuration,
                 gameMode: match.info.gameMode,
                 queueId: match.info.queueId,
+                patch: this.dataManager.getPatch(match),
                 champion: playerParticipant.championName,
                 role: playerParticipant.teamPosition || 'UNKNOWN',
                 result: playerParticipant.win ? 'Victory' : 'Defeat',
@@ -2116,7 +2653,24 @@ class MatchHistory {
         return `rgba(${r}, ${g}, ${b}, ${0.3 + scaledIntensity * 0.7})`;
     }
 
+    // Re-render with the latest data (e.g. after more matches finish loading)
+    refresh() {
+        const data = this.dataManager.getData();
+        this.setupFilters(data);
+
+        const roleFilter = document.getElementById('role-filter');
+        if (roleFilter) roleFilter.value = this.currentFilters.role || '';
+
+        this.renderMatchList();
+    }
+
+    onDataChanged() {
+        this.refresh();
+    }
+
     destroy() {
+        this.destroyMatchDetailCharts();
+
         // Clean up event listeners
         const elements = ['search-input', 'role-filter', 'champion-filter', 'clear-filter-btn'];
         elements.forEach(id => {
@@ -2,8 +2,9 @@
  * Mini-map Module - Interactive champion positioning visualization
  */
 class MiniMap {
-    constructor(dataManager) {
+    constructor(dataManager, eventBus = new EventBus()) {
         this.dataManager = dataManager;
+        this.eventBus = eventBus;
         this.rolePaths = {
             blue: {
                 // bot-left to top-left → move up (y ↓), x stays low
@@ -32,11 +33,39 @@ class MiniMap {
                 UNKNOWN: { origin: { x: 80, y: 80 }, radiusX: 6, radiusY: 10 }
             }
         };
+
+        // Timeline layers plot real game coordinates (Summoner's Rift is ~14870 units square)
+        this.MAP_SIZE = 14870;
+        this.gamePhases = {
+            early: { label: 'Early (0-14m)', from: 0, to: 14 },
+            mid: { label: 'Mid (14-25m)', from: 14, to: 25 },
+            late: { label: 'Late (25m+)', from: 25, to: Infinity }
+        };
+        this.mapMode = 'icons';
+        this.timelineFilters = { phase: '', role: '', champion: '', mirrorRedSide: true, minuteFrom: null, minuteTo: null };
+        this.wardTypes = {
+            stealth: { label: 'Stealth Ward', color: '234, 179, 8', types: ['YELLOW_TRINKET', 'SIGHT_WARD'] },
+            control: { label: 'Control Ward', color: '236, 72, 153', types: ['CONTROL_WARD'] },
+            blue: { label: 'Blue Trinket', color: '59, 130, 246', types: ['BLUE_TRINKET'] }
+        };
+        this.timelineRenderId = 0;
+        this.heatmapRenderId = 0;
+    }
+
+    static getModuleDefinition() {
+        return {
+            tabId: 'mini-map',
+            title: 'Mini-map',
+            icon: 'bi-map',
+            publishes: ['matches:show'],
+            subscribes: {}
+        };
     }
 
     init() {
         this.setupEventListeners();
         this.addCustomizationToggle();
+        this.addTimelineLayerControls();
         this.renderMiniMap(199); // Show all games by default
         this.tooltipsEnabled = true; // Initialize tooltip state
     }
@@ -55,10 +84,19 @@ class MiniMap {
         if (!miniMapIconsEl) return;
 
         miniMapIconsEl.innerHTML = '';
+        this.gamesToShow = gamesToShow;
         
         const data = this.dataManager.getData();
         const { playerMatches, championData } = data;
         const matchesToRender = playerMatches.slice(0, gamesToShow);
+
+        // Timeline layers replace the estimated champion icons
+        if (this.mapMode !== 'icons') {
+            this.renderTimelineLayer(matchesToRender);
+            this.updateMapStatistics(matchesToRender);
+            return;
+        }
+        this.clearTimelineLayer();
         
         // Group matches by role for better positioning
         const matchesByRole = { 
@@ -499,6 +537,12 @@ class MiniMap {
                 <div class="col-lg-6">
                     <div id="synergy-analysis-container"></div>
                 </div>
+                <div class="col-12">
+                    <div id="teammate-analysis-container"></div>
+                </div>
+                <div class="col-12">
+                    <div id="opponent-analysis-container"></div>
+                </div>
             </div>
         `;
 
@@ -518,6 +562,16 @@ class MiniMap {
             const synergyAnalysis = this.calculateChampionSynergies();
             synergyContainer.appendChild(synergyAnalysis);
         }
+
+        const teammateContainer = document.getElementById('teammate-analysis-container');
+        if (teammateContainer) {
+            teammateContainer.appendChild(this.renderTeammateTracker());
+        }
+
+        const opponentContainer = document.getElementById('opponent-analysis-container');
+        if (opponentContainer) {
+            opponentContainer.appendChild(this.renderNemesisReport());
+        }
     }
 
     createStatisticsPanel() {
@@ -689,25 +743,24 @@ class MiniMap {
 
     // Analytics methods
     getRoleDistribution(gamesToShow = 199) {
-        const data = this.dataManager.getData();
-        const matches = data.playerMatches.slice(0, gamesToShow);
-        
-        const distribution = {};
-        matches.forEach(({ playerParticipant }) => {
-            const role = playerParticipant.teamPosition || 'UNKNOWN';
-            distribution[role] = (distribution[role] || 0) + 1;
-        });
-        
-        return distribution;
+        return Analytics.getRoleDistribution(this.dataManager.getData().playerMatches.slice(0, gamesToShow));
     }
 
     // Heatmap functionality
-    createPositionalHeatmap(role, gamesToShow = 199) {
-        const heatmapData = this.calculateHeatmapData(role, gamesToShow);
+    // With timelines (matchId -> timeline) for the role's games, the heatmap shows real per-minute
+    // positions coloured by where the player died; otherwise positions are estimated from role paths
+    createPositionalHeatmap(role, gamesToShow = 199, timelines = new Map()) {
+        const timelineEntries = this.getHeatmapMatches(role, gamesToShow)
+            .filter(({ match }) => timelines.has(match.metadata.matchId))
+            .map(entry => ({ ...entry, timeline: timelines.get(entry.match.metadata.matchId) }));
+        const heatmapData = timelineEntries.length > 0
+            ? this.calculateTimelineHeatmapData(timelineEntries)
+            : this.calculateHeatmapData(role, gamesToShow);
         
         const heatmapCanvas = document.createElement('canvas');
         heatmapCanvas.id = `heatmap-${role.toLowerCase()}`;
         heatmapCanvas.className = 'position-heatmap';
+        heatmapCanvas.dataset.source = timelineEntries.length > 0 ? 'timeline' : 'estimated';
         heatmapCanvas.width = 400;
         heatmapCanvas.height = 400;
         
@@ -716,13 +769,16 @@ class MiniMap {
         return heatmapCanvas;
     }
 
-    calculateHeatmapData(role, gamesToShow) {
-        const data = this.dataManager.getData();
-        const relevantMatches = data.playerMatches
+    getHeatmapMatches(role, gamesToShow) {
+        return this.dataManager.getData().playerMatches
             .filter(({ playerParticipant }) => 
                 (playerParticipant.teamPosition || 'UNKNOWN') === role
             )
             .slice(0, gamesToShow);
+    }
+
+    calculateHeatmapData(role, gamesToShow) {
+        const relevantMatches = this.getHeatmapMatches(role, gamesToShow);
         
         // Create density grid
         const gridSize = 40;
@@ -768,6 +824,48 @@ class MiniMap {
         return { density: densityGrid, performance: performanceGrid, gameCount: gameCountGrid, gridSize };
     }
 
+    // Density from the per-minute position frames; cells without deaths are green and
+    // death spots shade from yellow to red with their share of the worst spot
+    calculateTimelineHeatmapData(entries) {
+        const gridSize = 40;
+        const densityGrid = Array(gridSize).fill().map(() => Array(gridSize).fill(0));
+        const deathGrid = Array(gridSize).fill().map(() => Array(gridSize).fill(0));
+
+        const addToGrid = (grid, position, teamId) => {
+            const mapPosition = this.toMapPercent(position, teamId);
+            const gridX = Math.min(gridSize - 1, Math.floor(mapPosition.x / 100 * gridSize));
+            const gridY = Math.min(gridSize - 1, Math.floor(mapPosition.y / 100 * gridSize));
+            grid[gridY][gridX]++;
+        };
+
+        entries.forEach(({ playerParticipant, timeline }) => {
+            const { participantId, teamId } = playerParticipant;
+
+            timeline.info.frames.forEach(frame => {
+                const participantFrame = TimelineUtils.getParticipantFrame(frame, participantId);
+                if (participantFrame && participantFrame.position) {
+                    addToGrid(densityGrid, participantFrame.position, teamId);
+                }
+            });
+
+            TimelineUtils.getEvents(timeline, 'CHAMPION_KILL').forEach(event => {
+                if (event.victimId !== participantId || !event.position) return;
+                addToGrid(deathGrid, event.position, teamId);
+                // Deaths between two frames still mark the cell as visited
+                addToGrid(densityGrid, event.position, teamId);
+            });
+        });
+
+        const maxDeaths = Math.max(...deathGrid.flat());
+        const performanceGrid = densityGrid.map((row, y) => row.map((count, x) => {
+            if (count === 0) return 0;
+            return deathGrid[y][x] > 0 ? -deathGrid[y][x] / maxDeaths : 1;
+        }));
+
+        // Cells with repeated deaths get the outline
+        return { density: densityGrid, performance: performanceGrid, gameCount: deathGrid, gridSize };
+    }
+
     renderHeatmapData(canvas, heatmapData) {
         const ctx = canvas.getContext('2d');
         const { density, performance, gameCount, gridSize } = heatmapData;
@@ -825,7 +923,7 @@ class MiniMap {
         }
     }
 
-    toggleHeatmap(role) {
+    async toggleHeatmap(role) {
         const miniMapContainer = document.getElementById('mini-map-container');
         if (!miniMapContainer) return;
         
@@ -835,8 +933,15 @@ class MiniMap {
             // Remove existing heatmap
             existingHeatmap.remove();
         } else {
+            // Only games the manifest lists with a timeline are fetched
+            const renderId = ++this.heatmapRenderId;
+            const matchIds = this.getHeatmapMatches(role, 50).map(({ match }) => match.metadata.matchId);
+            const timelines = await this.dataManager.loadTimelines(matchIds);
+            // The heatmap selection changed while timelines were loading
+            if (renderId !== this.heatmapRenderId) return;
+
             // Create new heatmap
-            const heatmap = this.createPositionalHeatmap(role, 50);
+            const heatmap = this.createPositionalHeatmap(role, 50, timelines);
             heatmap.style.position = 'absolute';
             heatmap.style.top = '0';
             heatmap.style.left = '0';
@@ -849,29 +954,7 @@ class MiniMap {
     }
 
     getTeamSideStats(gamesToShow = 199) {
-        const data = this.dataManager.getData();
-        const matches = data.playerMatches.slice(0, gamesToShow);
-        
-        const sideStats = {
-            blue: { games: 0, wins: 0 },
-            red: { games: 0, wins: 0 }
-        };
-        
-        matches.forEach(({ playerParticipant }) => {
-            const side = playerParticipant.teamId === 100 ? 'blue' : 'red';
-            sideStats[side].games++;
-            if (playerParticipant.win) {
-                sideStats[side].wins++;
-            }
-        });
-        
-        // Calculate win rates
-        Object.keys(sideStats).forEach(side => {
-            const stats = sideStats[side];
-            stats.winRate = stats.games > 0 ? (stats.wins / stats.games * 100).toFixed(1) : 0;
-        });
-        
-        return sideStats;
+        return Analytics.getTeamSideStats(this.dataManager.getData().playerMatches.slice(0, gamesToShow));
     }
 
     getPositionalHeatmap(role, gamesToShow = 199) {
@@ -1429,6 +1512,145 @@ class MiniMap {
         championFilter.addEventListener('change', updateSynergies);
     }
 
+    // Recurring teammates by puuid; champion synergies above only see champion names
+    renderTeammateTracker() {
+        const { playerMatches, championData } = this.dataManager.getData();
+        const teammates = this.dataManager.calculateTeammateStats(playerMatches);
+
+        const container = document.createElement('div');
+        container.className = 'teammate-tracker';
+
+        const formatDiff = teammate => {
+            if (teammate.winRateDiff === null) return '<span class="text-muted">-</span>';
+            const cls = teammate.winRateDiff >= 0 ? 'text-success' : 'text-danger';
+            return `<span class="${cls}">${teammate.winRateDiff >= 0 ? '+' : ''}${teammate.winRateDiff.toFixed(1)}%</span>`;
+        };
+
+        container.innerHTML = `
+            <div class="card stat-card">
+                <div class="card-body">
+                    <h6><i class="bi bi-person-hearts me-2"></i>Recurring Teammates</h6>
+                    ${teammates.length === 0 ? `
+                        <div class="text-center text-muted p-3">No teammate shared more than one game with you</div>
+                    ` : `
+                        <div class="table-responsive">
+                            <table class="table table-sm table-hover teammate-table mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Teammate</th>
+                                        <th>Games</th>
+                                        <th>Win Rate Together</th>
+                                        <th>Win Rate Apart</th>
+                                        <th>Difference</th>
+                                        <th>Roles</th>
+                                        <th>Champions</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${teammates.map(teammate => `
+                                        <tr>
+                                            <td class="fw-semibold teammate-name"></td>
+                                            <td>${teammate.games}</td>
+                                            <td>${teammate.winRate.toFixed(1)}% <small class="text-muted">(${teammate.wins}W ${teammate.games - teammate.wins}L)</small></td>
+                                            <td>${teammate.apartWinRate === null ? '-' : `${teammate.apartWinRate.toFixed(1)}%`} <small class="text-muted">(${teammate.apartGames}g)</small></td>
+                                            <td>${formatDiff(teammate)}</td>
+                                            <td><small>${teammate.roles.slice(0, 3).map(role => `${role.name} ${role.games}`).join(', ')}</small></td>
+                                            <td>
+                                                ${teammate.champions.slice(0, 4).map(champion => `
+                                                    <img src="${this.dataManager.getChampionIconUrl(champion.name, championData.version)}"
+                                                         class="teammate-champion-icon" alt="${champion.name}" title="${champion.name} (${champion.games})">
+                                                `).join('')}
+                                            </td>
+                                            <td>
+                                                <button class="btn btn-sm btn-outline-primary teammate-matches-btn" data-puuid="${teammate.puuid}">
+                                                    <i class="bi bi-list-ul"></i> Matches
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+
+        // Riot ids are chosen by players, so they are set as text
+        container.querySelectorAll('.teammate-table tbody tr').forEach((row, index) => {
+            row.querySelector('.teammate-name').textContent = teammates[index].riotId;
+        });
+
+        container.querySelectorAll('.teammate-matches-btn').forEach(button => {
+            button.addEventListener('click', () => this.onTeammateClick(button.dataset.puuid));
+        });
+
+        return container;
+    }
+
+    // Enemy players met more than once, worst record first
+    renderNemesisReport() {
+        const { playerMatches, championData } = this.dataManager.getData();
+        const opponents = this.dataManager.calculateOpponentStats(playerMatches)
+            .sort((a, b) => b.losses - a.losses || a.winRate - b.winRate || b.games - a.games);
+
+        const container = document.createElement('div');
+        container.className = 'nemesis-report';
+        container.innerHTML = `
+            <div class="card stat-card">
+                <div class="card-body">
+                    <h6><i class="bi bi-person-exclamation me-2"></i>Recurring Opponents</h6>
+                    ${opponents.length === 0 ? `
+                        <div class="text-center text-muted p-3">No enemy player has been met more than once</div>
+                    ` : `
+                        <div class="table-responsive">
+                            <table class="table table-sm table-hover nemesis-table mb-0">
+                                <thead>
+                                    <tr>
+                                        <th>Opponent</th>
+                                        <th>Games</th>
+                                        <th>Your Record</th>
+                                        <th>Their KDA</th>
+                                        <th>Champions</th>
+                                        <th>Last Met</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${opponents.map(opponent => `
+                                        <tr>
+                                            <td class="fw-semibold opponent-name"></td>
+                                            <td>${opponent.games}</td>
+                                            <td class="${opponent.winRate >= 50 ? 'text-success' : 'text-danger'}">${opponent.wins}W ${opponent.losses}L</td>
+                                            <td>${opponent.kda === Infinity ? 'Perfect' : opponent.kda.toFixed(2)}</td>
+                                            <td>
+                                                ${opponent.champions.slice(0, 4).map(champion => `
+                                                    <img src="${this.dataManager.getChampionIconUrl(champion.name, championData.version)}"
+                                                         class="teammate-champion-icon" alt="${champion.name}" title="${champion.name} (${champion.games})">
+                                                `).join('')}
+                                            </td>
+                                            <td><small>${new Date(opponent.lastPlayed).toLocaleDateString()}</small></td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            </div>
+        `;
+
+        // Riot ids are chosen by players, so they are set as text
+        container.querySelectorAll('.nemesis-table tbody tr').forEach((row, index) => {
+            row.querySelector('.opponent-name').textContent = opponents[index].riotId;
+        });
+
+        return container;
+    }
+
+    onTeammateClick(puuid) {
+        this.eventBus.emit('matches:show', { filters: { teammate: puuid } });
+    }
 
     // Customization Panel
     createCustomizationPanel() {
@@ -1580,6 +1802,8 @@ class MiniMap {
     }
 
     handleHeatmapChange(role) {
+        this.heatmapRenderId++;
+
         // Clear existing heatmaps
         document.querySelectorAll('.position-heatmap').forEach(heatmap => {
             heatmap.remove();
@@ -1696,6 +1920,621 @@ class MiniMap {
         }
     }
 
+    // Timeline layers (real coordinates from matches/timelines)
+    addTimelineLayerControls() {
+        const miniMapTab = document.getElementById('mini-map');
+        if (!miniMapTab || document.getElementById('mini-map-layer-controls')) return;
+
+        const cardBody = miniMapTab.querySelector('.card-body');
+        const cardHeader = cardBody ? cardBody.querySelector('.d-flex.justify-content-between') : null;
+        if (!cardHeader) return;
+
+        const controls = document.createElement('div');
+        controls.id = 'mini-map-layer-controls';
+        controls.className = 'mini-map-layer-controls mb-3';
+        controls.innerHTML = `
+            <div class="row g-2 align-items-end">
+                <div class="col-md-3">
+                    <label class="form-label small mb-1" for="mini-map-mode">Map Layer</label>
+                    <select id="mini-map-mode" class="form-select form-select-sm">
+                        <option value="icons">Champion Icons (estimated)</option>
+                        <option value="positions">Real Positions (timeline)</option>
+                        <option value="deaths">Death Locations (timeline)</option>
+                        <option value="wards">Ward Placement (timeline)</option>
+                    </select>
+                </div>
+                <div class="col-md-2 timeline-layer-filter">
+                    <label class="form-label small mb-1" for="mini-map-phase">Game Phase</label>
+                    <select id="mini-map-phase" class="form-select form-select-sm">
+                        <option value="">Whole Game</option>
+                        ${Object.entries(this.gamePhases).map(([key, phase]) => `<option value="${key}">${phase.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="col-md-2 timeline-layer-filter">
+                    <label class="form-label small mb-1" for="mini-map-role">Role</label>
+                    <select id="mini-map-role" class="form-select form-select-sm">
+                        <option value="">All Roles</option>
+                        <option value="TOP">Top</option>
+                        <option value="JUNGLE">Jungle</option>
+                        <option value="MIDDLE">Mid</option>
+                        <option value="BOTTOM">Bot</option>
+                        <option value="UTILITY">Support</option>
+                    </select>
+                </div>
+                <div class="col-md-3 timeline-layer-filter">
+                    <label class="form-label small mb-1" for="mini-map-champion">Champion</label>
+                    <select id="mini-map-champion" class="form-select form-select-sm"></select>
+                </div>
+                <div class="col-md-2 timeline-layer-filter ward-layer-filter">
+                    <label class="form-label small mb-1" for="mini-map-minute-from">Minutes</label>
+                    <div class="input-group input-group-sm">
+                        <input type="number" id="mini-map-minute-from" class="form-control" min="0" placeholder="0">
+                        <span class="input-group-text">-</span>
+                        <input type="number" id="mini-map-minute-to" class="form-control" min="0" placeholder="end">
+                    </div>
+                </div>
+                <div class="col-md-2 timeline-layer-filter">
+                    <div class="form-check small">
+                        <input class="form-check-input" type="checkbox" id="mini-map-mirror" checked>
+                        <label class="form-check-label" for="mini-map-mirror" title="Flip red side games so both sides share one orientation">Mirror red side</label>
+                    </div>
+                </div>
+            </div>
+            <small id="mini-map-layer-status" class="text-muted d-block mt-2"></small>
+        `;
+        cardHeader.insertAdjacentElement('afterend', controls);
+
+        // Breakdown tables for the active layer go below the map
+        const mapWrapper = cardBody.querySelector('#mini-map-container').parentNode;
+        const details = document.createElement('div');
+        details.id = 'mini-map-layer-details';
+        details.className = 'mini-map-layer-details mt-3';
+        mapWrapper.insertAdjacentElement('afterend', details);
+
+        this.populateTimelineChampionFilter();
+        this.setupTimelineLayerHandlers(controls);
+        this.updateTimelineLayerControls();
+    }
+
+    populateTimelineChampionFilter() {
+        const championSelect = document.getElementById('mini-map-champion');
+        if (!championSelect) return;
+
+        const { playerMatches } = this.dataManager.getData();
+        const champions = [...new Set(playerMatches.map(({ playerParticipant }) => playerParticipant.championName))].sort();
+
+        championSelect.innerHTML = `
+            <option value="">All Champions</option>
+            ${champions.map(name => `<option value="${name}">${name}</option>`).join('')}
+        `;
+        championSelect.value = this.timelineFilters.champion;
+    }
+
+    setupTimelineLayerHandlers(controls) {
+        const rerender = () => this.renderMiniMap(this.gamesToShow || 199);
+
+        controls.querySelector('#mini-map-mode').addEventListener('change', (e) => {
+            this.mapMode = e.target.value;
+            this.updateTimelineLayerControls();
+            rerender();
+        });
+        controls.querySelector('#mini-map-phase').addEventListener('change', (e) => {
+            this.timelineFilters.phase = e.target.value;
+            rerender();
+        });
+        controls.querySelector('#mini-map-role').addEventListener('change', (e) => {
+            this.timelineFilters.role = e.target.value;
+            rerender();
+        });
+        controls.querySelector('#mini-map-champion').addEventListener('change', (e) => {
+            this.timelineFilters.champion = e.target.value;
+            rerender();
+        });
+        ['from', 'to'].forEach(bound => {
+            controls.querySelector(`#mini-map-minute-${bound}`).addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.timelineFilters[bound === 'from' ? 'minuteFrom' : 'minuteTo'] = Number.isNaN(value) ? null : value;
+                rerender();
+            });
+        });
+        controls.querySelector('#mini-map-mirror').addEventListener('change', (e) => {
+            this.timelineFilters.mirrorRedSide = e.target.checked;
+            rerender();
+        });
+    }
+
+    updateTimelineLayerControls() {
+        document.querySelectorAll('#mini-map-layer-controls .timeline-layer-filter').forEach(el => {
+            const wardOnly = el.classList.contains('ward-layer-filter');
+            el.classList.toggle('d-none', this.mapMode === 'icons' || (wardOnly && this.mapMode !== 'wards'));
+        });
+        this.setTimelineLayerStatus(this.mapMode === 'icons'
+            ? 'Icon positions are estimated from role; switch layers to plot real timeline data.'
+            : '');
+    }
+
+    setTimelineLayerStatus(message) {
+        const statusEl = document.getElementById('mini-map-layer-status');
+        if (statusEl) statusEl.innerHTML = message;
+    }
+
+    filterTimelineMatches(matches) {
+        const { role, champion } = this.timelineFilters;
+        return matches.filter(({ playerParticipant }) =>
+            (!role || playerParticipant.teamPosition === role) &&
+            (!champion || playerParticipant.championName === champion)
+        );
+    }
+
+    isInPhase(timestamp) {
+        const phase = this.gamePhases[this.timelineFilters.phase];
+        if (!phase) return true;
+        const minute = timestamp / 60000;
+        return minute >= phase.from && minute < phase.to;
+    }
+
+    // Converts game coordinates to % of the mini-map (origin is bottom-left in game units)
+    toMapPercent(position, teamId) {
+        let { x, y } = position;
+        if (this.timelineFilters.mirrorRedSide && teamId === 200) {
+            x = this.MAP_SIZE - x;
+            y = this.MAP_SIZE - y;
+        }
+        return {
+            x: this.clampPosition(x / this.MAP_SIZE * 100),
+            y: this.clampPosition(100 - y / this.MAP_SIZE * 100)
+        };
+    }
+
+    async renderTimelineLayer(matchesToRender) {
+        const renderId = ++this.timelineRenderId;
+        const filteredMatches = this.filterTimelineMatches(matchesToRender);
+
+        this.setTimelineLayerStatus('<i class="bi bi-hourglass-split me-1"></i>Loading timelines...');
+        const timelines = await this.dataManager.loadTimelines(filteredMatches.map(({ match }) => match.metadata.matchId));
+
+        // A newer render started while timelines were loading
+        if (renderId !== this.timelineRenderId || this.mapMode === 'icons') return;
+
+        const entries = filteredMatches
+            .filter(({ match }) => timelines.has(match.metadata.matchId))
+            .map(entry => ({ ...entry, timeline: timelines.get(entry.match.metadata.matchId) }));
+
+        if (entries.length === 0) {
+            this.clearTimelineLayer();
+            this.setTimelineLayerStatus(
+                `No timeline data for the ${filteredMatches.length} matching games. ` +
+                'Download timelines with <code>node scripts/fetch-riot-data.js --timelines</code>.'
+            );
+            return;
+        }
+
+        const canvas = this.getTimelineLayerCanvas();
+        if (!canvas) return;
+
+        let summary;
+        switch (this.mapMode) {
+            case 'deaths':
+                summary = this.renderDeathLayer(canvas, entries);
+                break;
+            case 'wards':
+                summary = this.renderWardLayer(canvas, entries);
+                break;
+            default:
+                summary = this.renderPositionLayer(canvas, entries);
+                this.setTimelineLayerDetails('');
+        }
+
+        this.setTimelineLayerStatus(
+            `${summary} from ${entries.length} of ${filteredMatches.length} matching games with timelines.`
+        );
+    }
+
+    getTimelineLayerCanvas() {
+        const miniMapContainer = document.getElementById('mini-map-container');
+        if (!miniMapContainer) return null;
+
+        let canvas = document.getElementById('mini-map-timeline-layer');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.id = 'mini-map-timeline-layer';
+            canvas.className = 'timeline-layer';
+            canvas.width = 512;
+            canvas.height = 512;
+            miniMapContainer.appendChild(canvas);
+        }
+
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    clearTimelineLayer() {
+        const canvas = document.getElementById('mini-map-timeline-layer');
+        if (canvas) canvas.remove();
+        this.setTimelineLayerDetails('');
+    }
+
+    setTimelineLayerDetails(html) {
+        const detailsEl = document.getElementById('mini-map-layer-details');
+        if (detailsEl) detailsEl.innerHTML = html;
+    }
+
+    isInMinuteRange(timestamp) {
+        const { minuteFrom, minuteTo } = this.timelineFilters;
+        const minute = timestamp / 60000;
+        return (minuteFrom === null || minute >= minuteFrom) && (minuteTo === null || minute <= minuteTo);
+    }
+
+    getWardCategory(wardType) {
+        return Object.keys(this.wardTypes).find(key => this.wardTypes[key].types.includes(wardType)) || null;
+    }
+
+    calculateWardData(entries) {
+        const wards = [];
+        const typeCounts = {};
+        const areaCounts = {};
+
+        Object.keys(this.wardTypes).forEach(category => {
+            typeCounts[category] = { placed: 0, killed: 0 };
+        });
+
+        entries.forEach(({ playerParticipant, timeline }) => {
+            const participantId = playerParticipant.participantId;
+
+            TimelineUtils.getEvents(timeline).forEach(event => {
+                const placed = event.type === 'WARD_PLACED' && event.creatorId === participantId;
+                const killed = event.type === 'WARD_KILL' && event.killerId === participantId;
+                if (!placed && !killed) return;
+                if (!this.isInPhase(event.timestamp) || !this.isInMinuteRange(event.timestamp)) return;
+
+                const category = this.getWardCategory(event.wardType);
+                if (!category) return;
+
+                // Ward events carry no coordinates, so use where the player was at that moment
+                const position = event.position || TimelineUtils.getParticipantPositionAt(timeline, participantId, event.timestamp);
+                if (!position) return;
+
+                const action = placed ? 'placed' : 'killed';
+                const area = this.classifyMapArea(position, playerParticipant.teamId);
+
+                typeCounts[category][action]++;
+                areaCounts[area] = areaCounts[area] || { placed: 0, killed: 0 };
+                areaCounts[area][action]++;
+
+                wards.push({
+                    position: this.toMapPercent(position, playerParticipant.teamId),
+                    category,
+                    action
+                });
+            });
+        });
+
+        return { wards, typeCounts, areaCounts, games: entries.length };
+    }
+
+    renderWardLayer(canvas, entries) {
+        const wardData = this.calculateWardData(entries);
+        const ctx = canvas.getContext('2d');
+
+        wardData.wards.forEach(({ position, category, action }) => {
+            const x = position.x / 100 * canvas.width;
+            const y = position.y / 100 * canvas.height;
+            const color = this.wardTypes[category].color;
+
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            if (action === 'placed') {
+                ctx.fillStyle = `rgba(${color}, 0.75)`;
+                ctx.fill();
+            } else {
+                // Wards killed are drawn as rings
+                ctx.strokeStyle = `rgba(${color}, 0.95)`;
+                ctx.lineWidth = 2.5;
+                ctx.stroke();
+            }
+        });
+
+        this.renderWardBreakdown(wardData);
+        return `${wardData.wards.length} ward events (positions approximated from the player's location)`;
+    }
+
+    renderWardBreakdown({ wards, typeCounts, areaCounts, games }) {
+        if (wards.length === 0) {
+            this.setTimelineLayerDetails('<p class="text-muted small mb-0">No ward events in the selected games and time range.</p>');
+            return;
+        }
+
+        const labels = this.getMapAreaLabels();
+        const perGame = value => (value / games).toFixed(1);
+
+        this.setTimelineLayerDetails(`
+            <div class="row g-3">
+                <div class="col-lg-6">
+                    <h6 class="text-muted"><i class="bi bi-eye me-2"></i>Wards by Type</h6>
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>Type</th>
+                                <th class="text-center">Placed</th>
+                                <th class="text-center">Killed</th>
+                                <th class="text-center">Placed / Game</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.entries(typeCounts).map(([category, counts]) => `
+                                <tr>
+                                    <td><span class="ward-dot" style="background: rgb(${this.wardTypes[category].color})"></span>${this.wardTypes[category].label}</td>
+                                    <td class="text-center">${counts.placed}</td>
+                                    <td class="text-center">${counts.killed}</td>
+                                    <td class="text-center">${perGame(counts.placed)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <small class="text-muted">Filled dots are wards placed, rings are wards killed.</small>
+                </div>
+                <div class="col-lg-6">
+                    <h6 class="text-muted"><i class="bi bi-geo-alt me-2"></i>Wards by Area</h6>
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>Area</th>
+                                <th class="text-center">Placed</th>
+                                <th class="text-center">Killed</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${Object.entries(areaCounts)
+                                .sort((a, b) => (b[1].placed + b[1].killed) - (a[1].placed + a[1].killed))
+                                .map(([area, counts]) => `
+                                    <tr>
+                                        <td>${labels[area]}</td>
+                                        <td class="text-center">${counts.placed}</td>
+                                        <td class="text-center">${counts.killed}</td>
+                                    </tr>
+                                `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `);
+    }
+
+    getPhaseKey(timestamp) {
+        const minute = timestamp / 60000;
+        return Object.keys(this.gamePhases).find(key => {
+            const phase = this.gamePhases[key];
+            return minute >= phase.from && minute < phase.to;
+        });
+    }
+
+    // Classifies a game position relative to the player's side of the map
+    classifyMapArea(position, teamId) {
+        // Normalise so the player's base is always bottom-left
+        let u = position.x / this.MAP_SIZE;
+        let v = position.y / this.MAP_SIZE;
+        if (teamId === 200) {
+            u = 1 - u;
+            v = 1 - v;
+        }
+
+        if (u < 0.3 && v < 0.3 && u + v < 0.45) return 'ownBase';
+        if (u > 0.7 && v > 0.7 && u + v > 1.55) return 'enemyBase';
+        if (u < 0.13 || v > 0.87) return 'topLane';
+        if (v < 0.13 || u > 0.87) return 'botLane';
+        if (Math.abs(u - v) < 0.08) return 'midLane';
+        if (Math.abs(u + v - 1) < 0.07) return 'river';
+        return u + v < 1 ? 'ownJungle' : 'enemyJungle';
+    }
+
+    getMapAreaLabels() {
+        return {
+            ownBase: 'Own Base',
+            topLane: 'Top Lane',
+            midLane: 'Mid Lane',
+            botLane: 'Bot Lane',
+            ownJungle: 'Own Jungle',
+            river: 'River',
+            enemyJungle: 'Enemy Jungle',
+            enemyBase: 'Enemy Base'
+        };
+    }
+
+    calculateDeathData(entries) {
+        const deaths = [];
+        const areaCounts = {};
+        const killerCounts = {};
+
+        Object.keys(this.getMapAreaLabels()).forEach(area => {
+            areaCounts[area] = { early: 0, mid: 0, late: 0, total: 0 };
+        });
+
+        entries.forEach(({ match, playerParticipant, timeline }) => {
+            const participants = new Map(match.info.participants.map(p => [p.participantId, p]));
+
+            TimelineUtils.getEvents(timeline, 'CHAMPION_KILL').forEach(event => {
+                if (event.victimId !== playerParticipant.participantId || !event.position) return;
+                if (!this.isInPhase(event.timestamp)) return;
+
+                const area = this.classifyMapArea(event.position, playerParticipant.teamId);
+                const phase = this.getPhaseKey(event.timestamp);
+                // killerId 0 means the player was executed by a turret or minions
+                const killer = participants.get(event.killerId);
+                const killerName = killer ? killer.championName : 'Executed';
+
+                areaCounts[area][phase]++;
+                areaCounts[area].total++;
+                killerCounts[killerName] = (killerCounts[killerName] || 0) + 1;
+
+                deaths.push({
+                    position: this.toMapPercent(event.position, playerParticipant.teamId),
+                    phase,
+                    area,
+                    killer: killerName
+                });
+            });
+        });
+
+        const killers = Object.entries(killerCounts)
+            .map(([champion, count]) => ({ champion, count }))
+            .sort((a, b) => b.count - a.count);
+
+        return { deaths, areaCounts, killers };
+    }
+
+    renderDeathLayer(canvas, entries) {
+        const { deaths, areaCounts, killers } = this.calculateDeathData(entries);
+        const ctx = canvas.getContext('2d');
+        const phaseColors = {
+            early: 'rgba(59, 130, 246, 0.9)',
+            mid: 'rgba(245, 158, 11, 0.9)',
+            late: 'rgba(239, 68, 68, 0.9)'
+        };
+
+        // Draw each death as a cross coloured by game phase
+        ctx.lineWidth = 3;
+        deaths.forEach(({ position, phase }) => {
+            const x = position.x / 100 * canvas.width;
+            const y = position.y / 100 * canvas.height;
+            const size = 6;
+
+            ctx.strokeStyle = phaseColors[phase];
+            ctx.beginPath();
+            ctx.moveTo(x - size, y - size);
+            ctx.lineTo(x + size, y + size);
+            ctx.moveTo(x + size, y - size);
+            ctx.lineTo(x - size, y + size);
+            ctx.stroke();
+        });
+
+        this.renderDeathBreakdown(areaCounts, killers, deaths.length);
+        return `${deaths.length} deaths`;
+    }
+
+    renderDeathBreakdown(areaCounts, killers, totalDeaths) {
+        if (totalDeaths === 0) {
+            this.setTimelineLayerDetails('<p class="text-muted small mb-0">No deaths in the selected games and phase.</p>');
+            return;
+        }
+
+        const labels = this.getMapAreaLabels();
+        const rows = Object.entries(areaCounts)
+            .filter(([, counts]) => counts.total > 0)
+            .sort((a, b) => b[1].total - a[1].total);
+
+        this.setTimelineLayerDetails(`
+            <div class="row g-3">
+                <div class="col-lg-7">
+                    <h6 class="text-muted"><i class="bi bi-geo-alt me-2"></i>Deaths by Area</h6>
+                    <table class="table table-sm mb-0">
+                        <thead>
+                            <tr>
+                                <th>Area</th>
+                                <th class="text-center"><span class="phase-dot early"></span>0-14m</th>
+                                <th class="text-center"><span class="phase-dot mid"></span>14-25m</th>
+                                <th class="text-center"><span class="phase-dot late"></span>25m+</th>
+                                <th class="text-center">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(([area, counts]) => `
+                                <tr>
+                                    <td>${labels[area]}</td>
+                                    <td class="text-center">${counts.early}</td>
+                                    <td class="text-center">${counts.mid}</td>
+                                    <td class="text-center">${counts.late}</td>
+                                    <td class="text-center fw-bold">${counts.total} <small class="text-muted">(${(counts.total / totalDeaths * 100).toFixed(0)}%)</small></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="col-lg-5">
+                    <h6 class="text-muted"><i class="bi bi-crosshair me-2"></i>Killed By</h6>
+                    <div class="d-flex flex-wrap gap-2">
+                        ${killers.slice(0, 12).map(({ champion, count }) => `
+                            <span class="badge bg-light text-dark border">${champion} <span class="badge bg-danger ms-1">${count}</span></span>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `);
+    }
+
+    calculateRealPositionData(entries) {
+        const gridSize = 48;
+        const density = Array(gridSize).fill().map(() => Array(gridSize).fill(0));
+        let samples = 0;
+
+        entries.forEach(({ playerParticipant, timeline }) => {
+            timeline.info.frames.forEach(frame => {
+                if (!this.isInPhase(frame.timestamp)) return;
+
+                const participantFrame = TimelineUtils.getParticipantFrame(frame, playerParticipant.participantId);
+                if (!participantFrame || !participantFrame.position) return;
+
+                const position = this.toMapPercent(participantFrame.position, playerParticipant.teamId);
+                const gridX = Math.min(gridSize - 1, Math.floor(position.x / 100 * gridSize));
+                const gridY = Math.min(gridSize - 1, Math.floor(position.y / 100 * gridSize));
+                density[gridY][gridX]++;
+                samples++;
+            });
+        });
+
+        return { density, gridSize, samples };
+    }
+
+    renderPositionLayer(canvas, entries) {
+        const { density, gridSize, samples } = this.calculateRealPositionData(entries);
+        const ctx = canvas.getContext('2d');
+        const cellSize = canvas.width / gridSize;
+        const maxDensity = Math.max(...density.flat());
+
+        for (let y = 0; y < gridSize; y++) {
+            for (let x = 0; x < gridSize; x++) {
+                if (density[y][x] === 0) continue;
+
+                const ratio = density[y][x] / maxDensity;
+                const color = this.getDensityColor(ratio);
+                ctx.fillStyle = `rgba(${color.r}, ${color.g}, ${color.b}, ${0.25 + ratio * 0.6})`;
+                ctx.beginPath();
+                ctx.arc((x + 0.5) * cellSize, (y + 0.5) * cellSize, cellSize * 0.9, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        return `${samples} per-minute positions`;
+    }
+
+    getDensityColor(ratio) {
+        // Cool (rarely here) to hot (most of the time)
+        if (ratio >= 0.66) return { r: 239, g: 68, b: 68 };
+        if (ratio >= 0.33) return { r: 245, g: 158, b: 11 };
+        return { r: 59, g: 130, b: 246 };
+    }
+
+    // Re-render with the latest data (e.g. after more matches finish loading)
+    refresh() {
+        this.populateTimelineChampionFilter();
+
+        const analyticsContainer = document.getElementById('advanced-analytics-container');
+        if (analyticsContainer) {
+            analyticsContainer.remove();
+        }
+
+        const miniMapFilter = document.getElementById('mini-map-filter');
+        const gamesToShow = miniMapFilter ? parseInt(miniMapFilter.value, 10) : 199;
+        this.renderMiniMap(gamesToShow);
+    }
+
+    onDataChanged() {
+        this.refresh();
+    }
+
+    onShow() {
+        this.renderMiniMap(199);
+    }
+
     destroy() {
         // Clean up event listeners
         const miniMapFilter = document.getElementById('mini-map-filter');
@@ -1720,6 +2559,17 @@ class MiniMap {
         if (toggleButton) {
             toggleButton.remove();
         }
+
+        // Remove timeline layer controls and overlay
+        const layerControls = document.getElementById('mini-map-layer-controls');
+        if (layerControls) {
+            layerControls.remove();
+        }
+        this.clearTimelineLayer();
+        const layerDetails = document.getElementById('mini-map-layer-details');
+        if (layerDetails) {
+            layerDetails.remove();
+        }
     }
 }
 
@@ -0,0 +1,996 @@
+/**
+ * Analytics - DOM-free statistics over { match, playerParticipant } entries
+ *
+ * The browser modules call these static methods; in Node the same file is loaded with
+ * require('./js/utils/analytics.js') (see scripts/analyze-matches.js for reading matches/).
+ * Nothing here touches the DOM, storage or the other utils, and time-dependent results
+ * take an explicit "now" so they can be reproduced.
+ */
+class Analytics {
+    // "15.14.701.6241" -> "15.14", same rule as scripts/build-match-manifest.js
+    static getPatch(match) {
+        const gameVersion = match.info.gameVersion;
+        return gameVersion ? gameVersion.split('.').slice(0, 2).join('.') : 'Unknown';
+    }
+
+    // Numeric compare so 15.15 sorts after 15.6
+    static comparePatches(a, b) {
+        const [aMajor, aMinor] = a.split('.').map(Number);
+        const [bMajor, bMinor] = b.split('.').map(Number);
+        if (Number.isNaN(aMajor) || Number.isNaN(bMajor)) {
+            // 'Unknown' sorts before every real patch
+            return Number.isNaN(aMajor) ? (Number.isNaN(bMajor) ? 0 : -1) : 1;
+        }
+        return aMajor - bMajor || aMinor - bMinor;
+    }
+
+    static calculateWinRate(wins, totalGames) {
+        return totalGames > 0 ? (wins / totalGames * 100).toFixed(2) : 0;
+    }
+
+    static calculateKDA(kills, deaths, assists) {
+        return deaths > 0 ? (kills + assists) / deaths : Infinity;
+    }
+
+    static calculateGoldPerMinute(goldEarned, gameDuration) {
+        return gameDuration > 0 ? goldEarned / (gameDuration / 60) : 0;
+    }
+
+    // null when there are no matches to count
+    static findMostFrequentPuuid(matches) {
+        if (matches.length === 0) return null;
+        const allPuuids = matches.flatMap(match => match.metadata.participants);
+        const puuidCounts = allPuuids.reduce((acc, puuid) => {
+            acc[puuid] = (acc[puuid] || 0) + 1;
+            return acc;
+        }, {});
+        return Object.keys(puuidCounts).reduce((a, b) => puuidCounts[a] > puuidCounts[b] ? a : b);
+    }
+
+    // Newest first; matches the player is not in are dropped
+    static getPlayerMatches(matches, puuid) {
+        return [...matches]
+            .sort((a, b) => b.info.gameCreation - a.info.gameCreation)
+            .map(match => ({ match, playerParticipant: match.info.participants.find(p => p.puuid === puuid) }))
+            .filter(m => m.playerParticipant);
+    }
+
+    static calculateWinRateForMatches(playerMatches) {
+        const wins = playerMatches.filter(({ playerParticipant }) => playerParticipant.win).length;
+        return parseFloat(Analytics.calculateWinRate(wins, playerMatches.length));
+    }
+
+    static calculateTeamKills(match, teamId) {
+        return match.info.participants
+            .filter(p => p.teamId === teamId)
+            .reduce((total, p) => total + p.kills, 0);
+    }
+
+    static calculateEarlyGameScore(participant) {
+        // Score based on early game impact (0-15 minutes)
+        return (participant.kills * 2 + participant.assists +
+               (participant.firstBloodKill ? 5 : 0)) / Math.max(participant.deaths, 1);
+    }
+
+    static calculateLateGameScore(participant) {
+        // Score based on late game performance
+        const damageRatio = (participant.totalDamageDealtToChampions || 0) / Math.max(participant.goldEarned, 1);
+        return damageRatio * 1000; // Scale for readability
+    }
+
+    // Per champion totals, per-patch records and advanced averages. championData (champion.json)
+    // supplies the image and masteryMap (championId -> { level, points }) the mastery; both are optional.
+    static calculateChampionStats(playerMatches, { championData = null, masteryMap = new Map() } = {}) {
+        const championStats = {};
+        const championIdMap = new Map(championData ? Object.values(championData.data).map(c => [c.key, c]) : []);
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            const champId = playerParticipant.championId;
+            if (!championStats[champId]) {
+                const champInfo = championIdMap.get(String(champId));
+                championStats[champId] = {
+                    id: champId,
+                    name: playerParticipant.championName,
+                    image: champInfo ? champInfo.image.full : '',
+                    games: 0,
+                    wins: 0,
+                    kills: 0,
+                    deaths: 0,
+                    assists: 0,
+                    // Advanced metrics
+                    firstBlood: 0,
+                    firstTower: 0,
+                    soloKills: 0,
+                    multikills: 0,
+                    visionScore: 0,
+                    csPerMinute: 0,
+                    goldPerMinute: 0,
+                    damagePerGold: 0,
+                    killParticipation: 0,
+                    earlyGamePerformance: 0,
+                    lateGamePerformance: 0,
+                    totalDamage: 0,
+                    totalGold: 0,
+                    totalCS: 0,
+                    gamesByPatch: new Map(),
+                    performanceByRole: new Map()
+                };
+            }
+
+            const stats = championStats[champId];
+            stats.games++;
+            if (playerParticipant.win) stats.wins++;
+            stats.kills += playerParticipant.kills;
+            stats.deaths += playerParticipant.deaths;
+            stats.assists += playerParticipant.assists;
+
+            // Per-patch record
+            const patch = Analytics.getPatch(match);
+            const patchStats = stats.gamesByPatch.get(patch) || { games: 0, wins: 0, kills: 0, deaths: 0, assists: 0 };
+            patchStats.games++;
+            if (playerParticipant.win) patchStats.wins++;
+            patchStats.kills += playerParticipant.kills;
+            patchStats.deaths += playerParticipant.deaths;
+            patchStats.assists += playerParticipant.assists;
+            stats.gamesByPatch.set(patch, patchStats);
+
+            // Advanced metrics calculation
+            if (playerParticipant.firstBloodKill) stats.firstBlood++;
+            if (playerParticipant.firstTowerKill) stats.firstTower++;
+
+            stats.visionScore += playerParticipant.visionScore || 0;
+            stats.totalDamage += playerParticipant.totalDamageDealtToChampions || 0;
+            stats.totalGold += playerParticipant.goldEarned || 0;
+
+            // Calculate CS per minute
+            const totalCS = (playerParticipant.totalMinionsKilled || 0) + (playerParticipant.neutralMinionsKilled || 0);
+            const gameMinutes = match.info.gameDuration / 60;
+            stats.totalCS += totalCS;
+            stats.csPerMinute += gameMinutes > 0 ? totalCS / gameMinutes : 0;
+
+            // Gold per minute
+            stats.goldPerMinute += gameMinutes > 0 ? (playerParticipant.goldEarned || 0) / gameMinutes : 0;
+
+            // Damage efficiency
+            if (playerParticipant.goldEarned > 0) {
+                stats.damagePerGold += (playerParticipant.totalDamageDealtToChampions || 0) / playerParticipant.goldEarned;
+            }
+
+            // Kill participation
+            const teamKills = Analytics.calculateTeamKills(match, playerParticipant.teamId);
+            if (teamKills > 0) {
+                stats.killParticipation += ((playerParticipant.kills + playerParticipant.assists) / teamKills) * 100;
+            }
+
+            // Early/Late game performance
+            stats.earlyGamePerformance += Analytics.calculateEarlyGameScore(playerParticipant);
+            stats.lateGamePerformance += Analytics.calculateLateGameScore(playerParticipant);
+        });
+
+        // Normalize advanced stats (convert totals to averages)
+        Object.values(championStats).forEach(champ => {
+            if (champ.games > 0) {
+                champ.avgVisionScore = (champ.visionScore / champ.games).toFixed(1);
+                champ.avgCSPerMin = (champ.csPerMinute / champ.games).toFixed(1);
+                champ.avgGoldPerMin = (champ.goldPerMinute / champ.games).toFixed(0);
+                champ.avgDamagePerGold = (champ.damagePerGold / champ.games).toFixed(2);
+                champ.avgKillParticipation = (champ.killParticipation / champ.games).toFixed(1);
+                champ.avgEarlyGame = (champ.earlyGamePerformance / champ.games).toFixed(2);
+                champ.avgLateGame = (champ.lateGamePerformance / champ.games).toFixed(2);
+            }
+            champ.lastPatch = [...champ.gamesByPatch.keys()].sort((a, b) => Analytics.comparePatches(b, a))[0];
+        });
+
+        // Add mastery information
+        Object.values(championStats).forEach(champ => {
+            const mastery = masteryMap.get(champ.id);
+            champ.masteryLevel = mastery ? mastery.level : 0;
+            champ.masteryPoints = mastery ? mastery.points : 0;
+        });
+
+        return Object.values(championStats);
+    }
+
+    static calculateStreaks(playerMatches) {
+        let longestWin = 0;
+        let longestLoss = 0;
+        let currentWin = 0;
+        let currentLoss = 0;
+        let currentStreak = { count: 0, type: 'none' };
+
+        // Process matches in chronological order
+        const sortedMatches = [...playerMatches].sort((a, b) => a.match.info.gameCreation - b.match.info.gameCreation);
+
+        for (let i = 0; i < sortedMatches.length; i++) {
+            const isWin = sortedMatches[i].playerParticipant.win;
+
+            if (isWin) {
+                currentWin++;
+                currentLoss = 0;
+                longestWin = Math.max(longestWin, currentWin);
+            } else {
+                currentLoss++;
+                currentWin = 0;
+                longestLoss = Math.max(longestLoss, currentLoss);
+            }
+        }
+
+        // Current streak is from the most recent matches
+        if (sortedMatches.length > 0) {
+            const mostRecent = sortedMatches[sortedMatches.length - 1];
+            let streakCount = 1;
+            const streakType = mostRecent.playerParticipant.win ? 'win' : 'loss';
+
+            for (let i = sortedMatches.length - 2; i >= 0; i--) {
+                if (sortedMatches[i].playerParticipant.win === mostRecent.playerParticipant.win) {
+                    streakCount++;
+                } else {
+                    break;
+                }
+            }
+
+            currentStreak = { count: streakCount, type: streakType };
+        }
+
+        return {
+            longestWin,
+            longestLoss,
+            current: currentStreak
+        };
+    }
+
+    // Summary behind the Match History statistics panel; "this week" counts games since now - 7 days
+    static calculateComprehensiveStatistics(playerMatches, now = new Date()) {
+        const matches = playerMatches;
+
+        if (matches.length === 0) {
+            return {
+                totalMatches: 0,
+                winRate: 0,
+                avgKDA: '0.00',
+                avgGPM: 0,
+                longestWinStreak: 0,
+                longestLossStreak: 0,
+                currentStreak: { count: 0, type: 'none' },
+                bestKDAGame: { kda: '0.00' },
+                recent10: { wins: 0, losses: 0 },
+                recent20: { wins: 0, losses: 0 },
+                thisWeek: { games: 0 },
+                bestRole: { role: 'N/A', winRate: 0 },
+                avgKills: '0.0',
+                avgDeaths: '0.0',
+                avgAssists: '0.0',
+                avgDamagePerGame: 0
+            };
+        }
+
+        const totalMatches = matches.length;
+        const wins = matches.filter(m => m.playerParticipant.win).length;
+        const winRate = Math.round((wins / totalMatches) * 100);
+
+        // Calculate averages
+        const totalKills = matches.reduce((sum, m) => sum + m.playerParticipant.kills, 0);
+        const totalDeaths = matches.reduce((sum, m) => sum + m.playerParticipant.deaths, 0);
+        const totalAssists = matches.reduce((sum, m) => sum + m.playerParticipant.assists, 0);
+        const totalDamage = matches.reduce((sum, m) => sum + m.playerParticipant.totalDamageDealtToChampions, 0);
+        const totalGold = matches.reduce((sum, m) => sum + m.playerParticipant.goldEarned, 0);
+        const totalGameTime = matches.reduce((sum, m) => sum + m.match.info.gameDuration, 0);
+
+        const avgKDA = Analytics.calculateKDA(totalKills, totalDeaths, totalAssists);
+        const avgGPM = Math.round((totalGold / totalGameTime) * 60);
+
+        // Calculate streaks
+        const streaks = Analytics.calculateStreaks(matches);
+
+        // Calculate recent form
+        const recent10 = matches.slice(-10);
+        const recent20 = matches.slice(-20);
+        const recent10Wins = recent10.filter(m => m.playerParticipant.win).length;
+        const recent20Wins = recent20.filter(m => m.playerParticipant.win).length;
+
+        // Calculate this week's games
+        const oneWeekAgo = new Date(now);
+        oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+        const thisWeekGames = matches.filter(m => new Date(m.match.info.gameCreation) >= oneWeekAgo).length;
+
+        // Find best role
+        const roleStats = {};
+        matches.forEach(m => {
+            const role = m.playerParticipant.teamPosition || 'UNKNOWN';
+            if (!roleStats[role]) {
+                roleStats[role] = { games: 0, wins: 0 };
+            }
+            roleStats[role].games++;
+            if (m.playerParticipant.win) roleStats[role].wins++;
+        });
+
+        let bestRole = { role: 'N/A', winRate: 0 };
+        Object.entries(roleStats).forEach(([role, stats]) => {
+            if (stats.games >= 3) { // Only consider roles with at least 3 games
+                const winRate = Math.round((stats.wins / stats.games) * 100);
+                if (winRate > bestRole.winRate) {
+                    bestRole = { role, winRate };
+                }
+            }
+        });
+
+        // Find best KDA game
+        let bestKDAGame = { kda: '0.00' };
+        matches.forEach(m => {
+            const kda = Analytics.calculateKDA(
+                m.playerParticipant.kills,
+                m.playerParticipant.deaths,
+                m.playerParticipant.assists
+            );
+            const kdaValue = kda === Infinity ? 999 : kda;
+            const bestKdaValue = bestKDAGame.kda === 'Perfect' ? 999 : parseFloat(bestKDAGame.kda);
+
+            if (kdaValue > bestKdaValue) {
+                bestKDAGame.kda = kda === Infinity ? 'Perfect' : kda.toFixed(2);
+            }
+        });
+
+        return {
+            totalMatches,
+            winRate,
+            avgKDA: avgKDA === Infinity ? 'Perfect' : avgKDA.toFixed(2),
+            avgGPM,
+            longestWinStreak: streaks.longestWin,
+            longestLossStreak: streaks.longestLoss,
+            currentStreak: streaks.current,
+            bestKDAGame,
+            recent10: { wins: recent10Wins, losses: recent10.length - recent10Wins },
+            recent20: { wins: recent20Wins, losses: recent20.length - recent20Wins },
+            thisWeek: { games: thisWeekGames },
+            bestRole,
+            avgKills: (totalKills / totalMatches).toFixed(1),
+            avgDeaths: (totalDeaths / totalMatches).toFixed(1),
+            avgAssists: (totalAssists / totalMatches).toFixed(1),
+            avgDamagePerGame: Math.round(totalDamage / totalMatches)
+        };
+    }
+
+    // Next-game estimate from the 20 most recent games (playerMatches newest first); now picks the time-of-day block
+    static calculateWinPrediction(playerMatches, now = new Date()) {
+        const recentForm = playerMatches.slice(0, 20);
+
+        const factors = {
+            recentWinRate: Analytics.calculateWinRateForMatches(recentForm),
+            roleConsistency: Analytics.calculateRoleConsistency(recentForm),
+            championComfort: Analytics.calculateChampionFamiliarity(recentForm),
+            timeOfDay: Analytics.analyzeTimeOfDayPerformance(recentForm, now),
+            streakMomentum: Analytics.calculateStreakMomentum(recentForm)
+        };
+
+        // Weighted prediction algorithm
+        const prediction = (
+            factors.recentWinRate * 0.35 +
+            factors.roleConsistency * 0.15 +
+            factors.championComfort * 0.25 +
+            factors.timeOfDay * 0.15 +
+            factors.streakMomentum * 0.10
+        );
+
+        return {
+            nextGamePrediction: Math.max(20, Math.min(80, prediction)),
+            confidence: Analytics.calculatePredictionConfidence(factors),
+            recommendations: Analytics.generateRecommendations(factors),
+            factors: factors
+        };
+    }
+
+    static calculateRoleConsistency(playerMatches) {
+        const roleCounts = {};
+        playerMatches.forEach(({ playerParticipant }) => {
+            const role = playerParticipant.teamPosition || 'UNKNOWN';
+            roleCounts[role] = (roleCounts[role] || 0) + 1;
+        });
+
+        const maxRoleCount = Math.max(...Object.values(roleCounts));
+        return (maxRoleCount / playerMatches.length) * 100;
+    }
+
+    static calculateChampionFamiliarity(playerMatches) {
+        const championCounts = {};
+        let totalComfort = 0;
+
+        playerMatches.forEach(({ playerParticipant }) => {
+            const champion = playerParticipant.championName;
+            championCounts[champion] = (championCounts[champion] || 0) + 1;
+        });
+
+        Object.values(championCounts).forEach(count => {
+            totalComfort += Math.min(count * 15, 60); // Cap at 60 for mastery
+        });
+
+        return Math.min(totalComfort / playerMatches.length, 70);
+    }
+
+    static analyzeTimeOfDayPerformance(playerMatches, now = new Date()) {
+        const currentHour = new Date(now).getHours();
+        const hourlyPerformance = {};
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            const hour = new Date(match.info.gameCreation).getHours();
+            const hourGroup = Math.floor(hour / 4) * 4; // Group into 4-hour blocks
+
+            if (!hourlyPerformance[hourGroup]) {
+                hourlyPerformance[hourGroup] = { games: 0, wins: 0 };
+            }
+
+            hourlyPerformance[hourGroup].games++;
+            if (playerParticipant.win) hourlyPerformance[hourGroup].wins++;
+        });
+
+        const currentHourGroup = Math.floor(currentHour / 4) * 4;
+        const currentPerformance = hourlyPerformance[currentHourGroup];
+
+        if (currentPerformance && currentPerformance.games >= 3) {
+            return (currentPerformance.wins / currentPerformance.games) * 100;
+        }
+
+        return 50; // Neutral if no data
+    }
+
+    static calculateStreakMomentum(playerMatches) {
+        const recent5 = playerMatches.slice(0, 5);
+        let momentum = 50; // Start neutral
+
+        recent5.forEach(({ playerParticipant }, index) => {
+            if (playerParticipant.win) {
+                momentum += (5 - index) * 2; // More recent wins have higher impact
+            } else {
+                momentum -= (5 - index) * 1.5;
+            }
+        });
+
+        return Math.max(0, Math.min(100, momentum));
+    }
+
+    static calculatePredictionConfidence(factors) {
+        const variance = Object.values(factors).reduce((sum, value) => {
+            return sum + Math.pow(value - 50, 2);
+        }, 0) / Object.values(factors).length;
+
+        const consistency = 100 - (variance / 25); // Normalize variance to confidence
+        return Math.max(60, Math.min(95, Math.round(consistency)));
+    }
+
+    static generateRecommendations(factors) {
+        const recommendations = [];
+
+        if (factors.roleConsistency < 70) {
+            recommendations.push("Stick to your main role for better consistency");
+        }
+
+        if (factors.championComfort < 50) {
+            recommendations.push("Play familiar champions you've mastered");
+        }
+
+        if (factors.timeOfDay < 45) {
+            recommendations.push("Consider playing during your peak performance hours");
+        }
+
+        if (factors.streakMomentum > 70) {
+            recommendations.push("You're on a hot streak - keep the momentum!");
+        } else if (factors.streakMomentum < 30) {
+            recommendations.push("Take a break and reset your mental state");
+        }
+
+        if (factors.recentWinRate > 60) {
+            recommendations.push("Your recent form is strong - maintain your playstyle");
+        }
+
+        return recommendations.length > 0 ? recommendations : ["Keep playing and improving your skills"];
+    }
+
+    static getRoleDistribution(playerMatches) {
+        const distribution = {};
+        playerMatches.forEach(({ playerParticipant }) => {
+            const role = playerParticipant.teamPosition || 'UNKNOWN';
+            distribution[role] = (distribution[role] || 0) + 1;
+        });
+
+        return distribution;
+    }
+
+    static getTeamSideStats(playerMatches) {
+        const sideStats = {
+            blue: { games: 0, wins: 0 },
+            red: { games: 0, wins: 0 }
+        };
+
+        playerMatches.forEach(({ playerParticipant }) => {
+            const side = playerParticipant.teamId === 100 ? 'blue' : 'red';
+            sideStats[side].games++;
+            if (playerParticipant.win) {
+                sideStats[side].wins++;
+            }
+        });
+
+        // Calculate win rates
+        Object.keys(sideStats).forEach(side => {
+            const stats = sideStats[side];
+            stats.winRate = stats.games > 0 ? (stats.wins / stats.games * 100).toFixed(1) : 0;
+        });
+
+        return sideStats;
+    }
+
+    // Header/export totals: record, average K/D/A, KDA of the averages and gold per minute
+    static getOverallStatistics(playerMatches) {
+        const wins = playerMatches.filter(m => m.playerParticipant.win).length;
+        const winRate = Analytics.calculateWinRate(wins, playerMatches.length);
+
+        // Calculate average performance
+        const avgKills = playerMatches.reduce((sum, m) => sum + m.playerParticipant.kills, 0) / playerMatches.length;
+        const avgDeaths = playerMatches.reduce((sum, m) => sum + m.playerParticipant.deaths, 0) / playerMatches.length;
+        const avgAssists = playerMatches.reduce((sum, m) => sum + m.playerParticipant.assists, 0) / playerMatches.length;
+        const avgKDA = Analytics.calculateKDA(avgKills, avgDeaths, avgAssists);
+
+        // Calculate average gold per minute
+        const avgGPM = playerMatches.reduce((sum, m) => {
+            return sum + Analytics.calculateGoldPerMinute(m.playerParticipant.goldEarned, m.match.info.gameDuration);
+        }, 0) / playerMatches.length;
+
+        return {
+            totalGames: playerMatches.length,
+            wins,
+            losses: playerMatches.length - wins,
+            winRate: parseFloat(winRate),
+            avgKills: avgKills.toFixed(1),
+            avgDeaths: avgDeaths.toFixed(1),
+            avgAssists: avgAssists.toFixed(1),
+            avgKDA: avgKDA === Infinity ? 'Perfect' : avgKDA.toFixed(2),
+            avgGPM: avgGPM.toFixed(0)
+        };
+    }
+
+    // Enemy participant playing the same position (none in ARAM/Arena)
+    static getLaneOpponent(match, participant) {
+        if (!participant || !participant.teamPosition) return null;
+        return match.info.participants.find(p =>
+            p.teamId !== participant.teamId && p.teamPosition === participant.teamPosition
+        ) || null;
+    }
+
+    // Per opposing champion: record, KDA, end-of-game CS/gold difference and kill participation
+    static calculateLaneMatchups(playerMatches) {
+        const matchups = {};
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            const opponent = Analytics.getLaneOpponent(match, playerParticipant);
+            if (!opponent) return;
+
+            if (!matchups[opponent.championName]) {
+                matchups[opponent.championName] = {
+                    championName: opponent.championName,
+                    championId: opponent.championId,
+                    games: 0, wins: 0, kills: 0, deaths: 0, assists: 0,
+                    csDiff: 0, goldDiff: 0, killParticipation: 0
+                };
+            }
+
+            const teamKills = Analytics.calculateTeamKills(match, playerParticipant.teamId);
+            const creepScore = p => (p.totalMinionsKilled || 0) + (p.neutralMinionsKilled || 0);
+
+            const matchup = matchups[opponent.championName];
+            matchup.games++;
+            if (playerParticipant.win) matchup.wins++;
+            matchup.kills += playerParticipant.kills;
+            matchup.deaths += playerParticipant.deaths;
+            matchup.assists += playerParticipant.assists;
+            matchup.csDiff += creepScore(playerParticipant) - creepScore(opponent);
+            matchup.goldDiff += playerParticipant.goldEarned - opponent.goldEarned;
+            matchup.killParticipation += teamKills > 0 ? ((playerParticipant.kills + playerParticipant.assists) / teamKills) * 100 : 0;
+        });
+
+        return Object.values(matchups).map(matchup => ({
+            ...matchup,
+            winRate: (matchup.wins / matchup.games) * 100,
+            kda: Analytics.calculateKDA(matchup.kills, matchup.deaths, matchup.assists),
+            avgCsDiff: matchup.csDiff / matchup.games,
+            avgGoldDiff: matchup.goldDiff / matchup.games,
+            avgKillParticipation: matchup.killParticipation / matchup.games
+        })).sort((a, b) => b.games - a.games || b.winRate - a.winRate);
+    }
+
+    // Players on the player's side: the four teammates, or the duo partner in Arena
+    static getTeammates(match, participant) {
+        if (Analytics.isArenaMatch(match)) {
+            const partner = Analytics.getDuoPartner(match, participant);
+            return partner ? [partner] : [];
+        }
+        return match.info.participants.filter(p => p.teamId === participant.teamId && p.puuid !== participant.puuid);
+    }
+
+    // Players on the other side: the enemy team, or every other duo in Arena
+    static getOpponents(match, participant) {
+        if (Analytics.isArenaMatch(match)) {
+            return match.info.participants.filter(p => p.playerSubteamId !== participant.playerSubteamId);
+        }
+        return match.info.participants.filter(p => p.teamId !== participant.teamId);
+    }
+
+    static getRiotId(participant) {
+        if (!participant.riotIdGameName) return participant.summonerName || 'Unknown';
+        return participant.riotIdTagline ? `${participant.riotIdGameName}#${participant.riotIdTagline}` : participant.riotIdGameName;
+    }
+
+    static isPlayedWith(match, participant, puuid) {
+        return Analytics.getTeammates(match, participant).some(teammate => teammate.puuid === puuid);
+    }
+
+    // Recurring teammates keyed by puuid, so a friend is one entry whatever they played.
+    // Win rate "apart" is the player's record in the other games of the same scope
+    static calculateTeammateStats(playerMatches, minGames = 2) {
+        const teammates = {};
+        const totalWins = playerMatches.filter(({ playerParticipant }) => playerParticipant.win).length;
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            Analytics.getTeammates(match, playerParticipant).forEach(teammate => {
+                if (!teammate.puuid) return;
+
+                if (!teammates[teammate.puuid]) {
+                    teammates[teammate.puuid] = {
+                        puuid: teammate.puuid, riotId: Analytics.getRiotId(teammate), lastPlayed: 0,
+                        games: 0, wins: 0, kills: 0, deaths: 0, assists: 0, roles: {}, champions: {}
+                    };
+                }
+
+                const entry = teammates[teammate.puuid];
+                // Riot ids can change; keep the most recent one
+                if (match.info.gameCreation > entry.lastPlayed) {
+                    entry.lastPlayed = match.info.gameCreation;
+                    entry.riotId = Analytics.getRiotId(teammate);
+                }
+
+                entry.games++;
+                if (playerParticipant.win) entry.wins++;
+                entry.kills += teammate.kills;
+                entry.deaths += teammate.deaths;
+                entry.assists += teammate.assists;
+
+                const role = teammate.teamPosition || 'UNKNOWN';
+                entry.roles[role] = (entry.roles[role] || 0) + 1;
+                entry.champions[teammate.championName] = (entry.champions[teammate.championName] || 0) + 1;
+            });
+        });
+
+        const sortCounts = counts => Object.entries(counts)
+            .map(([name, games]) => ({ name, games }))
+            .sort((a, b) => b.games - a.games);
+
+        return Object.values(teammates)
+            .filter(entry => entry.games >= minGames)
+            .map(entry => {
+                const apartGames = playerMatches.length - entry.games;
+                const apartWins = totalWins - entry.wins;
+                const winRate = (entry.wins / entry.games) * 100;
+                const apartWinRate = apartGames > 0 ? (apartWins / apartGames) * 100 : null;
+                return {
+                    ...entry,
+                    winRate,
+                    kda: Analytics.calculateKDA(entry.kills, entry.deaths, entry.assists),
+                    apartGames,
+                    apartWins,
+                    apartWinRate,
+                    winRateDiff: apartWinRate === null ? null : winRate - apartWinRate,
+                    roles: sortCounts(entry.roles),
+                    champions: sortCounts(entry.champions)
+                };
+            })
+            .sort((a, b) => b.games - a.games || b.winRate - a.winRate);
+    }
+
+    // Enemy players met in at least minGames games, with the player's record against them
+    static calculateOpponentStats(playerMatches, minGames = 2) {
+        const opponents = {};
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            Analytics.getOpponents(match, playerParticipant).forEach(opponent => {
+                if (!opponent.puuid) return;
+
+                if (!opponents[opponent.puuid]) {
+                    opponents[opponent.puuid] = {
+                        puuid: opponent.puuid, riotId: Analytics.getRiotId(opponent), lastPlayed: 0,
+                        games: 0, wins: 0, kills: 0, deaths: 0, assists: 0, champions: {}
+                    };
+                }
+
+                const entry = opponents[opponent.puuid];
+                if (match.info.gameCreation > entry.lastPlayed) {
+                    entry.lastPlayed = match.info.gameCreation;
+                    entry.riotId = Analytics.getRiotId(opponent);
+                }
+
+                entry.games++;
+                if (playerParticipant.win) entry.wins++;
+                entry.kills += opponent.kills;
+                entry.deaths += opponent.deaths;
+                entry.assists += opponent.assists;
+                entry.champions[opponent.championName] = (entry.champions[opponent.championName] || 0) + 1;
+            });
+        });
+
+        return Object.values(opponents)
+            .filter(entry => entry.games >= minGames)
+            .map(entry => ({
+                ...entry,
+                losses: entry.games - entry.wins,
+                winRate: (entry.wins / entry.games) * 100,
+                kda: Analytics.calculateKDA(entry.kills, entry.deaths, entry.assists),
+                champions: Object.entries(entry.champions)
+                    .map(([name, games]) => ({ name, games }))
+                    .sort((a, b) => b.games - a.games)
+            }))
+            .sort((a, b) => b.games - a.games || b.losses - a.losses);
+    }
+
+    // Ban counts for the player's team and the enemy team, and the player's record when each champion was banned vs. available.
+    // championData (champion.json) names the banned champions; without it they are "Champion <id>"
+    static calculateBanStats(playerMatches, championData = null) {
+        const championsByKey = new Map(Object.values(championData ? championData.data : {}).map(c => [c.key, c]));
+        const getChampion = championId => {
+            const champion = championsByKey.get(String(championId));
+            return { championId, championName: champion ? champion.id : `Champion ${championId}` };
+        };
+
+        const teamBans = {};
+        const enemyBans = {};
+        const bannedGames = {};
+        let gamesWithBans = 0;
+        let winsWithBans = 0;
+
+        const addBan = (bans, championId) => {
+            if (!bans[championId]) bans[championId] = { ...getChampion(championId), count: 0 };
+            bans[championId].count++;
+        };
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            const teams = match.info.teams || [];
+            const hasBans = teams.some(team => (team.bans || []).some(ban => ban.championId > 0));
+            if (!hasBans) return;
+
+            gamesWithBans++;
+            if (playerParticipant.win) winsWithBans++;
+
+            // A champion banned by both teams still counts once for the banned/available split
+            const bannedThisGame = new Set();
+            teams.forEach(team => {
+                (team.bans || []).forEach(({ championId }) => {
+                    if (championId <= 0) return;
+                    addBan(team.teamId === playerParticipant.teamId ? teamBans : enemyBans, championId);
+                    bannedThisGame.add(championId);
+                });
+            });
+
+            bannedThisGame.forEach(championId => {
+                if (!bannedGames[championId]) bannedGames[championId] = { ...getChampion(championId), games: 0, wins: 0 };
+                bannedGames[championId].games++;
+                if (playerParticipant.win) bannedGames[championId].wins++;
+            });
+        });
+
+        const byCount = (a, b) => b.count - a.count || a.championName.localeCompare(b.championName);
+        const banImpact = Object.values(bannedGames).map(entry => {
+            const availableGames = gamesWithBans - entry.games;
+            const availableWins = winsWithBans - entry.wins;
+            const bannedWinRate = (entry.wins / entry.games) * 100;
+            const availableWinRate = availableGames > 0 ? (availableWins / availableGames) * 100 : null;
+            return {
+                ...entry,
+                bannedWinRate,
+                availableGames,
+                availableWins,
+                availableWinRate,
+                winRateDiff: availableWinRate === null ? null : bannedWinRate - availableWinRate
+            };
+        }).sort((a, b) => b.games - a.games || a.championName.localeCompare(b.championName));
+
+        return {
+            gamesWithBans,
+            winsWithBans,
+            teamBans: Object.values(teamBans).sort(byCount),
+            enemyBans: Object.values(enemyBans).sort(byCount),
+            banImpact
+        };
+    }
+
+    // Arena (CHERRY) placements, duo partners and augments
+    static isArenaMatch(match) {
+        return match.info.queueId === 1700 || match.info.gameMode === 'CHERRY';
+    }
+
+    static getPlacement(participant) {
+        return participant.placement || participant.subteamPlacement || null;
+    }
+
+    static getAugmentIds(participant) {
+        return [1, 2, 3, 4, 5, 6]
+            .map(slot => participant[`playerAugment${slot}`])
+            .filter(id => id);
+    }
+
+    static getDuoPartner(match, participant) {
+        return match.info.participants.find(p =>
+            p.playerSubteamId === participant.playerSubteamId && p.puuid !== participant.puuid) || null;
+    }
+
+    static calculateArenaStats(playerMatches) {
+        const arenaMatches = playerMatches.filter(({ match }) => Analytics.isArenaMatch(match));
+        const placements = arenaMatches.map(({ playerParticipant }) => Analytics.getPlacement(playerParticipant)).filter(p => p);
+
+        const partners = {};
+        const augments = {};
+        const distribution = {};
+
+        arenaMatches.forEach(({ match, playerParticipant }) => {
+            const placement = Analytics.getPlacement(playerParticipant);
+            if (!placement) return;
+            distribution[placement] = (distribution[placement] || 0) + 1;
+
+            const partner = Analytics.getDuoPartner(match, playerParticipant);
+            if (partner) {
+                if (!partners[partner.puuid]) {
+                    partners[partner.puuid] = { puuid: partner.puuid, name: partner.riotIdGameName, games: 0, placementSum: 0, topFour: 0, firsts: 0 };
+                }
+                Analytics.addPlacement(partners[partner.puuid], placement);
+            }
+
+            Analytics.getAugmentIds(playerParticipant).forEach(augmentId => {
+                if (!augments[augmentId]) {
+                    augments[augmentId] = { augmentId, games: 0, placementSum: 0, topFour: 0, firsts: 0 };
+                }
+                Analytics.addPlacement(augments[augmentId], placement);
+            });
+        });
+
+        const summarize = entry => ({
+            ...entry,
+            avgPlacement: entry.placementSum / entry.games,
+            topFourRate: (entry.topFour / entry.games) * 100
+        });
+
+        return {
+            games: arenaMatches.length,
+            avgPlacement: placements.length ? placements.reduce((a, b) => a + b, 0) / placements.length : null,
+            topFourRate: placements.length ? (placements.filter(p => p <= 4).length / placements.length) * 100 : 0,
+            firstRate: placements.length ? (placements.filter(p => p === 1).length / placements.length) * 100 : 0,
+            distribution,
+            partners: Object.values(partners).map(summarize).sort((a, b) => b.games - a.games || a.avgPlacement - b.avgPlacement),
+            augments: Object.values(augments).map(summarize).sort((a, b) => b.games - a.games || a.avgPlacement - b.avgPlacement)
+        };
+    }
+
+    static addPlacement(entry, placement) {
+        entry.games++;
+        entry.placementSum += placement;
+        if (placement <= 4) entry.topFour++;
+        if (placement === 1) entry.firsts++;
+    }
+
+    // Items, classified from item.json (tags, gold, into); timelines are match-v5 timeline files
+    static getTimelineEvents(timeline, type) {
+        return timeline.info.frames.flatMap(frame => (frame.events || []).filter(event => !type || event.type === type));
+    }
+
+    static getInventorySlots() {
+        // item6 is the trinket slot
+        return [0, 1, 2, 3, 4, 5];
+    }
+
+    static getInventory(participant) {
+        return Analytics.getInventorySlots()
+            .map(slot => participant[`item${slot}`])
+            .filter(id => id);
+    }
+
+    // 'legendary', 'boots', 'component' or 'other' (starters, consumables, trinkets, support items)
+    static getItemCategory(itemId, itemData) {
+        const item = itemData && itemData.data[itemId];
+        if (!item) return 'other';
+
+        const tags = item.tags || [];
+        if (item.consumed || tags.includes('Consumable') || tags.includes('Trinket')) return 'other';
+        if (tags.includes('Boots')) return item.from && item.from.length ? 'boots' : 'component';
+
+        // Upgrades that cannot be bought (e.g. Ornn masterworks) do not make an item a component
+        const buildsInto = (item.into || []).some(id => itemData.data[id] && itemData.data[id].gold.purchasable);
+        if (buildsInto) return 'component';
+
+        return item.gold.total >= 1500 ? 'legendary' : 'other';
+    }
+
+    static isLegendary(itemId, itemData) {
+        return Analytics.getItemCategory(itemId, itemData) === 'legendary';
+    }
+
+    // Purchases in order, with undone purchases removed
+    static getPurchaseOrder(timeline, participantId) {
+        const purchases = [];
+
+        Analytics.getTimelineEvents(timeline).forEach(event => {
+            if (event.participantId !== participantId) return;
+
+            if (event.type === 'ITEM_PURCHASED') {
+                purchases.push({ itemId: event.itemId, timestamp: event.timestamp });
+            } else if (event.type === 'ITEM_UNDO' && event.beforeId) {
+                const index = purchases.map(p => p.itemId).lastIndexOf(event.beforeId);
+                if (index !== -1) purchases.splice(index, 1);
+            }
+        });
+
+        return purchases;
+    }
+
+    // Completed legendaries in purchase order; without a timeline the final inventory slot order is used
+    static getLegendaryOrder(participant, itemData, timeline = null) {
+        if (timeline) {
+            const items = [];
+            Analytics.getPurchaseOrder(timeline, participant.participantId).forEach(({ itemId }) => {
+                if (Analytics.isLegendary(itemId, itemData) && !items.includes(itemId)) items.push(itemId);
+            });
+            return { items, source: 'timeline' };
+        }
+
+        const items = Analytics.getInventory(participant).filter(id => Analytics.isLegendary(id, itemData));
+        return { items: [...new Set(items)], source: 'inventory' };
+    }
+
+    static calculateItemStats(playerMatches, itemData, timelines = new Map(), slotCount = 3) {
+        const slots = Array.from({ length: slotCount }, () => ({}));
+        const coreBuilds = {};
+        const items = {};
+        let timelineGames = 0;
+
+        const addGame = (entries, key, extra, win) => {
+            if (!entries[key]) entries[key] = { ...extra, games: 0, wins: 0 };
+            entries[key].games++;
+            if (win) entries[key].wins++;
+        };
+
+        playerMatches.forEach(({ match, playerParticipant }) => {
+            const timeline = timelines.get(match.metadata.matchId) || null;
+            const { items: legendaries, source } = Analytics.getLegendaryOrder(playerParticipant, itemData, timeline);
+            if (source === 'timeline') timelineGames++;
+
+            const win = playerParticipant.win;
+            legendaries.slice(0, slotCount).forEach((itemId, index) => {
+                addGame(slots[index], itemId, { itemId }, win);
+            });
+
+            // Core build: the set of the first legendaries, once at least two are finished.
+            // Order is left to the per-slot counts since inventory slots are often rearranged
+            const core = legendaries.slice(0, slotCount).sort((a, b) => a - b);
+            if (core.length >= 2) {
+                addGame(coreBuilds, core.join(','), { items: core }, win);
+            }
+
+            new Set(Analytics.getInventory(playerParticipant).concat(legendaries)).forEach(itemId => {
+                const category = Analytics.getItemCategory(itemId, itemData);
+                if (category === 'legendary' || category === 'boots') {
+                    addGame(items, itemId, { itemId, category }, win);
+                }
+            });
+        });
+
+        const summarize = entry => ({ ...entry, winRate: (entry.wins / entry.games) * 100 });
+        const byGames = (a, b) => b.games - a.games || b.winRate - a.winRate;
+
+        return {
+            games: playerMatches.length,
+            timelineGames,
+            slots: slots.map(slot => Object.values(slot).map(summarize).sort(byGames)),
+            coreBuilds: Object.values(coreBuilds).map(summarize).sort(byGames),
+            items: Object.values(items).map(summarize).sort(byGames)
+        };
+    }
+}
+
+// Export for module use (a browser global, or module.exports under Node)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Analytics;
+} else {
+    window.Analytics = Analytics;
+}
@@ -0,0 +1,64 @@
+/**
+ * Arena Utilities - Placements, duo partners and augments for Arena (CHERRY) matches
+ */
+class ArenaUtils {
+    static isArenaMatch(match) {
+        return Analytics.isArenaMatch(match);
+    }
+
+    static getPlacement(participant) {
+        return Analytics.getPlacement(participant);
+    }
+
+    static formatPlacement(placement) {
+        if (!placement) return '-';
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        return `${placement}${suffixes[placement] || 'th'}`;
+    }
+
+    static isTopFour(participant) {
+        const placement = ArenaUtils.getPlacement(participant);
+        return placement !== null && placement <= 4;
+    }
+
+    static getAugmentIds(participant) {
+        return Analytics.getAugmentIds(participant);
+    }
+
+    // Names come from game-data/arenaAugments.json (CommunityDragon cherry-augments.json) when present
+    static getAugmentName(augmentId, arenaAugments) {
+        const augment = (arenaAugments || []).find(a => a.id === augmentId);
+        return augment ? augment.nameTRA || augment.name : `Augment ${augmentId}`;
+    }
+
+    static getAugmentIconUrl(augmentId, arenaAugments) {
+        const augment = (arenaAugments || []).find(a => a.id === augmentId);
+        if (!augment || !augment.augmentSmallIconPath) return null;
+        return `https://raw.communitydragon.org/latest/game/${augment.augmentSmallIconPath.toLowerCase()}`;
+    }
+
+    static getDuoPartner(match, participant) {
+        return Analytics.getDuoPartner(match, participant);
+    }
+
+    // Duos ordered by final placement
+    static getSubteams(match) {
+        const subteams = new Map();
+        match.info.participants.forEach(p => {
+            if (!subteams.has(p.playerSubteamId)) {
+                subteams.set(p.playerSubteamId, { subteamId: p.playerSubteamId, placement: ArenaUtils.getPlacement(p), participants: [] });
+            }
+            subteams.get(p.playerSubteamId).participants.push(p);
+        });
+
+        return Array.from(subteams.values()).sort((a, b) => (a.placement || 99) - (b.placement || 99));
+    }
+
+    // Placements, duo partners and augments; computed by Analytics so Node can report them too
+    static calculateArenaStats(playerMatches) {
+        return Analytics.calculateArenaStats(playerMatches);
+    }
+}
+
+// Export for module use
+window.ArenaUtils = ArenaUtils;
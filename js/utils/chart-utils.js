@@ -205,6 +205,81 @@ class ChartUtils {
             }
         });
     }
+
+    // Line chart centred on zero, e.g. gold difference over time
+    static createDifferenceChart(ctx, labels, datasets, yTitle) {
+        const colors = ChartUtils.getDefaultColors();
+        const palette = [colors.infoBorder, colors.warningBorder, colors.secondaryBorder];
+
+        return new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: labels,
+                datasets: datasets.map((dataset, index) => {
+                    const color = dataset.color || palette[index % palette.length];
+                    return {
+                        label: dataset.label,
+                        data: dataset.data,
+                        borderColor: color,
+                        backgroundColor: color,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        tension: 0.3,
+                        spanGaps: true,
+                        yAxisID: dataset.yAxisID || 'y',
+                        // A single series is shaded green above zero and red below
+                        fill: datasets.length === 1 ? {
+                            target: 'origin',
+                            above: colors.success.replace('0.8', '0.25'),
+                            below: colors.danger.replace('0.8', '0.25')
+                        } : false
+                    };
+                })
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        display: datasets.length > 1,
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        ...ChartUtils.getDefaultTooltipStyle(),
+                        callbacks: {
+                            label: function(context) {
+                                const value = context.parsed.y;
+                                return `${context.dataset.label}: ${value > 0 ? '+' : ''}${value.toLocaleString()}`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ...ChartUtils.getDefaultScaleStyle(),
+                        title: {
+                            display: Boolean(yTitle),
+                            text: yTitle
+                        },
+                        grid: {
+                            color: (context) => context.tick.value === 0 ? 'rgba(0, 0, 0, 0.4)' : 'rgba(0, 0, 0, 0.1)'
+                        }
+                    },
+                    x: {
+                        ...ChartUtils.getDefaultScaleStyle(),
+                        grid: {
+                            display: false
+                        }
+                    }
+                }
+            }
+        });
+    }
 }
 
 // Export for module use
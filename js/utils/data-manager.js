@@ -6,12 +6,39 @@ class DataManager {
         this.MATCHES_DIR = './matches/';
         this.GAME_DATA_DIR = './game-data/';
         this.PLAYER_DATA_DIR = './player-data/';
+        this.TIMELINES_DIR = `${this.MATCHES_DIR}timelines/`;
+        this.MANIFEST_FILE = 'index.json';
+        this.SUMMONERS_FILE = 'summoners.json';
+        this.SELECTED_SUMMONER_KEY = 'selectedSummoner';
+        this.RANKED_HISTORY_FILE = 'rankedHistory.json';
+        this.QUEUE_SET_KEY = 'queueSet';
+        this.DEFAULT_QUEUE_SET = 'ranked';
+        // Plausible LP gain/loss per game when splitting a snapshot delta by wins and losses
+        this.LP_PER_GAME_RANGE = { min: 5, max: 50 };
+        this.MATCH_CONCURRENCY = 8;
+        this.INITIAL_MATCH_COUNT = 20;
+        this.manifest = null;
+        this.summoners = [];
+        this.activeSummoner = null;
+        this.queueSet = localStorage.getItem(this.QUEUE_SET_KEY) || this.DEFAULT_QUEUE_SET;
+        // Page-wide filters from the app's FilterStore, applied inside the queue scope
+        this.globalFilters = FilterStore.getDefaults();
+        this.loadedMatches = [];
+        this.staticData = {};
+        this.failedMatches = [];
+        this.listeners = {};
+        this.cache = new MatchCache();
+        this.timelines = new Map();
         this.data = {};
     }
 
-    async fetchData(url) {
+    // optional: a missing file (404) returns null without logging an error
+    async fetchData(url, { optional = false } = {}) {
         try {
             const response = await fetch(url);
+            if (optional && response.status === 404) {
+                return null;
+            }
             if (!response.ok) {
                 throw new Error(`Failed to fetch ${url}: ${response.statusText}`);
             }
@@ -22,29 +49,297 @@ class DataManager {
         }
     }
 
+    // Network first, falling back to the IndexedDB copy when offline
+    async fetchCachedData(url, options = {}) {
+        const data = await this.fetchData(url, options);
+        if (data !== null) {
+            this.cache.putFile(url, data);
+            return data;
+        }
+
+        const cached = await this.cache.getFile(url);
+        if (cached !== null) {
+            console.log(`Using cached copy of ${url}`);
+        }
+        return cached;
+    }
+
+    // Match manifest (generated by scripts/build-match-manifest.js)
+    async loadManifest() {
+        const manifest = await this.fetchCachedData(`${this.MATCHES_DIR}${this.MANIFEST_FILE}`);
+        if (!manifest || !Array.isArray(manifest.matches)) {
+            throw new Error('Failed to load match manifest');
+        }
+
+        this.manifest = manifest;
+        return manifest;
+    }
+
+    getManifestEntries() {
+        return this.manifest ? this.manifest.matches : [];
+    }
+
+    // Tracked summoners (player-data/summoners.json); without it the most frequent puuid is used
+    async loadSummonerConfig() {
+        const config = await this.fetchCachedData(`${this.PLAYER_DATA_DIR}${this.SUMMONERS_FILE}`, { optional: true });
+        this.summoners = config && Array.isArray(config.summoners) ? config.summoners : [];
+        if (this.summoners.length === 0) return null;
+
+        const savedId = localStorage.getItem(this.SELECTED_SUMMONER_KEY);
+        this.activeSummoner = this.summoners.find(s => s.id === savedId)
+            || this.summoners.find(s => s.id === config.defaultSummoner)
+            || this.summoners[0];
+
+        return this.activeSummoner;
+    }
+
+    getSummoners() {
+        return this.summoners;
+    }
+
+    getActiveSummoner() {
+        return this.activeSummoner;
+    }
+
+    getPlayerDataDir() {
+        return this.activeSummoner && this.activeSummoner.playerDataDir
+            ? this.activeSummoner.playerDataDir.replace(/\/?$/, '/')
+            : this.PLAYER_DATA_DIR;
+    }
+
+    async loadPlayerData() {
+        const playerDataDir = this.getPlayerDataDir();
+        const [rankedInfo, championMastery, rankedHistory] = await Promise.all([
+            this.fetchCachedData(`${playerDataDir}rankedInfo.json`),
+            this.fetchCachedData(`${playerDataDir}championMastery.json`),
+            // Optional: appended by scripts/fetch-riot-data.js, so new setups have none yet
+            this.fetchCachedData(`${playerDataDir}${this.RANKED_HISTORY_FILE}`, { optional: true })
+        ]);
+
+        // Missing files fall back to empty data so a new summoner still renders
+        return {
+            rankedInfo: rankedInfo || [],
+            championMastery: championMastery || [],
+            rankedHistory: rankedHistory || []
+        };
+    }
+
+    async switchSummoner(summonerId) {
+        const summoner = this.summoners.find(s => s.id === summonerId);
+        if (!summoner) {
+            throw new Error(`Unknown summoner: ${summonerId}`);
+        }
+
+        this.activeSummoner = summoner;
+        localStorage.setItem(this.SELECTED_SUMMONER_KEY, summoner.id);
+
+        const playerData = await this.loadPlayerData();
+        this.staticData = { ...this.staticData, ...playerData };
+        this.data = this.processData(this.loadedMatches);
+        this.emit('summonerChanged', { summoner, data: this.data });
+
+        return this.data;
+    }
+
+    getQueueSet() {
+        return this.queueSet;
+    }
+
+    // Scopes every module's statistics to one of QueueRegistry.getQueueSets()
+    setQueueSet(queueSetKey) {
+        if (!QueueRegistry.getQueueSets()[queueSetKey]) {
+            throw new Error(`Unknown queue set: ${queueSetKey}`);
+        }
+
+        this.queueSet = queueSetKey;
+        localStorage.setItem(this.QUEUE_SET_KEY, queueSetKey);
+
+        this.data = this.processData(this.loadedMatches);
+        this.emit('queueSetChanged', { queueSet: this.data.queueSet, data: this.data });
+
+        return this.data;
+    }
+
+    getGlobalFilters() {
+        return { ...this.globalFilters };
+    }
+
+    setGlobalFilters(filters) {
+        this.globalFilters = { ...FilterStore.getDefaults(), ...FilterStore.pick(filters) };
+
+        this.data = this.processData(this.loadedMatches);
+        this.emit('globalFiltersChanged', { filters: this.getGlobalFilters(), data: this.data });
+
+        return this.data;
+    }
+
+    // Games in the current queue scope that a set of global filters would keep
+    countGlobalFilterMatches(filters) {
+        const scopedPlayerMatches = this.data.scopedPlayerMatches || [];
+        return scopedPlayerMatches.filter(entry => FilterStore.matches(entry, filters, match => this.getPatch(match))).length;
+    }
+
     async loadAllData() {
         const [
             championData,
             itemData,
             gameModes,
-            rankedInfo,
-            championMastery,
-            matches
+            arenaAugments,
+            runesReforged,
+            summonerSpells
         ] = await Promise.all([
-            this.fetchData(`${this.GAME_DATA_DIR}champion.json`),
-            this.fetchData(`${this.GAME_DATA_DIR}item.json`),
-            this.fetchData(`${this.GAME_DATA_DIR}gameModes.json`),
-            this.fetchData(`${this.PLAYER_DATA_DIR}rankedInfo.json`),
-            this.fetchData(`${this.PLAYER_DATA_DIR}championMastery.json`),
-            Promise.all(matchFiles.map(file => this.fetchData(`${this.MATCHES_DIR}${file}`)))
+            this.fetchCachedData(`${this.GAME_DATA_DIR}champion.json`),
+            this.fetchCachedData(`${this.GAME_DATA_DIR}item.json`),
+            this.fetchCachedData(`${this.GAME_DATA_DIR}gameModes.json`),
+            // Optional: augment names for Arena; ids are shown without it
+            this.fetchCachedData(`${this.GAME_DATA_DIR}arenaAugments.json`, { optional: true }),
+            // Rune and summoner spell names/icons, generated by scripts/fetch-game-data.js
+            this.fetchCachedData(`${this.GAME_DATA_DIR}runesReforged.json`),
+            this.fetchCachedData(`${this.GAME_DATA_DIR}summoner.json`),
+            this.loadManifest(),
+            this.loadSummonerConfig()
         ]);
 
-        if (!matches.every(m => m)) {
+        const playerData = await this.loadPlayerData();
+
+        this.staticData = {
+            championData,
+            itemData,
+            gameModes,
+            arenaAugments: arenaAugments || [],
+            runesReforged: runesReforged || [],
+            summonerSpells: summonerSpells || null,
+            ...playerData
+        };
+        this.failedMatches = [];
+
+        const matches = await this.loadMatches(this.getManifestEntries());
+        if (matches.length === 0) {
             throw new Error('Failed to load match data');
         }
 
+        this.loadedMatches = matches;
+        this.data = this.processData(matches);
+        this.emit('complete', { data: this.data, failed: this.failedMatches });
+
+        return this.data;
+    }
+
+    // Incremental match loading
+    async loadMatches(entries) {
+        const results = new Array(entries.length);
+        const initialCount = Math.min(this.INITIAL_MATCH_COUNT, entries.length);
+        const cachedMatches = await this.cache.getAllMatches();
+        const isCached = entry => cachedMatches.has(entry.matchId) && cachedMatches.get(entry.matchId).hash === entry.hash;
+        // A fully cached load finishes almost instantly, so skip the early partial render
+        const renderEarly = initialCount < entries.length && !entries.every(isCached);
+        let cachedCount = 0;
+        let settled = 0;
+        let initialSettled = 0;
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < entries.length) {
+                const index = nextIndex++;
+                const entry = entries[index];
+
+                // Only fetch matches that are missing from the cache or whose file changed
+                if (isCached(entry)) {
+                    results[index] = cachedMatches.get(entry.matchId).match;
+                    cachedCount++;
+                } else {
+                    results[index] = await this.fetchMatch(entry.file);
+                    if (results[index]) {
+                        this.cache.putMatch(entry.matchId, entry.hash, results[index]);
+                    }
+                }
+                settled++;
+
+                this.emit('progress', {
+                    loaded: settled - this.failedMatches.length,
+                    failed: this.failedMatches.length,
+                    cached: cachedCount,
+                    total: entries.length
+                });
+
+                // Manifest is newest first, so the first entries are the newest games
+                if (index < initialCount && ++initialSettled === initialCount && renderEarly) {
+                    const initialMatches = results.slice(0, initialCount).filter(Boolean);
+                    if (initialMatches.length > 0) {
+                        this.data = this.processData(initialMatches);
+                        this.emit('initialDataReady', { data: this.data, total: entries.length });
+                    }
+                }
+            }
+        };
+
+        const workerCount = Math.min(this.MATCH_CONCURRENCY, entries.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        return results.filter(Boolean);
+    }
+
+    async fetchMatch(file) {
+        try {
+            const response = await fetch(`${this.MATCHES_DIR}${file}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+            }
+
+            const match = await response.json();
+            if (!match || !match.metadata || !match.info || !Array.isArray(match.info.participants)) {
+                throw new Error('Unexpected match format');
+            }
+            return match;
+        } catch (error) {
+            console.warn(`Skipping match file ${file}: ${error.message}`);
+            this.failedMatches.push({ file, reason: error.message });
+            return null;
+        }
+    }
+
+    // Match timelines (optional, matches/timelines/<matchId>.json)
+    hasTimeline(matchId) {
+        const entry = this.getManifestEntries().find(e => e.matchId === matchId);
+        return Boolean(entry && entry.timeline);
+    }
+
+    async getTimeline(matchId) {
+        if (!this.hasTimeline(matchId)) return null;
+        if (this.timelines.has(matchId)) return this.timelines.get(matchId);
+
+        const timeline = await this.fetchCachedData(`${this.TIMELINES_DIR}${matchId}.json`);
+        const valid = timeline && timeline.info && Array.isArray(timeline.info.frames) ? timeline : null;
+        this.timelines.set(matchId, valid);
+        return valid;
+    }
+
+    async loadTimelines(matchIds) {
+        const ids = matchIds.filter(matchId => this.hasTimeline(matchId));
+        const timelines = new Map();
+        let nextIndex = 0;
+
+        const worker = async () => {
+            while (nextIndex < ids.length) {
+                const matchId = ids[nextIndex++];
+                const timeline = await this.getTimeline(matchId);
+                if (timeline) timelines.set(matchId, timeline);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.MATCH_CONCURRENCY, ids.length) }, worker));
+        return timelines;
+    }
+
+    async clearCache() {
+        await this.cache.clear();
+    }
+
+    processData(loadedMatches) {
+        const { championMastery } = this.staticData;
+
         // Sort matches by creation date (newest first)
-        matches.sort((a, b) => b.info.gameCreation - a.info.gameCreation);
+        const matches = [...loadedMatches].sort((a, b) => b.info.gameCreation - a.info.gameCreation);
 
         // Process data
         const masteryMap = new Map();
@@ -54,16 +349,11 @@ class DataManager {
             });
         }
 
-        // Find main player
-        const allPuuids = matches.flatMap(match => match.metadata.participants);
-        const puuidCounts = allPuuids.reduce((acc, puuid) => {
-            acc[puuid] = (acc[puuid] || 0) + 1;
-            return acc;
-        }, {});
-        const mainPlayerPuuid = Object.keys(puuidCounts).reduce((a, b) => puuidCounts[a] > puuidCounts[b] ? a : b);
+        // Find main player: the selected summoner, or the most frequent puuid
+        const mainPlayerPuuid = this.activeSummoner ? this.activeSummoner.puuid : this.findMostFrequentPuuid(matches);
         
         let mainPlayerName = '';
-        const playerMatches = matches.map(match => {
+        const allPlayerMatches = matches.map(match => {
             const playerParticipant = match.info.participants.find(p => p.puuid === mainPlayerPuuid);
             if (playerParticipant && !mainPlayerName) {
                 mainPlayerName = playerParticipant.riotIdGameName;
@@ -71,38 +361,228 @@ class DataManager {
             return { match, playerParticipant };
         }).filter(m => m.playerParticipant);
 
-        // Store processed data
-        this.data = {
-            championData,
-            itemData,
-            gameModes,
-            rankedInfo,
-            championMastery,
+        if (!mainPlayerName && this.activeSummoner) {
+            mainPlayerName = this.activeSummoner.riotId.split('#')[0];
+        }
+
+        const lpHistory = this.calculateLpHistory(this.staticData.rankedHistory || [], allPlayerMatches);
+
+        // Game counts per queue set; an empty selection falls back to all queues
+        const queueSetCounts = {};
+        Object.keys(QueueRegistry.getQueueSets()).forEach(key => {
+            queueSetCounts[key] = allPlayerMatches.filter(({ match }) => QueueRegistry.isInQueueSet(match.info.queueId, key)).length;
+        });
+        const queueSet = queueSetCounts[this.queueSet] ? this.queueSet : 'all';
+        const scopedPlayerMatches = allPlayerMatches.filter(({ match }) => QueueRegistry.isInQueueSet(match.info.queueId, queueSet));
+        let scopedMatches = matches.filter(match => QueueRegistry.isInQueueSet(match.info.queueId, queueSet));
+
+        // Global filters narrow every module's games; patch and filter bar options keep the whole queue scope
+        const globalFilters = this.getGlobalFilters();
+        let playerMatches = scopedPlayerMatches;
+        if (FilterStore.isActive(globalFilters)) {
+            playerMatches = scopedPlayerMatches.filter(entry => FilterStore.matches(entry, globalFilters, match => this.getPatch(match)));
+            const matchIds = new Set(playerMatches.map(({ match }) => match.metadata.matchId));
+            scopedMatches = scopedMatches.filter(match => matchIds.has(match.metadata.matchId));
+        }
+
+        const patches = [...new Set(scopedPlayerMatches.map(({ match }) => this.getPatch(match)))]
+            .sort((a, b) => this.comparePatches(b, a));
+
+        return {
+            ...this.staticData,
             masteryMap,
-            matches,
+            matches: scopedMatches,
+            allMatches: matches,
             playerMatches,
+            scopedPlayerMatches,
+            allPlayerMatches,
+            globalFilters,
+            queueSet,
+            queueSetCounts,
+            patches,
+            lpHistory,
             mainPlayerPuuid,
-            mainPlayerName
+            mainPlayerName,
+            activeSummoner: this.activeSummoner,
+            failedMatches: [...this.failedMatches]
         };
+    }
 
-        return this.data;
+    // Builds per-queue LP series from rankedHistory snapshots and spreads each
+    // snapshot-to-snapshot LP change over the ranked games played in between
+    calculateLpHistory(rankedHistory, playerMatches) {
+        const queues = {};
+        const matchDeltas = new Map();
+
+        Object.entries(RankUtils.getRankedQueues()).forEach(([queueType, { queueId, label }]) => {
+            const snapshots = rankedHistory
+                .filter(snapshot => snapshot.queueType === queueType && RankUtils.getLpValue(snapshot) !== null)
+                .sort((a, b) => a.timestamp - b.timestamp);
+            if (snapshots.length === 0) return;
+
+            const queueMatches = playerMatches
+                .filter(({ match }) => match.info.queueId === queueId)
+                .map(entry => ({ ...entry, endTime: this.getGameEndTime(entry.match) }));
+
+            const points = snapshots.map((snapshot, index) => {
+                const previous = snapshots[index - 1];
+                const value = RankUtils.getLpValue(snapshot);
+                const point = {
+                    timestamp: snapshot.timestamp,
+                    value,
+                    tier: snapshot.tier,
+                    rank: snapshot.rank,
+                    leaguePoints: snapshot.leaguePoints,
+                    change: RankUtils.getRankChange(previous, snapshot),
+                    delta: previous ? value - RankUtils.getLpValue(previous) : 0,
+                    games: 0
+                };
+
+                if (previous) {
+                    const between = queueMatches.filter(({ endTime }) =>
+                        endTime > previous.timestamp && endTime <= snapshot.timestamp);
+                    point.games = between.length;
+                    this.attributeLpDelta(point.delta, between).forEach((delta, matchId) => matchDeltas.set(matchId, delta));
+                }
+
+                return point;
+            });
+
+            queues[queueType] = { queueType, queueId, label, points };
+        });
+
+        return { queues, matchDeltas };
+    }
+
+    // Single game: exact. Several: +x per win / -x per loss when that fits the
+    // total, otherwise an even split. Either way the result is an estimate.
+    attributeLpDelta(totalDelta, matchesBetween) {
+        const deltas = new Map();
+        if (matchesBetween.length === 0) return deltas;
+
+        const estimated = matchesBetween.length > 1;
+        const wins = matchesBetween.filter(({ playerParticipant }) => playerParticipant.win).length;
+        const losses = matchesBetween.length - wins;
+        const perGame = wins !== losses ? totalDelta / (wins - losses) : null;
+        const symmetric = perGame !== null && perGame >= this.LP_PER_GAME_RANGE.min && perGame <= this.LP_PER_GAME_RANGE.max;
+
+        matchesBetween.forEach(({ match, playerParticipant }) => {
+            let delta;
+            if (!estimated) {
+                delta = totalDelta;
+            } else if (symmetric) {
+                delta = playerParticipant.win ? perGame : -perGame;
+            } else {
+                delta = totalDelta / matchesBetween.length;
+            }
+            deltas.set(match.metadata.matchId, { delta: Math.round(delta), estimated });
+        });
+
+        return deltas;
+    }
+
+    // "15.14.701.6241" -> "15.14"
+    getPatch(match) {
+        return Analytics.getPatch(match);
+    }
+
+    comparePatches(a, b) {
+        return Analytics.comparePatches(a, b);
+    }
+
+    getGameEndTime(match) {
+        return match.info.gameEndTimestamp || match.info.gameCreation + match.info.gameDuration * 1000;
+    }
+
+    getLpDelta(matchId) {
+        return this.data.lpHistory ? this.data.lpHistory.matchDeltas.get(matchId) || null : null;
+    }
+
+    findMostFrequentPuuid(matches) {
+        return Analytics.findMostFrequentPuuid(matches);
+    }
+
+    // Loader events: progress, initialDataReady, complete, summonerChanged, queueSetChanged, globalFiltersChanged
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+    }
+
+    off(event, callback) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+
+    emit(event, detail) {
+        (this.listeners[event] || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
     }
 
     getData() {
         return this.data;
     }
 
-    // Utility methods for common calculations
+    // Utility methods for common calculations (see Analytics)
     calculateWinRate(wins, totalGames) {
-        return totalGames > 0 ? (wins / totalGames * 100).toFixed(2) : 0;
+        return Analytics.calculateWinRate(wins, totalGames);
     }
 
     calculateKDA(kills, deaths, assists) {
-        return deaths > 0 ? (kills + assists) / deaths : Infinity;
+        return Analytics.calculateKDA(kills, deaths, assists);
     }
 
     calculateGoldPerMinute(goldEarned, gameDuration) {
-        return gameDuration > 0 ? goldEarned / (gameDuration / 60) : 0;
+        return Analytics.calculateGoldPerMinute(goldEarned, gameDuration);
+    }
+
+    // Enemy participant playing the same position (none in ARAM/Arena)
+    getLaneOpponent(match, participant) {
+        return Analytics.getLaneOpponent(match, participant);
+    }
+
+    // Per opposing champion: record, KDA, end-of-game CS/gold difference and kill participation
+    calculateLaneMatchups(playerMatches) {
+        return Analytics.calculateLaneMatchups(playerMatches);
+    }
+
+    // Players on the player's side: the four teammates, or the duo partner in Arena
+    getTeammates(match, participant) {
+        return Analytics.getTeammates(match, participant);
+    }
+
+    getRiotId(participant) {
+        return Analytics.getRiotId(participant);
+    }
+
+    // Recurring teammates keyed by puuid, with the player's record together vs. apart
+    calculateTeammateStats(playerMatches, minGames = 2) {
+        return Analytics.calculateTeammateStats(playerMatches, minGames);
+    }
+
+    // Players on the other side: the enemy team, or every other duo in Arena
+    getOpponents(match, participant) {
+        return Analytics.getOpponents(match, participant);
+    }
+
+    // Enemy players met in at least minGames games, with the player's record against them
+    calculateOpponentStats(playerMatches, minGames = 2) {
+        return Analytics.calculateOpponentStats(playerMatches, minGames);
+    }
+
+    isPlayedWith(match, participant, puuid) {
+        return Analytics.isPlayedWith(match, participant, puuid);
+    }
+
+    // Ban counts per side and the player's record when each champion was banned vs. available
+    calculateBanStats(playerMatches) {
+        return Analytics.calculateBanStats(playerMatches, this.staticData.championData);
     }
 
     getChampionIconUrl(championName, version) {
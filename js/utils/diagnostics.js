@@ -0,0 +1,66 @@
+/**
+ * Diagnostics - Collects render errors, uncaught errors and load warnings for the header diagnostics list
+ */
+class Diagnostics {
+    constructor(limit = 100) {
+        // Oldest entries are dropped past the limit
+        this.limit = limit;
+        this.entries = [];
+        this.listeners = [];
+    }
+
+    // level is 'error' or 'warning'
+    add({ source, message, level = 'error', stack = '' }) {
+        this.entries.push({ source, message, level, stack, timestamp: Date.now() });
+        if (this.entries.length > this.limit) {
+            this.entries.splice(0, this.entries.length - this.limit);
+        }
+        this.notify();
+    }
+
+    addError(source, error) {
+        this.add({
+            source,
+            message: ErrorBoundary.getMessage(error),
+            stack: error && error.stack ? error.stack : ''
+        });
+    }
+
+    // Newest first
+    getEntries() {
+        return [...this.entries].reverse();
+    }
+
+    getCounts() {
+        return {
+            errors: this.entries.filter(entry => entry.level === 'error').length,
+            warnings: this.entries.filter(entry => entry.level === 'warning').length
+        };
+    }
+
+    clear() {
+        this.entries = [];
+        this.notify();
+    }
+
+    // Returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.getEntries());
+            } catch (error) {
+                console.error('Error in diagnostics listener:', error);
+            }
+        });
+    }
+}
+
+// Export for module use
+window.Diagnostics = Diagnostics;
@@ -0,0 +1,76 @@
+/**
+ * Error Boundary - Runs one module or card render and turns a failure into an inline error panel with a retry button
+ */
+class ErrorBoundary {
+    static getMessage(error) {
+        return error && error.message ? error.message : String(error);
+    }
+
+    // Returns whether render() succeeded; an async render that rejects still gets its panel later
+    static run(render, { key, title, getContainer, onError = () => {}, retry = null }) {
+        const fail = (error) => {
+            console.error(`${title} failed:`, error);
+            onError(error);
+
+            const container = getContainer();
+            if (container) {
+                ErrorBoundary.renderPanel(container, {
+                    key,
+                    title,
+                    error,
+                    onRetry: retry || (() => ErrorBoundary.run(render, { key, title, getContainer, onError }))
+                });
+            }
+        };
+
+        try {
+            const result = render();
+            if (result && typeof result.catch === 'function') {
+                result.catch(fail);
+            }
+            return true;
+        } catch (error) {
+            fail(error);
+            return false;
+        }
+    }
+
+    static getPanels(key) {
+        return [...document.querySelectorAll('.error-panel')].filter(panel => panel.dataset.errorKey === key);
+    }
+
+    static clear(key) {
+        ErrorBoundary.getPanels(key).forEach(panel => panel.remove());
+    }
+
+    // One panel per key at the top of the container; the container's own content is left in place for the retry
+    static renderPanel(container, { key, title, error, onRetry }) {
+        ErrorBoundary.clear(key);
+
+        const panel = document.createElement('div');
+        panel.className = 'alert alert-danger error-panel d-flex align-items-start gap-2';
+        panel.dataset.errorKey = key;
+        panel.setAttribute('role', 'alert');
+        panel.innerHTML = `
+            <i class="bi bi-exclamation-triangle-fill mt-1"></i>
+            <div class="flex-grow-1">
+                <strong>${title} failed to load</strong>
+                <div class="small error-panel-message"></div>
+            </div>
+            <button type="button" class="btn btn-sm btn-outline-danger error-panel-retry">
+                <i class="bi bi-arrow-clockwise me-1"></i>Retry
+            </button>
+        `;
+        // Error text may contain markup from data (e.g. champion names), so it is set as text
+        panel.querySelector('.error-panel-message').textContent = ErrorBoundary.getMessage(error);
+        panel.querySelector('.error-panel-retry').addEventListener('click', () => {
+            panel.remove();
+            onRetry();
+        });
+
+        container.prepend(panel);
+    }
+}
+
+// Export for module use
+window.ErrorBoundary = ErrorBoundary;
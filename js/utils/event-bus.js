@@ -0,0 +1,35 @@
+/**
+ * Event Bus - Publish/subscribe channel between the app and its tab modules
+ */
+class EventBus {
+    constructor() {
+        this.listeners = {};
+    }
+
+    // Returns an unsubscribe function
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return () => this.off(event, callback);
+    }
+
+    off(event, callback) {
+        if (!this.listeners[event]) return;
+        this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+
+    emit(event, detail) {
+        (this.listeners[event] || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+}
+
+// Export for module use
+window.EventBus = EventBus;
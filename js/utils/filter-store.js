@@ -0,0 +1,97 @@
+/**
+ * Filter Store - Page-wide game filters (date range, queue, role, champion, patch, result) shared by every tab
+ */
+class FilterStore {
+    constructor(filters = {}) {
+        this.filters = { ...FilterStore.getDefaults(), ...FilterStore.pick(filters) };
+        this.listeners = [];
+    }
+
+    // Empty string means "any"; result is 'win' or 'loss'
+    static getDefaults() {
+        return {
+            dateFrom: '',
+            dateTo: '',
+            queueId: '',
+            role: '',
+            champion: '',
+            patch: '',
+            result: ''
+        };
+    }
+
+    // Known keys only, as strings
+    static pick(filters) {
+        const picked = {};
+        Object.keys(FilterStore.getDefaults()).forEach(key => {
+            if (filters[key] !== undefined && filters[key] !== null) picked[key] = String(filters[key]);
+        });
+        return picked;
+    }
+
+    static isActive(filters) {
+        return FilterStore.getActiveCount(filters) > 0;
+    }
+
+    static getActiveCount(filters) {
+        return Object.values(filters).filter(value => value).length;
+    }
+
+    // Same rules as the Match History filters; getPatch is DataManager.getPatch
+    static matches({ match, playerParticipant }, filters, getPatch) {
+        if (filters.dateFrom && new Date(match.info.gameCreation) < new Date(filters.dateFrom)) return false;
+        if (filters.dateTo) {
+            const toDate = new Date(filters.dateTo);
+            toDate.setHours(23, 59, 59); // End of day
+            if (new Date(match.info.gameCreation) > toDate) return false;
+        }
+
+        if (filters.queueId && match.info.queueId !== parseInt(filters.queueId, 10)) return false;
+        if (filters.role && (playerParticipant.teamPosition || 'UNKNOWN') !== filters.role) return false;
+        if (filters.champion && playerParticipant.championName !== filters.champion) return false;
+        if (filters.patch && getPatch(match) !== filters.patch) return false;
+        if (filters.result === 'win' && !playerParticipant.win) return false;
+        if (filters.result === 'loss' && playerParticipant.win) return false;
+
+        return true;
+    }
+
+    getFilters() {
+        return { ...this.filters };
+    }
+
+    setFilters(filters) {
+        const next = { ...this.filters, ...FilterStore.pick(filters) };
+        const changed = Object.keys(next).some(key => next[key] !== this.filters[key]);
+        if (!changed) return;
+
+        this.filters = next;
+        this.notify();
+    }
+
+    clear() {
+        this.setFilters(FilterStore.getDefaults());
+    }
+
+    // Returns an unsubscribe function
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    notify() {
+        const filters = this.getFilters();
+        this.listeners.forEach(listener => {
+            try {
+                listener(filters);
+            } catch (error) {
+                console.error('Error in filter listener:', error);
+            }
+        });
+    }
+}
+
+// Export for module use
+window.FilterStore = FilterStore;
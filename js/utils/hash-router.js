@@ -0,0 +1,71 @@
+/**
+ * Hash Router - Keeps the active tab, match history filters and open modals in the URL hash
+ *
+ * Routes look like #/match-history?champion=Jinx&queue=420, #/match/VN2_966161684 or #/champion/Jinx
+ */
+class HashRouter {
+    constructor() {
+        this.listeners = [];
+        // Back/forward and edited or pasted links; navigate() uses pushState, which does not fire hashchange
+        window.addEventListener('hashchange', () => this.notify());
+    }
+
+    static parse(hash) {
+        const [path, query = ''] = (hash || '').replace(/^#\/?/, '').split('?');
+        let segments;
+        try {
+            segments = path.split('/').filter(segment => segment).map(decodeURIComponent);
+        } catch (error) {
+            // A malformed escape in a shared or hand-edited link (e.g. %E0%A4%A) opens the default route
+            console.warn(`Ignoring malformed route ${hash}: ${error.message}`);
+            return { view: null, id: null, params: {} };
+        }
+
+        const params = {};
+        new URLSearchParams(query).forEach((value, key) => {
+            params[key] = value;
+        });
+
+        return { view: segments[0] || null, id: segments[1] || null, params };
+    }
+
+    // Empty, false and undefined params are left out so equal states build equal hashes
+    static build({ view, id = null, params = {} }) {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '' && value !== false)
+        ).toString();
+        const path = [view, id].filter(segment => segment).map(encodeURIComponent).join('/');
+        return `#/${path}${query ? `?${query}` : ''}`;
+    }
+
+    getRoute() {
+        return HashRouter.parse(window.location.hash);
+    }
+
+    navigate(route, { replace = false } = {}) {
+        const hash = HashRouter.build(route);
+        if (hash === window.location.hash) return;
+
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        const route = this.getRoute();
+        this.listeners.forEach(listener => listener(route));
+    }
+}
+
+// Export for module use (a browser global, or module.exports under Node for tests/)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashRouter;
+} else {
+    window.HashRouter = HashRouter;
+}
@@ -0,0 +1,44 @@
+/**
+ * Item Utilities - Item classification from item.json and legendary build order analysis
+ */
+class ItemUtils {
+    static getInventorySlots() {
+        return Analytics.getInventorySlots();
+    }
+
+    static getInventory(participant) {
+        return Analytics.getInventory(participant);
+    }
+
+    // 'legendary', 'boots', 'component' or 'other' (starters, consumables, trinkets, support items)
+    static getItemCategory(itemId, itemData) {
+        return Analytics.getItemCategory(itemId, itemData);
+    }
+
+    static isLegendary(itemId, itemData) {
+        return Analytics.isLegendary(itemId, itemData);
+    }
+
+    static getItemName(itemId, itemData) {
+        const item = itemData && itemData.data[itemId];
+        return item ? item.name : `Item ${itemId}`;
+    }
+
+    // Purchases in order, with undone purchases removed
+    static getPurchaseOrder(timeline, participantId) {
+        return Analytics.getPurchaseOrder(timeline, participantId);
+    }
+
+    // Completed legendaries in purchase order; without a timeline the final inventory slot order is used
+    static getLegendaryOrder(participant, itemData, timeline = null) {
+        return Analytics.getLegendaryOrder(participant, itemData, timeline);
+    }
+
+    // Per-slot legendaries, core builds and item win rates; computed by Analytics so Node can report them too
+    static calculateItemStats(playerMatches, itemData, timelines = new Map(), slotCount = 3) {
+        return Analytics.calculateItemStats(playerMatches, itemData, timelines, slotCount);
+    }
+}
+
+// Export for module use
+window.ItemUtils = ItemUtils;
@@ -0,0 +1,122 @@
+/**
+ * Match Cache - IndexedDB persistence for parsed match and static data
+ */
+class MatchCache {
+    constructor() {
+        this.DB_NAME = 'summoner-stats-cache';
+        // Bump when the stored record shape changes; older caches are discarded on upgrade
+        this.SCHEMA_VERSION = 1;
+        this.MATCH_STORE = 'matches';
+        this.FILE_STORE = 'files';
+        this.db = null;
+        this.available = typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.available) return null;
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, this.SCHEMA_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    Array.from(db.objectStoreNames).forEach(name => db.deleteObjectStore(name));
+                    db.createObjectStore(this.MATCH_STORE, { keyPath: 'matchId' });
+                    db.createObjectStore(this.FILE_STORE, { keyPath: 'url' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Cache database is blocked by another tab'));
+            });
+        } catch (error) {
+            console.warn('IndexedDB cache unavailable:', error);
+            this.available = false;
+            this.db = null;
+        }
+
+        return this.db;
+    }
+
+    async runTransaction(storeName, mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            const request = operation(store);
+
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Returns a Map of matchId -> cached record for records matching the current schema
+    async getAllMatches() {
+        try {
+            const records = await this.runTransaction(this.MATCH_STORE, 'readonly', store => store.getAll());
+            const cached = new Map();
+            (records || []).forEach(record => {
+                if (record.schemaVersion === this.SCHEMA_VERSION) {
+                    cached.set(record.matchId, record);
+                }
+            });
+            return cached;
+        } catch (error) {
+            console.warn('Failed to read cached matches:', error);
+            return new Map();
+        }
+    }
+
+    async putMatch(matchId, hash, match) {
+        try {
+            await this.runTransaction(this.MATCH_STORE, 'readwrite', store => store.put({
+                matchId,
+                hash,
+                schemaVersion: this.SCHEMA_VERSION,
+                cachedAt: Date.now(),
+                match
+            }));
+        } catch (error) {
+            console.warn(`Failed to cache match ${matchId}:`, error);
+        }
+    }
+
+    async getFile(url) {
+        try {
+            const record = await this.runTransaction(this.FILE_STORE, 'readonly', store => store.get(url));
+            return record && record.schemaVersion === this.SCHEMA_VERSION ? record.data : null;
+        } catch (error) {
+            console.warn(`Failed to read cached file ${url}:`, error);
+            return null;
+        }
+    }
+
+    async putFile(url, data) {
+        try {
+            await this.runTransaction(this.FILE_STORE, 'readwrite', store => store.put({
+                url,
+                schemaVersion: this.SCHEMA_VERSION,
+                cachedAt: Date.now(),
+                data
+            }));
+        } catch (error) {
+            console.warn(`Failed to cache file ${url}:`, error);
+        }
+    }
+
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        await this.runTransaction(this.MATCH_STORE, 'readwrite', store => store.clear());
+        await this.runTransaction(this.FILE_STORE, 'readwrite', store => store.clear());
+        console.log('Match cache cleared');
+    }
+}
+
+// Export for module use
+window.MatchCache = MatchCache;
@@ -0,0 +1,161 @@
+/**
+ * Module Registry - Creates tab modules from their definitions and drives their lifecycle
+ *
+ * A module class declares itself with a static getModuleDefinition():
+ *   { tabId, title, icon, publishes: ['event'], subscribes: { event: 'methodName' } }
+ * and implements init(), onDataChanged() and destroy(); onShow() is optional.
+ *
+ * Hooks and event handlers run isolated: a module that throws gets an error panel with a retry
+ * button in its tab and an 'error:reported' event, and the other modules keep working.
+ */
+class ModuleRegistry {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.definitions = [];
+        this.modules = new Map();
+        // Tabs whose init() succeeded; a retry re-runs init() until then, onDataChanged() after
+        this.initializedTabs = new Set();
+        this.unsubscribers = [];
+    }
+
+    static getDefinition(ModuleClass) {
+        if (typeof ModuleClass.getModuleDefinition !== 'function') {
+            throw new Error(`${ModuleClass.name} has no static getModuleDefinition()`);
+        }
+
+        const definition = ModuleClass.getModuleDefinition();
+        if (!definition.tabId) {
+            throw new Error(`${ModuleClass.name} does not declare a tabId`);
+        }
+
+        return { title: definition.tabId, icon: 'bi-grid', publishes: [], subscribes: {}, ...definition, ModuleClass };
+    }
+
+    register(ModuleClass) {
+        const definition = ModuleRegistry.getDefinition(ModuleClass);
+        if (this.definitions.some(d => d.tabId === definition.tabId)) {
+            throw new Error(`A module is already registered for tab ${definition.tabId}`);
+        }
+
+        this.definitions.push(definition);
+        return this;
+    }
+
+    getDefinitions() {
+        return [...this.definitions];
+    }
+
+    // Creates, subscribes and initializes every registered module in registration order
+    initAll(dataManager) {
+        this.dataManager = dataManager;
+        this.definitions.forEach(definition => this.initModule(definition));
+    }
+
+    createModule(definition) {
+        const module = new definition.ModuleClass(this.dataManager, this.eventBus);
+
+        Object.entries(definition.subscribes).forEach(([event, method]) => {
+            if (typeof module[method] !== 'function') {
+                throw new Error(`${definition.ModuleClass.name} subscribes to ${event} with missing method ${method}()`);
+            }
+            this.unsubscribers.push(this.eventBus.on(event, detail => {
+                this.runGuarded(definition, method, () => module[method](detail));
+            }));
+        });
+
+        this.modules.set(definition.tabId, module);
+    }
+
+    initModule(definition) {
+        if (!this.modules.has(definition.tabId)) {
+            const created = this.runGuarded(definition, 'constructor', () => this.createModule(definition));
+            if (!created) return;
+        }
+
+        const module = this.get(definition.tabId);
+        const succeeded = this.runGuarded(definition, 'init', () => module.init());
+        if (succeeded) {
+            this.initializedTabs.add(definition.tabId);
+            ErrorBoundary.clear(this.getErrorKey(definition.tabId));
+        }
+    }
+
+    getErrorKey(tabId) {
+        return `module:${tabId}`;
+    }
+
+    runGuarded(definition, name, run) {
+        const { tabId, title } = definition;
+        return ErrorBoundary.run(run, {
+            key: this.getErrorKey(tabId),
+            title,
+            getContainer: () => document.getElementById(tabId),
+            onError: error => this.eventBus.emit('error:reported', { source: `${title} ${name}()`, error }),
+            retry: () => this.retry(tabId)
+        });
+    }
+
+    retry(tabId) {
+        const definition = this.definitions.find(d => d.tabId === tabId);
+        if (!this.initializedTabs.has(tabId)) {
+            this.initModule(definition);
+        } else {
+            this.refreshModule(definition);
+        }
+    }
+
+    refreshModule(definition) {
+        const module = this.get(definition.tabId);
+        if (this.runGuarded(definition, 'onDataChanged', () => module.onDataChanged())) {
+            ErrorBoundary.clear(this.getErrorKey(definition.tabId));
+        }
+    }
+
+    get(tabId) {
+        return this.modules.get(tabId) || null;
+    }
+
+    show(tabId) {
+        const module = this.get(tabId);
+        if (module && typeof module.onShow === 'function') {
+            this.runGuarded(this.definitions.find(d => d.tabId === tabId), 'onShow', () => module.onShow());
+        }
+    }
+
+    // A module whose constructor or init() failed gets another try instead
+    notifyDataChanged() {
+        if (!this.dataManager) return;
+
+        this.definitions.forEach(definition => {
+            if (this.initializedTabs.has(definition.tabId)) {
+                this.refreshModule(definition);
+            } else {
+                this.initModule(definition);
+            }
+        });
+    }
+
+    // Events a module subscribes to that no registered module declares publishing (usually a typo)
+    getUnpublishedEvents() {
+        const published = new Set();
+        this.definitions.forEach(definition => definition.publishes.forEach(event => published.add(event)));
+
+        return this.definitions.flatMap(definition => Object.keys(definition.subscribes)
+            .filter(event => !published.has(event))
+            .map(event => ({ tabId: definition.tabId, event })));
+    }
+
+    destroyAll() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.definitions.forEach(definition => {
+            const module = this.get(definition.tabId);
+            if (module) this.runGuarded(definition, 'destroy', () => module.destroy());
+        });
+        this.modules.clear();
+        this.initializedTabs.clear();
+    }
+}
+
+// Export for module use
+window.ModuleRegistry = ModuleRegistry;
@@ -0,0 +1,57 @@
+/**
+ * Queue Registry - Queue ids to names, maps and ranked flags, plus the queue sets used to scope statistics
+ */
+class QueueRegistry {
+    static getQueues() {
+        return {
+            400: { name: 'Normal Draft', map: "Summoner's Rift", ranked: false },
+            420: { name: 'Ranked Solo/Duo', map: "Summoner's Rift", ranked: true },
+            430: { name: 'Normal Blind', map: "Summoner's Rift", ranked: false },
+            440: { name: 'Ranked Flex', map: "Summoner's Rift", ranked: true },
+            450: { name: 'ARAM', map: 'Howling Abyss', ranked: false },
+            480: { name: 'Swiftplay', map: "Summoner's Rift", ranked: false },
+            490: { name: 'Quickplay', map: "Summoner's Rift", ranked: false },
+            700: { name: 'Clash', map: "Summoner's Rift", ranked: false },
+            720: { name: 'ARAM Clash', map: 'Howling Abyss', ranked: false },
+            900: { name: 'ARURF', map: "Summoner's Rift", ranked: false },
+            1020: { name: 'One for All', map: "Summoner's Rift", ranked: false },
+            1700: { name: 'Arena', map: 'Rings of Wrath', ranked: false },
+            1900: { name: 'URF', map: "Summoner's Rift", ranked: false }
+        };
+    }
+
+    static getQueue(queueId) {
+        return QueueRegistry.getQueues()[queueId] || { name: `Queue ${queueId}`, map: 'Unknown', ranked: false };
+    }
+
+    static getQueueName(queueId) {
+        return QueueRegistry.getQueue(queueId).name;
+    }
+
+    static isRanked(queueId) {
+        return QueueRegistry.getQueue(queueId).ranked;
+    }
+
+    // Selectable scopes for the global queue selector; queueIds null means every queue
+    static getQueueSets() {
+        return {
+            ranked: { label: 'Ranked (Solo + Flex)', queueIds: [420, 440] },
+            solo: { label: 'Ranked Solo/Duo', queueIds: [420] },
+            flex: { label: 'Ranked Flex', queueIds: [440] },
+            normal: { label: 'Normals', queueIds: [400, 430, 480, 490] },
+            aram: { label: 'ARAM', queueIds: [450, 720] },
+            urf: { label: 'URF', queueIds: [900, 1900] },
+            arena: { label: 'Arena', queueIds: [1700] },
+            all: { label: 'All Queues', queueIds: null }
+        };
+    }
+
+    static isInQueueSet(queueId, queueSetKey) {
+        const queueSet = QueueRegistry.getQueueSets()[queueSetKey];
+        if (!queueSet || !queueSet.queueIds) return true;
+        return queueSet.queueIds.includes(queueId);
+    }
+}
+
+// Export for module use
+window.QueueRegistry = QueueRegistry;
@@ -0,0 +1,85 @@
+/**
+ * Rank Utilities - Tier/division maths for ranked snapshots and LP history
+ */
+class RankUtils {
+    static getTiers() {
+        return ['IRON', 'BRONZE', 'SILVER', 'GOLD', 'PLATINUM', 'EMERALD', 'DIAMOND', 'MASTER', 'GRANDMASTER', 'CHALLENGER'];
+    }
+
+    static getDivisions() {
+        return ['IV', 'III', 'II', 'I'];
+    }
+
+    static getRankedQueues() {
+        return {
+            RANKED_SOLO_5x5: { queueId: 420, label: 'Solo/Duo' },
+            RANKED_FLEX_SR: { queueId: 440, label: 'Flex' }
+        };
+    }
+
+    // Master and above share one LP ladder with no divisions
+    static isApexTier(tier) {
+        return ['MASTER', 'GRANDMASTER', 'CHALLENGER'].includes(tier);
+    }
+
+    // Converts tier/rank/LP into one continuous number (100 per division, 400 per tier)
+    static getLpValue(snapshot) {
+        const tierIndex = RankUtils.getTiers().indexOf(snapshot.tier);
+        if (tierIndex === -1) return null;
+
+        if (RankUtils.isApexTier(snapshot.tier)) {
+            return RankUtils.getTiers().indexOf('MASTER') * 400 + (snapshot.leaguePoints || 0);
+        }
+
+        const divisionIndex = Math.max(0, RankUtils.getDivisions().indexOf(snapshot.rank));
+        return tierIndex * 400 + divisionIndex * 100 + (snapshot.leaguePoints || 0);
+    }
+
+    static formatRank(snapshot) {
+        const tier = snapshot.tier.charAt(0) + snapshot.tier.slice(1).toLowerCase();
+        return RankUtils.isApexTier(snapshot.tier) ? tier : `${tier} ${snapshot.rank}`;
+    }
+
+    // Label for a continuous LP value, e.g. "Gold II 40 LP"
+    static formatLpValue(value) {
+        const tiers = RankUtils.getTiers();
+        const masterValue = tiers.indexOf('MASTER') * 400;
+        if (value >= masterValue) {
+            return `Master+ ${Math.round(value - masterValue)} LP`;
+        }
+
+        const clamped = Math.max(0, value);
+        const tier = tiers[Math.floor(clamped / 400)];
+        const division = RankUtils.getDivisions()[Math.floor((clamped % 400) / 100)];
+        return `${RankUtils.formatRank({ tier, rank: division })} ${Math.round(clamped % 100)} LP`;
+    }
+
+    // 'promotion', 'demotion' or null when the tier/division is unchanged
+    static getRankChange(previous, current) {
+        if (!previous) return null;
+        if (previous.tier === current.tier && previous.rank === current.rank) return null;
+
+        const previousValue = RankUtils.getLpValue({ ...previous, leaguePoints: 0 });
+        const currentValue = RankUtils.getLpValue({ ...current, leaguePoints: 0 });
+        if (previousValue === currentValue) return null;
+        return currentValue > previousValue ? 'promotion' : 'demotion';
+    }
+
+    // Tier start values that fall inside [min, max]
+    static getTierBoundaries(min, max) {
+        const tiers = RankUtils.getTiers();
+        const lastTier = tiers.indexOf('MASTER');
+        const boundaries = [];
+
+        for (let index = 0; index <= lastTier; index++) {
+            const value = index * 400;
+            if (value >= min && value <= max) {
+                boundaries.push({ value, tier: tiers[index] });
+            }
+        }
+        return boundaries;
+    }
+}
+
+// Export for module use
+window.RankUtils = RankUtils;
@@ -0,0 +1,91 @@
+/**
+ * Rune Utilities - Rune pages and summoner spells from runesReforged.json and summoner.json
+ */
+class RuneUtils {
+    static getImageBaseUrl() {
+        return 'https://ddragon.leagueoflegends.com/cdn/img/';
+    }
+
+    // Stat shards are not part of runesReforged.json
+    static getStatShards() {
+        return {
+            5001: { name: 'Health Scaling', icon: 'perk-images/StatMods/StatModsHealthScalingIcon.png' },
+            5005: { name: 'Attack Speed', icon: 'perk-images/StatMods/StatModsAttackSpeedIcon.png' },
+            5007: { name: 'Ability Haste', icon: 'perk-images/StatMods/StatModsCDRScalingIcon.png' },
+            5008: { name: 'Adaptive Force', icon: 'perk-images/StatMods/StatModsAdaptiveForceIcon.png' },
+            5010: { name: 'Move Speed', icon: 'perk-images/StatMods/StatModsMovementSpeedIcon.png' },
+            5011: { name: 'Health', icon: 'perk-images/StatMods/StatModsHealthPlusIcon.png' },
+            5013: { name: 'Tenacity and Slow Resist', icon: 'perk-images/StatMods/StatModsTenacityIcon.png' }
+        };
+    }
+
+    static getStyle(styleId, runesReforged) {
+        return (runesReforged || []).find(style => style.id === styleId) || null;
+    }
+
+    static getRune(perkId, runesReforged) {
+        for (const style of runesReforged || []) {
+            for (const slot of style.slots) {
+                const rune = slot.runes.find(r => r.id === perkId);
+                if (rune) return rune;
+            }
+        }
+        return null;
+    }
+
+    // { id, name, iconUrl } for a tree, rune or stat shard; unknown ids keep a readable name without an icon
+    static describePerk(perkId, runesReforged) {
+        const entry = RuneUtils.getStyle(perkId, runesReforged)
+            || RuneUtils.getRune(perkId, runesReforged)
+            || RuneUtils.getStatShards()[perkId];
+
+        return {
+            id: perkId,
+            name: entry ? entry.name : `Rune ${perkId}`,
+            iconUrl: entry ? `${RuneUtils.getImageBaseUrl()}${entry.icon}` : null
+        };
+    }
+
+    // Full page for a participant, or null when the game has no runes (e.g. Arena)
+    static getRunePage(participant, runesReforged) {
+        const perks = participant.perks;
+        if (!perks || !perks.styles || perks.styles.length < 2 || !perks.styles[0].style) return null;
+
+        const [primary, secondary] = perks.styles;
+        const describe = perkId => RuneUtils.describePerk(perkId, runesReforged);
+        const statPerks = perks.statPerks || {};
+
+        return {
+            primaryStyle: describe(primary.style),
+            keystone: describe(primary.selections[0].perk),
+            primaryRunes: primary.selections.slice(1).map(selection => describe(selection.perk)),
+            subStyle: describe(secondary.style),
+            secondaryRunes: secondary.selections.map(selection => describe(selection.perk)),
+            shards: [statPerks.offense, statPerks.flex, statPerks.defense].filter(id => id).map(describe)
+        };
+    }
+
+    static getSummonerSpell(spellId, summonerData) {
+        if (!summonerData) return null;
+        return Object.values(summonerData.data).find(spell => spell.key === String(spellId)) || null;
+    }
+
+    static describeSummonerSpell(spellId, summonerData) {
+        const spell = RuneUtils.getSummonerSpell(spellId, summonerData);
+        return {
+            id: spellId,
+            name: spell ? spell.name : `Spell ${spellId}`,
+            iconUrl: spell ? `https://ddragon.leagueoflegends.com/cdn/${summonerData.version}/img/spell/${spell.image.full}` : null
+        };
+    }
+
+    // Spell pair with a stable order, so Flash+Ignite and Ignite+Flash are one entry
+    static getSummonerSpellIds(participant) {
+        return [participant.summoner1Id, participant.summoner2Id]
+            .filter(id => id)
+            .sort((a, b) => a - b);
+    }
+}
+
+// Export for module use
+window.RuneUtils = RuneUtils;
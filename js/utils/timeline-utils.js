@@ -0,0 +1,95 @@
+/**
+ * Timeline Utilities - Helpers for match-v5 timeline frames and events
+ */
+class TimelineUtils {
+    static getParticipantFrame(frame, participantId) {
+        return frame.participantFrames ? frame.participantFrames[String(participantId)] : null;
+    }
+
+    static getFrameLabels(timeline) {
+        return timeline.info.frames.map(frame => `${Math.round(frame.timestamp / 60000)}m`);
+    }
+
+    static getCreepScore(participantFrame) {
+        return (participantFrame.minionsKilled || 0) + (participantFrame.jungleMinionsKilled || 0);
+    }
+
+    // Team gold and XP difference per frame, from the point of view of teamId
+    static getTeamDifferences(match, timeline, teamId) {
+        const teamOf = new Map(match.info.participants.map(p => [p.participantId, p.teamId]));
+        const gold = [];
+        const xp = [];
+
+        timeline.info.frames.forEach(frame => {
+            let goldDiff = 0;
+            let xpDiff = 0;
+
+            Object.values(frame.participantFrames || {}).forEach(participantFrame => {
+                const sign = teamOf.get(participantFrame.participantId) === teamId ? 1 : -1;
+                goldDiff += sign * (participantFrame.totalGold || 0);
+                xpDiff += sign * (participantFrame.xp || 0);
+            });
+
+            gold.push(goldDiff);
+            xp.push(xpDiff);
+        });
+
+        return { labels: TimelineUtils.getFrameLabels(timeline), gold, xp };
+    }
+
+    // Gold, CS and XP difference per frame between a participant and their lane opponent
+    static getLaneDifferences(timeline, participantId, opponentId) {
+        const gold = [];
+        const cs = [];
+        const xp = [];
+
+        timeline.info.frames.forEach(frame => {
+            const player = TimelineUtils.getParticipantFrame(frame, participantId);
+            const opponent = TimelineUtils.getParticipantFrame(frame, opponentId);
+            if (!player || !opponent) {
+                gold.push(null);
+                cs.push(null);
+                xp.push(null);
+                return;
+            }
+
+            gold.push((player.totalGold || 0) - (opponent.totalGold || 0));
+            cs.push(TimelineUtils.getCreepScore(player) - TimelineUtils.getCreepScore(opponent));
+            xp.push((player.xp || 0) - (opponent.xp || 0));
+        });
+
+        return { labels: TimelineUtils.getFrameLabels(timeline), gold, cs, xp };
+    }
+
+    // Value of a per-frame series at a given minute (frames are one minute apart)
+    static getValueAtMinute(series, minute) {
+        if (!series.length) return null;
+        const index = Math.min(minute, series.length - 1);
+        return series[index];
+    }
+
+    // Interpolates a participant's position between the surrounding one-minute frames
+    static getParticipantPositionAt(timeline, participantId, timestamp) {
+        const frames = timeline.info.frames;
+        const interval = timeline.info.frameInterval || 60000;
+        const index = Math.min(Math.floor(timestamp / interval), frames.length - 1);
+
+        const before = TimelineUtils.getParticipantFrame(frames[index], participantId);
+        const after = frames[index + 1] ? TimelineUtils.getParticipantFrame(frames[index + 1], participantId) : null;
+        if (!before || !before.position) return null;
+        if (!after || !after.position) return before.position;
+
+        const ratio = Math.min(1, Math.max(0, (timestamp - frames[index].timestamp) / interval));
+        return {
+            x: before.position.x + (after.position.x - before.position.x) * ratio,
+            y: before.position.y + (after.position.y - before.position.y) * ratio
+        };
+    }
+
+    static getEvents(timeline, type) {
+        return Analytics.getTimelineEvents(timeline, type);
+    }
+}
+
+// Export for module use
+window.TimelineUtils = TimelineUtils;
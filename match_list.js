@@ -1 +0,0 @@
-const matchFiles = ["VN2_801438558.json", "VN2_802298062.json", "VN2_802371016.json", "VN2_802421809.json", "VN2_802476666.json", "VN2_802507656.json", "VN2_803334197.json", "VN2_803380422.json", "VN2_803389706.json", "VN2_803444547.json", "VN2_803501489.json", "VN2_803551432.json", "VN2_803591562.json", "VN2_803603398.json", "VN2_803620196.json", "VN2_804020826.json", "VN2_804057235.json", "VN2_804100176.json", "VN2_804142230.json", "VN2_804174411.json", "VN2_806330621.json", "VN2_806366879.json", "VN2_806406077.json", "VN2_806451119.json", "VN2_807416119.json", "VN2_807460504.json", "VN2_807520171.json", "VN2_807570991.json", "VN2_807613752.json", "VN2_807653378.json", "VN2_807730051.json", "VN2_807763530.json", "VN2_807789190.json", "VN2_817210439.json", "VN2_817284998.json", "VN2_817378023.json", "VN2_817430374.json", "VN2_818882432.json", "VN2_819060083.json", "VN2_819138534.json", "VN2_819225098.json", "VN2_840948817.json", "VN2_840963248.json", "VN2_841003075.json", "VN2_841033607.json", "VN2_845356288.json", "VN2_845444494.json", "VN2_845505922.json", "VN2_851716377.json", "VN2_851749465.json", "VN2_851781717.json", "VN2_851829306.json", "VN2_851868299.json", "VN2_851900080.json", "VN2_851916568.json", "VN2_851935758.json", "VN2_851957181.json", "VN2_854666088.json", "VN2_854730509.json", "VN2_863674723.json", "VN2_863752584.json", "VN2_863828580.json", "VN2_863876865.json", "VN2_872714841.json", "VN2_872766657.json", "VN2_872802090.json", "VN2_872855491.json", "VN2_872904634.json", "VN2_872951735.json", "VN2_872996870.json", "VN2_875843818.json", "VN2_875916190.json", "VN2_875980106.json", "VN2_878764905.json", "VN2_882488303.json", "VN2_882536860.json", "VN2_882585313.json", "VN2_882620972.json", "VN2_882643026.json", "VN2_887954598.json", "VN2_887959765.json", "VN2_889512109.json", "VN2_889540270.json", "VN2_889568676.json", "VN2_889592523.json", "VN2_889606596.json", "VN2_891390123.json", "VN2_891426651.json", "VN2_891484970.json", "VN2_891535424.json", "VN2_898834178.json", "VN2_898882508.json", "VN2_898923567.json", "VN2_899006752.json", "VN2_899054296.json", "VN2_899097387.json", "VN2_899260369.json", "VN2_899330470.json", "VN2_899395575.json", "VN2_906991330.json", "VN2_907044051.json", "VN2_907076259.json", "VN2_907097995.json", "VN2_907128519.json", "VN2_907142414.json", "VN2_912687733.json", "VN2_912748630.json", "VN2_912821061.json", "VN2_912881117.json", "VN2_912919196.json", "VN2_912952906.json", "VN2_916307319.json", "VN2_916364250.json", "VN2_916988931.json", "VN2_917035246.json", "VN2_924911071.json", "VN2_925010440.json", "VN2_927021572.json", "VN2_927073241.json", "VN2_927128389.json", "VN2_927148193.json", "VN2_927169761.json", "VN2_927196906.json", "VN2_927226394.json", "VN2_927252580.json", "VN2_930113237.json", "VN2_930171310.json", "VN2_930225902.json", "VN2_930288380.json", "VN2_930332520.json", "VN2_937437174.json", "VN2_937461339.json", "VN2_937775292.json", "VN2_937804200.json", "VN2_939139895.json", "VN2_939174207.json", "VN2_939193838.json", "VN2_942323033.json", "VN2_942385145.json", "VN2_942430949.json", "VN2_942462595.json", "VN2_942488677.json", "VN2_957250931.json", "VN2_957307618.json", "VN2_957358519.json", "VN2_957397724.json", "VN2_957434413.json", "VN2_957460716.json", "VN2_958147220.json", "VN2_958163352.json", "VN2_958261889.json", "VN2_958324001.json", "VN2_958378219.json", "VN2_958438036.json", "VN2_958458348.json", "VN2_958486832.json", "VN2_958927682.json", "VN2_958953580.json", "VN2_958982665.json", "VN2_959039772.json", "VN2_959085104.json", "VN2_959133120.json", "VN2_959173406.json", "VN2_959207409.json", "VN2_960206564.json", "VN2_960230877.json", "VN2_960951041.json", "VN2_960979628.json", "VN2_961006230.json", "VN2_961165891.json", "VN2_961213126.json", "VN2_961251694.json", "VN2_961296364.json", "VN2_961342066.json", "VN2_964372626.json", "VN2_964411153.json", "VN2_964461033.json", "VN2_964522778.json", "VN2_964557857.json", "VN2_964594290.json", "VN2_964623653.json", "VN2_966090430.json", "VN2_966129314.json", "VN2_966161684.json", "VN2_966196605.json", "VN2_966221283.json", "VN2_966237713.json", "VN2_967279126.json", "VN2_967345031.json", "VN2_967384613.json", "VN2_967400847.json", "VN2_967415843.json", "VN2_974337512.json", "VN2_974395295.json", "VN2_974445106.json", "VN2_974463889.json", "VN2_974498858.json", "VN2_974530736.json", "VN2_974564808.json"];
\ No newline at end of file
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Match Analyzer - Runs the browser's analytics core (js/utils/analytics.js) over matches/ and prints a JSON report
+ *
+ * Usage:
+ *   node scripts/analyze-matches.js [options]
+ *
+ * Options:
+ *   --matches <dir>     Match folder (default: matches/ in the repository root)
+ *   --game-data <dir>   Data Dragon folder with champion.json and item.json (default: game-data/);
+ *                       bans are named and item builds reported only when these files exist
+ *   --puuid <puuid>     Player to analyze (default: the most frequent puuid, as in the browser)
+ *   --queues <a,b,...>  Only these queue ids, e.g. 420,440 for ranked (default: all queues)
+ *   --now <date>        Reference time for "this week" and the prediction (default: current time)
+ *
+ * Timelines in <matches>/timelines/ (fetch-riot-data.js --timelines) give the item builds their purchase order.
+ */
+const fs = require('fs');
+const path = require('path');
+const Analytics = require('../js/utils/analytics.js');
+
+const MANIFEST_FILE = 'index.json';
+const TIMELINES_DIR = 'timelines';
+
+function parseArgs(argv) {
+    const options = {
+        matchesDir: path.join(__dirname, '..', 'matches'),
+        gameDataDir: path.join(__dirname, '..', 'game-data'),
+        puuid: null,
+        queueIds: null,
+        now: new Date()
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${arg}`);
+            return value;
+        };
+
+        switch (arg) {
+            case '--matches': options.matchesDir = path.resolve(next()); break;
+            case '--game-data': options.gameDataDir = path.resolve(next()); break;
+            case '--puuid': options.puuid = next(); break;
+            case '--queues': options.queueIds = next().split(',').map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id)); break;
+            case '--now': options.now = new Date(next()); break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (Number.isNaN(options.now.getTime())) {
+        throw new Error('--now is not a valid date');
+    }
+
+    return options;
+}
+
+// Files listed in index.json, or every match file when there is no manifest yet
+function getMatchFiles(matchesDir) {
+    const manifestPath = path.join(matchesDir, MANIFEST_FILE);
+    if (fs.existsSync(manifestPath)) {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return (manifest.matches || []).map(entry => entry.file);
+    }
+
+    return fs.readdirSync(matchesDir).filter(file => file.endsWith('.json') && file !== MANIFEST_FILE);
+}
+
+// Same validation as DataManager.loadMatch: unreadable or malformed files are skipped, not fatal
+function loadMatches(matchesDir) {
+    const matches = [];
+    const skipped = [];
+
+    getMatchFiles(matchesDir).forEach(file => {
+        try {
+            const match = JSON.parse(fs.readFileSync(path.join(matchesDir, file), 'utf8'));
+            if (!match || !match.metadata || !match.info || !Array.isArray(match.info.participants)) {
+                throw new Error('Unexpected match format');
+            }
+            matches.push(match);
+        } catch (error) {
+            skipped.push({ file, reason: error.message });
+        }
+    });
+
+    return { matches, skipped };
+}
+
+// { match, playerParticipant } entries, newest first, in the shape the browser modules use
+function loadPlayerMatches(matchesDir, { puuid = null, queueIds = null } = {}) {
+    const { matches, skipped } = loadMatches(matchesDir);
+    const scoped = queueIds ? matches.filter(match => queueIds.includes(match.info.queueId)) : matches;
+    const mainPlayerPuuid = puuid || (scoped.length ? Analytics.findMostFrequentPuuid(scoped) : null);
+    const playerMatches = mainPlayerPuuid ? Analytics.getPlayerMatches(scoped, mainPlayerPuuid) : [];
+
+    return {
+        matches: scoped,
+        playerMatches,
+        mainPlayerPuuid,
+        mainPlayerName: playerMatches.length ? playerMatches[0].playerParticipant.riotIdGameName : '',
+        skipped
+    };
+}
+
+// champion.json and item.json, or null for a file that has not been fetched
+function loadGameData(gameDataDir) {
+    const read = file => {
+        const filePath = path.join(gameDataDir, file);
+        return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+    };
+
+    return { championData: read('champion.json'), itemData: read('item.json') };
+}
+
+// matchId -> timeline for the games that have a valid timeline file
+function loadTimelines(matchesDir, playerMatches) {
+    const timelines = new Map();
+
+    playerMatches.forEach(({ match }) => {
+        const file = path.join(matchesDir, TIMELINES_DIR, `${match.metadata.matchId}.json`);
+        if (!fs.existsSync(file)) return;
+
+        try {
+            const timeline = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (timeline && timeline.info && Array.isArray(timeline.info.frames)) {
+                timelines.set(match.metadata.matchId, timeline);
+            }
+        } catch (error) {
+            console.warn(`Skipped timeline ${file}: ${error.message}`);
+        }
+    });
+
+    return timelines;
+}
+
+// Maps (per-patch records) become plain objects so the report serializes
+function toJSON(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => item instanceof Map ? Object.fromEntries(item) : item));
+}
+
+function buildReport(playerMatches, now = new Date(), { championData = null, itemData = null, timelines = new Map() } = {}) {
+    if (playerMatches.length === 0) {
+        return { games: 0 };
+    }
+
+    return toJSON({
+        games: playerMatches.length,
+        overall: Analytics.getOverallStatistics(playerMatches),
+        summary: Analytics.calculateComprehensiveStatistics(playerMatches, now),
+        sides: Analytics.getTeamSideStats(playerMatches),
+        roles: Analytics.getRoleDistribution(playerMatches),
+        prediction: Analytics.calculateWinPrediction(playerMatches, now),
+        champions: Analytics.calculateChampionStats(playerMatches, { championData }).sort((a, b) => b.games - a.games),
+        laneMatchups: Analytics.calculateLaneMatchups(playerMatches),
+        teammates: Analytics.calculateTeammateStats(playerMatches),
+        opponents: Analytics.calculateOpponentStats(playerMatches),
+        bans: Analytics.calculateBanStats(playerMatches, championData),
+        arena: Analytics.calculateArenaStats(playerMatches),
+        items: itemData ? Analytics.calculateItemStats(playerMatches, itemData, timelines) : null
+    });
+}
+
+function run(options) {
+    const { playerMatches, mainPlayerPuuid, mainPlayerName, skipped } = loadPlayerMatches(options.matchesDir, options);
+
+    skipped.forEach(({ file, reason }) => {
+        console.warn(`Skipped ${file}: ${reason}`);
+    });
+
+    const { championData, itemData } = loadGameData(options.gameDataDir);
+    const timelines = loadTimelines(options.matchesDir, playerMatches);
+
+    const report = {
+        player: mainPlayerName,
+        puuid: mainPlayerPuuid,
+        generated: options.now.toISOString(),
+        ...buildReport(playerMatches, options.now, { championData, itemData, timelines })
+    };
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+}
+
+if (require.main === module) {
+    try {
+        run(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { Analytics, parseArgs, loadMatches, loadPlayerMatches, loadGameData, loadTimelines, buildReport, run };
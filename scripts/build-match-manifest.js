@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Match Manifest Builder - Regenerates matches/index.json by scanning matches/
+ *
+ * Usage: node scripts/build-match-manifest.js [matchesDir]
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_FILE = 'index.json';
+const TIMELINES_DIR = 'timelines';
+
+function getPatch(gameVersion) {
+    if (!gameVersion) return null;
+    return gameVersion.split('.').slice(0, 2).join('.');
+}
+
+function createManifestEntry(file, content, hasTimeline = false) {
+    const match = JSON.parse(content);
+    if (!match.metadata || !match.info) {
+        throw new Error('missing metadata/info');
+    }
+
+    return {
+        matchId: match.metadata.matchId,
+        file,
+        gameCreation: match.info.gameCreation,
+        queueId: match.info.queueId,
+        patch: getPatch(match.info.gameVersion),
+        hash: crypto.createHash('sha1').update(content).digest('hex'),
+        timeline: hasTimeline
+    };
+}
+
+function buildManifest(matchesDir) {
+    const files = fs.readdirSync(matchesDir)
+        .filter(file => file.endsWith('.json') && file !== MANIFEST_FILE);
+
+    const matches = [];
+    const skipped = [];
+
+    files.forEach(file => {
+        try {
+            const content = fs.readFileSync(path.join(matchesDir, file), 'utf8');
+            const hasTimeline = fs.existsSync(path.join(matchesDir, TIMELINES_DIR, file));
+            matches.push(createManifestEntry(file, content, hasTimeline));
+        } catch (error) {
+            skipped.push({ file, reason: error.message });
+        }
+    });
+
+    // Newest first, same order DataManager presents matches in
+    matches.sort((a, b) => b.gameCreation - a.gameCreation);
+
+    return {
+        version: MANIFEST_VERSION,
+        generated: new Date().toISOString(),
+        count: matches.length,
+        matches,
+        skipped
+    };
+}
+
+function writeManifest(matchesDir) {
+    const manifest = buildManifest(matchesDir);
+    const { skipped, ...output } = manifest;
+
+    fs.writeFileSync(path.join(matchesDir, MANIFEST_FILE), JSON.stringify(output, null, 2) + '\n');
+
+    skipped.forEach(({ file, reason }) => {
+        console.warn(`Skipped ${file}: ${reason}`);
+    });
+    console.log(`Wrote ${output.count} matches to ${path.join(matchesDir, MANIFEST_FILE)}`);
+
+    return output;
+}
+
+if (require.main === module) {
+    const matchesDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'matches'));
+    writeManifest(matchesDir);
+}
+
+module.exports = { buildManifest, writeManifest, createManifestEntry, getPatch, TIMELINES_DIR };
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Game Data Fetcher - Downloads Data Dragon static files and CommunityDragon's Arena augments into game-data/
+ *
+ * Usage:
+ *   node scripts/fetch-game-data.js [options]
+ *
+ * Options:
+ *   --version <x.y.z>   Data Dragon version (default: the version of game-data/champion.json)
+ *   --latest            Use the newest Data Dragon version instead
+ *   --language <code>   Data Dragon locale (default en_US)
+ *   --files <a,b,...>   Files to download (default runesReforged.json,summoner.json,arenaAugments.json)
+ *   --out <dir>         Project root to write into (default: repository root)
+ *   --base-url <url>    Data Dragon host (default https://ddragon.leagueoflegends.com)
+ *   --cdragon-url <url> CommunityDragon host (default https://raw.communitydragon.org)
+ *
+ * arenaAugments.json is CommunityDragon's cherry-augments.json for the same patch (e.g. 15.15 for 15.15.1).
+ */
+const fs = require('fs');
+const path = require('path');
+const { RiotClient } = require('./fetch-riot-data');
+
+const DEFAULTS = {
+    baseUrl: 'https://ddragon.leagueoflegends.com',
+    cdragonUrl: 'https://raw.communitydragon.org',
+    language: 'en_US',
+    files: ['runesReforged.json', 'summoner.json', 'arenaAugments.json']
+};
+
+// game-data files that come from CommunityDragon's game data plugin instead of Data Dragon
+const COMMUNITY_DRAGON_FILES = {
+    'arenaAugments.json': 'v1/cherry-augments.json'
+};
+
+function parseArgs(argv) {
+    const options = {
+        baseUrl: DEFAULTS.baseUrl,
+        cdragonUrl: DEFAULTS.cdragonUrl,
+        language: DEFAULTS.language,
+        files: DEFAULTS.files,
+        out: path.join(__dirname, '..'),
+        latest: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${arg}`);
+            return value;
+        };
+
+        switch (arg) {
+            case '--version': options.version = next(); break;
+            case '--latest': options.latest = true; break;
+            case '--language': options.language = next(); break;
+            case '--files': options.files = next().split(',').map(file => file.trim()).filter(file => file); break;
+            case '--out': options.out = path.resolve(next()); break;
+            case '--base-url': options.baseUrl = next(); break;
+            case '--cdragon-url': options.cdragonUrl = next(); break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.files.length === 0) {
+        throw new Error('--files needs at least one file name');
+    }
+
+    options.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    options.cdragonUrl = options.cdragonUrl.replace(/\/+$/, '');
+    return options;
+}
+
+// Keeps the new files on the same patch as the committed champion/item data
+function getLocalVersion(gameDataDir) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(gameDataDir, 'champion.json'), 'utf8')).version || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function resolveVersion(client, options, gameDataDir) {
+    if (options.version) return options.version;
+
+    const localVersion = options.latest ? null : getLocalVersion(gameDataDir);
+    if (localVersion) return localVersion;
+
+    const versions = await client.get(`${options.baseUrl}/api/versions.json`);
+    return versions[0];
+}
+
+// "15.15.1" -> .../15.15/plugins/rcp-be-lol-game-data/global/default/v1/cherry-augments.json
+function getFileUrl(options, version, file) {
+    if (COMMUNITY_DRAGON_FILES[file]) {
+        const patch = version.split('.').slice(0, 2).join('.');
+        const locale = options.language === 'en_US' ? 'default' : options.language.toLowerCase();
+        return `${options.cdragonUrl}/${patch}/plugins/rcp-be-lol-game-data/global/${locale}/${COMMUNITY_DRAGON_FILES[file]}`;
+    }
+
+    return `${options.baseUrl}/cdn/${version}/data/${options.language}/${file}`;
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Same 2-space layout as the existing game-data files
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+async function run(options) {
+    // Neither host needs an API key; the client is reused for its retry handling
+    const client = new RiotClient({ apiKey: '' });
+    const gameDataDir = path.join(options.out, 'game-data');
+
+    const version = await resolveVersion(client, options, gameDataDir);
+    console.log(`Using Data Dragon ${version} (${options.language})`);
+
+    for (const file of options.files) {
+        const data = await client.get(getFileUrl(options, version, file));
+        writeJson(path.join(gameDataDir, file), data);
+        console.log(`Saved game-data/${file}`);
+    }
+
+    return { version, files: options.files };
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    run(options).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, resolveVersion, getFileUrl, run };
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * Riot Data Fetcher - Refreshes matches/, player-data/ and the match manifest
+ *
+ * Usage:
+ *   RIOT_API_KEY=... node scripts/fetch-riot-data.js --riot-id "Name#TAG" [options]
+ *
+ * Options:
+ *   --riot-id <name#tag>    Resolve the puuid through account-v1
+ *   --puuid <puuid>         Use a known puuid instead of --riot-id
+ *   --count <n>             Number of recent match ids to request (default 100)
+ *   --queue <id>            Only request match ids for this queue
+ *   --base-url <url>        Send every request to this host (e.g. a local mock server)
+ *   --regional-url <url>    Host for account-v1 and match-v5 (default https://sea.api.riotgames.com)
+ *   --platform-url <url>    Host for league-v4 and champion-mastery-v4 (default https://vn2.api.riotgames.com)
+ *   --out <dir>             Project root to write into (default: repository root)
+ *   --player-data-dir <dir> Where to write rankedInfo.json/championMastery.json and append to
+ *                           rankedHistory.json (default: <out>/player-data)
+ *   --api-key <key>         API key (defaults to the RIOT_API_KEY environment variable)
+ *   --timelines             Also download match timelines into matches/timelines/
+ *   --force                 Re-download match files that already exist
+ */
+const fs = require('fs');
+const path = require('path');
+const { writeManifest, TIMELINES_DIR } = require('./build-match-manifest');
+
+const DEFAULTS = {
+    regionalUrl: 'https://sea.api.riotgames.com',
+    platformUrl: 'https://vn2.api.riotgames.com',
+    count: 100,
+    maxRetries: 5,
+    baseBackoffMs: 1000
+};
+
+// Riot caps match id pages at 100
+const MATCH_ID_PAGE_SIZE = 100;
+
+function parseArgs(argv) {
+    const options = {
+        regionalUrl: process.env.RIOT_REGIONAL_URL || DEFAULTS.regionalUrl,
+        platformUrl: process.env.RIOT_PLATFORM_URL || DEFAULTS.platformUrl,
+        apiKey: process.env.RIOT_API_KEY || '',
+        count: DEFAULTS.count,
+        out: path.join(__dirname, '..'),
+        timelines: false,
+        force: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            const value = argv[++i];
+            if (value === undefined) throw new Error(`Missing value for ${arg}`);
+            return value;
+        };
+
+        switch (arg) {
+            case '--riot-id': options.riotId = next(); break;
+            case '--puuid': options.puuid = next(); break;
+            case '--count': options.count = parseInt(next(), 10); break;
+            case '--queue': options.queue = parseInt(next(), 10); break;
+            case '--base-url': options.regionalUrl = options.platformUrl = next(); break;
+            case '--regional-url': options.regionalUrl = next(); break;
+            case '--platform-url': options.platformUrl = next(); break;
+            case '--out': options.out = path.resolve(next()); break;
+            case '--player-data-dir': options.playerDataDir = path.resolve(next()); break;
+            case '--api-key': options.apiKey = next(); break;
+            case '--timelines': options.timelines = true; break;
+            case '--force': options.force = true; break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!options.riotId && !options.puuid) {
+        throw new Error('Either --riot-id or --puuid is required');
+    }
+    if (!Number.isInteger(options.count) || options.count < 1) {
+        throw new Error('--count must be a positive integer');
+    }
+
+    options.regionalUrl = options.regionalUrl.replace(/\/+$/, '');
+    options.platformUrl = options.platformUrl.replace(/\/+$/, '');
+    return options;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class RiotClient {
+    constructor({ apiKey, maxRetries = DEFAULTS.maxRetries, baseBackoffMs = DEFAULTS.baseBackoffMs }) {
+        this.apiKey = apiKey;
+        this.maxRetries = maxRetries;
+        this.baseBackoffMs = baseBackoffMs;
+        this.nextRequestAt = 0;
+    }
+
+    async get(url) {
+        for (let attempt = 0; ; attempt++) {
+            const wait = this.nextRequestAt - Date.now();
+            if (wait > 0) {
+                console.log(`Rate limit reached, waiting ${Math.ceil(wait / 1000)}s...`);
+                await sleep(wait);
+            }
+
+            let response;
+            try {
+                response = await fetch(url, { headers: this.apiKey ? { 'X-Riot-Token': this.apiKey } : {} });
+            } catch (error) {
+                if (attempt >= this.maxRetries) throw error;
+                await this.backoff(attempt, `network error (${error.message})`);
+                continue;
+            }
+
+            this.trackRateLimits(response.headers);
+
+            if (response.ok) {
+                return response.json();
+            }
+
+            const retryable = response.status === 429 || response.status >= 500;
+            if (!retryable || attempt >= this.maxRetries) {
+                const error = new Error(`GET ${url} failed: ${response.status} ${response.statusText}`.trim());
+                error.status = response.status;
+                throw error;
+            }
+
+            const retryAfter = parseFloat(response.headers.get('retry-after'));
+            if (response.status === 429 && !Number.isNaN(retryAfter)) {
+                console.log(`429 received, retrying after ${retryAfter}s`);
+                this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + retryAfter * 1000);
+            } else {
+                await this.backoff(attempt, `HTTP ${response.status}`);
+            }
+        }
+    }
+
+    async backoff(attempt, reason) {
+        const delay = this.baseBackoffMs * Math.pow(2, attempt);
+        console.log(`Request failed (${reason}), retrying in ${delay}ms`);
+        await sleep(delay);
+    }
+
+    // Headers look like "20:1,100:120" (limit:window) and "3:1,40:120" (count:window)
+    trackRateLimits(headers) {
+        [['x-app-rate-limit', 'x-app-rate-limit-count'], ['x-method-rate-limit', 'x-method-rate-limit-count']]
+            .forEach(([limitHeader, countHeader]) => {
+                const limits = parseRateLimitHeader(headers.get(limitHeader));
+                const counts = parseRateLimitHeader(headers.get(countHeader));
+
+                Object.entries(limits).forEach(([window, limit]) => {
+                    if (counts[window] !== undefined && counts[window] >= limit) {
+                        this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + window * 1000);
+                    }
+                });
+            });
+    }
+}
+
+function parseRateLimitHeader(value) {
+    const windows = {};
+    if (!value) return windows;
+
+    value.split(',').forEach(pair => {
+        const [amount, window] = pair.split(':').map(Number);
+        if (!Number.isNaN(amount) && !Number.isNaN(window)) {
+            windows[window] = amount;
+        }
+    });
+    return windows;
+}
+
+function writeJson(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Same 4-space layout as the existing data files
+    fs.writeFileSync(file, JSON.stringify(data, null, 4));
+}
+
+async function resolvePuuid(client, options) {
+    if (options.puuid) return options.puuid;
+
+    const [gameName, tagLine] = options.riotId.split('#');
+    if (!gameName || !tagLine) {
+        throw new Error('--riot-id must look like "Name#TAG"');
+    }
+
+    const account = await client.get(
+        `${options.regionalUrl}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`
+    );
+    console.log(`Resolved ${options.riotId} to ${account.puuid}`);
+    return account.puuid;
+}
+
+async function fetchMatchIds(client, options, puuid) {
+    const matchIds = [];
+
+    for (let start = 0; start < options.count; start += MATCH_ID_PAGE_SIZE) {
+        const params = new URLSearchParams({
+            start: String(start),
+            count: String(Math.min(MATCH_ID_PAGE_SIZE, options.count - start))
+        });
+        if (options.queue) params.set('queue', String(options.queue));
+
+        const page = await client.get(`${options.regionalUrl}/lol/match/v5/matches/by-puuid/${puuid}/ids?${params}`);
+        matchIds.push(...page);
+        if (page.length < MATCH_ID_PAGE_SIZE) break;
+    }
+
+    return matchIds;
+}
+
+async function fetchMatches(client, options, matchIds) {
+    const matchesDir = path.join(options.out, 'matches');
+    const summary = { downloaded: 0, skipped: 0, failed: [] };
+
+    for (const matchId of matchIds) {
+        const file = path.join(matchesDir, `${matchId}.json`);
+        if (!options.force && fs.existsSync(file)) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            const match = await client.get(`${options.regionalUrl}/lol/match/v5/matches/${matchId}`);
+            writeJson(file, match);
+            summary.downloaded++;
+            console.log(`Saved ${matchId}`);
+        } catch (error) {
+            console.warn(`Failed to fetch ${matchId}: ${error.message}`);
+            summary.failed.push(matchId);
+        }
+    }
+
+    return summary;
+}
+
+async function fetchTimelines(client, options, matchIds) {
+    const timelinesDir = path.join(options.out, 'matches', TIMELINES_DIR);
+    const summary = { downloaded: 0, skipped: 0, failed: [] };
+
+    for (const matchId of matchIds) {
+        const file = path.join(timelinesDir, `${matchId}.json`);
+        if (!options.force && fs.existsSync(file)) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            const timeline = await client.get(`${options.regionalUrl}/lol/match/v5/matches/${matchId}/timeline`);
+            writeJson(file, timeline);
+            summary.downloaded++;
+            console.log(`Saved timeline for ${matchId}`);
+        } catch (error) {
+            console.warn(`Failed to fetch timeline for ${matchId}: ${error.message}`);
+            summary.failed.push(matchId);
+        }
+    }
+
+    return summary;
+}
+
+async function fetchPlayerData(client, options, puuid) {
+    const playerDataDir = options.playerDataDir || path.join(options.out, 'player-data');
+
+    const rankedInfo = await client.get(`${options.platformUrl}/lol/league/v4/entries/by-puuid/${puuid}`);
+    writeJson(path.join(playerDataDir, 'rankedInfo.json'), rankedInfo);
+    console.log(`Saved rankedInfo.json (${rankedInfo.length} queues)`);
+
+    const added = appendRankedHistory(path.join(playerDataDir, 'rankedHistory.json'), rankedInfo, Date.now());
+    console.log(`Appended ${added} snapshot(s) to rankedHistory.json`);
+
+    const championMastery = await client.get(`${options.platformUrl}/lol/champion-mastery/v4/champion-masteries/by-puuid/${puuid}`);
+    writeJson(path.join(playerDataDir, 'championMastery.json'), championMastery);
+    console.log(`Saved championMastery.json (${championMastery.length} champions)`);
+}
+
+// rankedHistory.json is append-only: one snapshot per queue whenever tier, LP or games changed
+function appendRankedHistory(file, rankedInfo, timestamp) {
+    let history = [];
+    if (fs.existsSync(file)) {
+        history = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    let added = 0;
+    rankedInfo.forEach(entry => {
+        const snapshot = {
+            timestamp,
+            queueType: entry.queueType,
+            tier: entry.tier,
+            rank: entry.rank,
+            leaguePoints: entry.leaguePoints,
+            wins: entry.wins,
+            losses: entry.losses
+        };
+
+        const last = history.filter(s => s.queueType === entry.queueType).pop();
+        const unchanged = last && ['tier', 'rank', 'leaguePoints', 'wins', 'losses'].every(key => last[key] === snapshot[key]);
+        if (!unchanged) {
+            history.push(snapshot);
+            added++;
+        }
+    });
+
+    writeJson(file, history);
+    return added;
+}
+
+async function run(options) {
+    const client = new RiotClient({ apiKey: options.apiKey });
+
+    const puuid = await resolvePuuid(client, options);
+    const matchIds = await fetchMatchIds(client, options, puuid);
+    console.log(`Found ${matchIds.length} match ids`);
+
+    const summary = await fetchMatches(client, options, matchIds);
+    if (options.timelines) {
+        const timelineSummary = await fetchTimelines(client, options, matchIds);
+        console.log(`Timelines: ${timelineSummary.downloaded} downloaded, ${timelineSummary.skipped} already present, ${timelineSummary.failed.length} failed`);
+    }
+    await fetchPlayerData(client, options, puuid);
+
+    writeManifest(path.join(options.out, 'matches'));
+
+    console.log(`Done: ${summary.downloaded} downloaded, ${summary.skipped} already present, ${summary.failed.length} failed`);
+    return summary;
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    run(options).catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { RiotClient, parseArgs, parseRateLimitHeader, appendRankedHistory, run };
@@ -0,0 +1,103 @@
+/**
+ * Service Worker - Caches the app shell (HTML, scripts, styles and CDN libraries) so the page opens offline
+ *
+ * Matches, the manifest, player data and game data are already cached in IndexedDB by MatchCache,
+ * so they are not stored twice here. Requests go to the network first and fall back to the cache,
+ * so changes to the site show up on the next online load.
+ */
+// Bump when APP_SHELL or CDN_ASSETS change; older caches are deleted on activate
+const CACHE_NAME = 'summoner-stats-shell-v1';
+
+// Keep in sync with the <link> and <script> tags in index.html
+const APP_SHELL = [
+    './',
+    'index.html',
+    'index-modular.html',
+    'css/styles.css',
+    'js/utils/match-cache.js',
+    'js/utils/analytics.js',
+    'js/utils/data-manager.js',
+    'js/utils/chart-utils.js',
+    'js/utils/timeline-utils.js',
+    'js/utils/rank-utils.js',
+    'js/utils/queue-registry.js',
+    'js/utils/arena-utils.js',
+    'js/utils/item-utils.js',
+    'js/utils/rune-utils.js',
+    'js/utils/hash-router.js',
+    'js/utils/filter-store.js',
+    'js/utils/event-bus.js',
+    'js/utils/module-registry.js',
+    'js/utils/error-boundary.js',
+    'js/utils/diagnostics.js',
+    'js/modules/dashboard.js',
+    'js/modules/champion-performance.js',
+    'js/modules/match-history.js',
+    'js/modules/mini-map.js',
+    'js/app.js'
+];
+
+// Requested with CORS so the cached copies can answer the page's <link> and <script> requests
+const CDN_ASSETS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.5/font/bootstrap-icons.css',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js'
+];
+const CDN_ORIGIN = 'https://cdn.jsdelivr.net';
+
+// Loaded through DataManager.fetchCachedData / MatchCache
+const DATA_DIRS = ['matches/', 'player-data/', 'game-data/'];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+
+        // A CDN outage should not keep the local files from being cached
+        await Promise.all(CDN_ASSETS.map(url => cache.add(new Request(url, { mode: 'cors' })).catch(error => {
+            console.warn(`Service worker could not cache ${url}: ${error.message}`);
+        })));
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Same-origin files outside the data folders (including images such as ranked-emblems/) and the CDN
+function isShellRequest(request) {
+    const url = new URL(request.url);
+    if (url.origin === CDN_ORIGIN) return true;
+    if (url.origin !== self.location.origin) return false;
+
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+    return !DATA_DIRS.some(dir => path.startsWith(dir));
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || !isShellRequest(request)) return;
+
+    event.respondWith((async () => {
+        try {
+            const response = await fetch(request);
+            // Opaque (no-cors) responses are skipped; the CORS copies from install are kept instead
+            if (response.ok) {
+                const cache = await caches.open(CACHE_NAME);
+                event.waitUntil(cache.put(request, response.clone()));
+            }
+            return response;
+        } catch (error) {
+            const cached = await caches.match(request);
+            if (cached) return cached;
+            throw error;
+        }
+    })());
+});
@@ -0,0 +1,357 @@
+/**
+ * Analytics tests - Runs js/utils/analytics.js against the committed matches/ fixtures
+ *
+ * Usage: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Analytics = require('../js/utils/analytics.js');
+const { loadMatches, loadPlayerMatches, loadGameData, loadTimelines, buildReport } = require('../scripts/analyze-matches.js');
+
+const MATCHES_DIR = path.join(__dirname, '..', 'matches');
+const GAME_DATA_DIR = path.join(__dirname, '..', 'game-data');
+const RANKED_QUEUES = [420, 440];
+
+const manifest = JSON.parse(fs.readFileSync(path.join(MATCHES_DIR, 'index.json'), 'utf8'));
+const { matches, playerMatches, mainPlayerPuuid } = loadPlayerMatches(MATCHES_DIR);
+const ranked = loadPlayerMatches(MATCHES_DIR, { queueIds: RANKED_QUEUES }).playerMatches;
+const { championData, itemData } = loadGameData(GAME_DATA_DIR);
+
+// Reference time just after the newest fixture game, so "this week" does not depend on the clock
+const NOW = new Date(playerMatches[0].match.info.gameCreation + 60 * 60 * 1000);
+
+// Minimal entries for hand-checked cases; index 0 is the newest game
+function entries(results, { role = 'MIDDLE', champion = 'Ahri' } = {}) {
+    return results.split('').map((result, index) => ({
+        match: { info: { gameCreation: (results.length - index) * 1000, gameDuration: 1800 } },
+        playerParticipant: {
+            win: result === 'W',
+            kills: 5,
+            deaths: 2,
+            assists: 7,
+            teamPosition: role,
+            championName: champion
+        }
+    }));
+}
+
+test('loads every match in the manifest for the main player, newest first', () => {
+    assert.equal(matches.length, manifest.count);
+    assert.equal(playerMatches.length, manifest.count);
+    assert.ok(playerMatches.every(({ playerParticipant }) => playerParticipant.puuid === mainPlayerPuuid));
+
+    const creations = playerMatches.map(({ match }) => match.info.gameCreation);
+    assert.deepEqual(creations, [...creations].sort((a, b) => b - a));
+});
+
+test('queue filter keeps only ranked games', () => {
+    const expected = manifest.matches.filter(entry => RANKED_QUEUES.includes(entry.queueId)).length;
+    assert.equal(ranked.length, expected);
+    assert.ok(ranked.every(({ match }) => RANKED_QUEUES.includes(match.info.queueId)));
+});
+
+test('loader skips malformed match files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    try {
+        const file = manifest.matches[0].file;
+        fs.copyFileSync(path.join(MATCHES_DIR, file), path.join(dir, file));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{"metadata": {}}');
+
+        const result = loadMatches(dir);
+        assert.equal(result.matches.length, 1);
+        assert.deepEqual(result.skipped, [{ file: 'broken.json', reason: 'Unexpected match format' }]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('patches agree with the manifest and sort numerically', () => {
+    playerMatches.forEach(({ match }) => {
+        const entry = manifest.matches.find(e => e.matchId === match.metadata.matchId);
+        assert.equal(Analytics.getPatch(match), entry.patch);
+    });
+
+    assert.deepEqual(['15.6', 'Unknown', '15.15', '14.24'].sort(Analytics.comparePatches), ['Unknown', '14.24', '15.6', '15.15']);
+});
+
+test('basic calculations', () => {
+    assert.equal(Analytics.calculateKDA(4, 2, 6), 5);
+    assert.equal(Analytics.calculateKDA(4, 0, 6), Infinity);
+    assert.equal(Analytics.calculateWinRate(1, 3), '33.33');
+    assert.equal(Analytics.calculateWinRate(0, 0), 0);
+    assert.equal(Analytics.calculateGoldPerMinute(12000, 1200), 600);
+    assert.equal(Analytics.calculateWinRateForMatches(entries('WWLL')), 50);
+    assert.equal(Analytics.findMostFrequentPuuid([]), null);
+});
+
+test('champion stats add up to the player record', () => {
+    const masteryMap = new Map([[playerMatches[0].playerParticipant.championId, { level: 7, points: 123456 }]]);
+    const championStats = Analytics.calculateChampionStats(playerMatches, { masteryMap });
+    const wins = playerMatches.filter(({ playerParticipant }) => playerParticipant.win).length;
+
+    assert.equal(championStats.reduce((sum, champ) => sum + champ.games, 0), playerMatches.length);
+    assert.equal(championStats.reduce((sum, champ) => sum + champ.wins, 0), wins);
+    assert.equal(new Set(championStats.map(champ => champ.id)).size, championStats.length);
+
+    championStats.forEach(champ => {
+        const games = playerMatches.filter(({ playerParticipant }) => playerParticipant.championId === champ.id);
+        const patchGames = [...champ.gamesByPatch.values()].reduce((sum, patch) => sum + patch.games, 0);
+        const newestPatch = games.map(({ match }) => Analytics.getPatch(match)).sort(Analytics.comparePatches).pop();
+
+        assert.equal(champ.games, games.length);
+        assert.equal(patchGames, champ.games);
+        assert.equal(champ.kills, games.reduce((sum, { playerParticipant }) => sum + playerParticipant.kills, 0));
+        assert.equal(champ.lastPatch, newestPatch);
+        assert.match(champ.avgCSPerMin, /^\d+\.\d$/);
+        assert.ok(parseFloat(champ.avgKillParticipation) <= 100);
+    });
+
+    const mastered = championStats.find(champ => champ.id === playerMatches[0].playerParticipant.championId);
+    assert.equal(mastered.masteryLevel, 7);
+    assert.equal(mastered.masteryPoints, 123456);
+    assert.ok(championStats.filter(champ => champ !== mastered).every(champ => champ.masteryLevel === 0));
+});
+
+test('champion images come from champion.json', () => {
+    const championStats = Analytics.calculateChampionStats(playerMatches, { championData });
+    assert.ok(championStats.every(champ => champ.image.endsWith('.png')));
+});
+
+test('streaks over a known sequence', () => {
+    // Newest first: the two most recent games are wins, then three losses
+    const streaks = Analytics.calculateStreaks(entries('WWLLLWL'));
+    assert.deepEqual(streaks, { longestWin: 2, longestLoss: 3, current: { count: 2, type: 'win' } });
+    assert.deepEqual(Analytics.calculateStreaks([]), { longestWin: 0, longestLoss: 0, current: { count: 0, type: 'none' } });
+});
+
+test('streaks over the fixtures', () => {
+    const streaks = Analytics.calculateStreaks(playerMatches);
+    const newestResult = playerMatches[0].playerParticipant.win;
+    const current = playerMatches.findIndex(({ playerParticipant }) => playerParticipant.win !== newestResult);
+
+    assert.equal(streaks.current.type, newestResult ? 'win' : 'loss');
+    assert.equal(streaks.current.count, current === -1 ? playerMatches.length : current);
+    assert.ok(streaks.current.count <= (newestResult ? streaks.longestWin : streaks.longestLoss));
+});
+
+test('comprehensive statistics over the fixtures', () => {
+    const stats = Analytics.calculateComprehensiveStatistics(ranked, NOW);
+    const wins = ranked.filter(({ playerParticipant }) => playerParticipant.win).length;
+    const weekAgo = NOW.getTime() - 7 * 24 * 60 * 60 * 1000;
+
+    assert.equal(stats.totalMatches, ranked.length);
+    assert.equal(stats.winRate, Math.round(wins / ranked.length * 100));
+    assert.equal(stats.thisWeek.games, ranked.filter(({ match }) => match.info.gameCreation >= weekAgo).length);
+    assert.equal(stats.recent10.wins + stats.recent10.losses, 10);
+    assert.equal(stats.recent20.wins + stats.recent20.losses, 20);
+    assert.equal(stats.longestWinStreak, Analytics.calculateStreaks(ranked).longestWin);
+    assert.notEqual(stats.bestRole.role, 'N/A');
+    assert.equal(stats.avgKDA, Analytics.getOverallStatistics(ranked).avgKDA);
+});
+
+test('comprehensive statistics with no games', () => {
+    const stats = Analytics.calculateComprehensiveStatistics([], NOW);
+    assert.equal(stats.totalMatches, 0);
+    assert.equal(stats.avgKDA, '0.00');
+    assert.deepEqual(stats.currentStreak, { count: 0, type: 'none' });
+});
+
+test('win prediction stays within its bounds', () => {
+    const prediction = Analytics.calculateWinPrediction(playerMatches, NOW);
+
+    assert.ok(prediction.nextGamePrediction >= 20 && prediction.nextGamePrediction <= 80);
+    assert.ok(prediction.confidence >= 60 && prediction.confidence <= 95);
+    assert.ok(prediction.recommendations.length > 0);
+    assert.equal(prediction.factors.recentWinRate, Analytics.calculateWinRateForMatches(playerMatches.slice(0, 20)));
+    Object.values(prediction.factors).forEach(value => assert.ok(value >= 0 && value <= 100));
+});
+
+test('win prediction factors over a known sequence', () => {
+    const recent = entries('WWWWWLLLLL');
+
+    assert.equal(Analytics.calculateRoleConsistency(recent), 100);
+    assert.equal(Analytics.calculateChampionFamiliarity(recent), 6);
+    assert.equal(Analytics.calculateStreakMomentum(recent), 80);
+    assert.equal(Analytics.calculateStreakMomentum(entries('LLLLL')), 27.5);
+    assert.equal(Analytics.calculatePredictionConfidence({ a: 50, b: 50 }), 95);
+    assert.deepEqual(
+        Analytics.generateRecommendations({ recentWinRate: 50, roleConsistency: 100, championComfort: 60, timeOfDay: 50, streakMomentum: 50 }),
+        ['Keep playing and improving your skills']
+    );
+});
+
+test('team sides and roles cover every game', () => {
+    const sides = Analytics.getTeamSideStats(playerMatches);
+    const roles = Analytics.getRoleDistribution(playerMatches);
+
+    assert.equal(sides.blue.games + sides.red.games, playerMatches.length);
+    assert.equal(sides.blue.winRate, (sides.blue.wins / sides.blue.games * 100).toFixed(1));
+    assert.equal(Object.values(roles).reduce((sum, count) => sum + count, 0), playerMatches.length);
+    assert.deepEqual(Analytics.getTeamSideStats([]), { blue: { games: 0, wins: 0, winRate: 0 }, red: { games: 0, wins: 0, winRate: 0 } });
+});
+
+test('overall statistics', () => {
+    const overall = Analytics.getOverallStatistics(ranked);
+    assert.equal(overall.totalGames, ranked.length);
+    assert.equal(overall.wins + overall.losses, ranked.length);
+    assert.equal(overall.winRate, parseFloat(Analytics.calculateWinRate(overall.wins, ranked.length)));
+});
+
+test('lane matchups only count games with a lane opponent', () => {
+    const matchups = Analytics.calculateLaneMatchups(ranked);
+    const withOpponent = ranked.filter(({ match, playerParticipant }) => Analytics.getLaneOpponent(match, playerParticipant)).length;
+
+    assert.equal(matchups.reduce((sum, matchup) => sum + matchup.games, 0), withOpponent);
+    matchups.slice(1).forEach((matchup, index) => assert.ok(matchup.games <= matchups[index].games));
+});
+
+test('report serializes per-patch maps', () => {
+    const report = buildReport(ranked, NOW);
+    assert.equal(report.games, ranked.length);
+    assert.equal(typeof report.champions[0].gamesByPatch, 'object');
+    assert.ok(Object.keys(report.champions[0].gamesByPatch).length > 0);
+    assert.equal(report.items, null, 'item builds need item.json');
+    assert.deepEqual(buildReport([], NOW), { games: 0 });
+});
+
+test('teammates are counted on the player\'s side with a record apart', () => {
+    const teammates = Analytics.calculateTeammateStats(ranked);
+    const totalWins = ranked.filter(({ playerParticipant }) => playerParticipant.win).length;
+    assert.ok(teammates.length > 0);
+
+    teammates.forEach(teammate => {
+        const together = ranked.filter(({ match, playerParticipant }) => Analytics.isPlayedWith(match, playerParticipant, teammate.puuid));
+        assert.ok(teammate.games >= 2);
+        assert.equal(teammate.games, together.length);
+        assert.equal(teammate.wins, together.filter(({ playerParticipant }) => playerParticipant.win).length);
+        assert.equal(teammate.games + teammate.apartGames, ranked.length);
+        assert.equal(teammate.wins + teammate.apartWins, totalWins);
+        assert.equal(teammate.roles.reduce((sum, role) => sum + role.games, 0), teammate.games);
+        assert.notEqual(teammate.puuid, mainPlayerPuuid);
+    });
+    teammates.slice(1).forEach((teammate, index) => assert.ok(teammate.games <= teammates[index].games));
+});
+
+test('opponents are only ever on the other side', () => {
+    const opponents = Analytics.calculateOpponentStats(ranked, 1);
+
+    opponents.forEach(opponent => {
+        assert.equal(opponent.wins + opponent.losses, opponent.games);
+        assert.equal(opponent.champions.reduce((sum, champion) => sum + champion.games, 0), opponent.games);
+        assert.notEqual(opponent.puuid, mainPlayerPuuid);
+    });
+
+    // Five enemies per Summoner's Rift game
+    assert.equal(opponents.reduce((sum, opponent) => sum + opponent.games, 0), ranked.length * 5);
+    assert.ok(Analytics.calculateOpponentStats(ranked).every(opponent => opponent.games >= 2));
+    ranked.forEach(({ match, playerParticipant }) => {
+        Analytics.getOpponents(match, playerParticipant).forEach(opponent => assert.notEqual(opponent.teamId, playerParticipant.teamId));
+        assert.equal(Analytics.getTeammates(match, playerParticipant).length, 4);
+    });
+});
+
+test('ban stats split the player\'s team from the enemy team', () => {
+    const bans = Analytics.calculateBanStats(ranked, championData);
+    const countBans = own => ranked.reduce((sum, { match, playerParticipant }) => sum + match.info.teams
+        .filter(team => (team.teamId === playerParticipant.teamId) === own)
+        .reduce((teamSum, team) => teamSum + team.bans.filter(ban => ban.championId > 0).length, 0), 0);
+
+    assert.equal(bans.gamesWithBans, ranked.filter(({ match }) => match.info.teams.some(team => team.bans.some(ban => ban.championId > 0))).length);
+    assert.equal(bans.teamBans.reduce((sum, ban) => sum + ban.count, 0), countBans(true));
+    assert.equal(bans.enemyBans.reduce((sum, ban) => sum + ban.count, 0), countBans(false));
+    assert.ok(bans.teamBans.every(ban => !ban.championName.startsWith('Champion ')));
+
+    bans.banImpact.forEach(entry => {
+        assert.equal(entry.games + entry.availableGames, bans.gamesWithBans);
+        assert.equal(entry.wins + entry.availableWins, bans.winsWithBans);
+    });
+
+    // Without champion.json the champions keep their ids
+    const unnamed = Analytics.calculateBanStats(ranked);
+    assert.equal(unnamed.teamBans[0].championName, `Champion ${unnamed.teamBans[0].championId}`);
+});
+
+test('Arena stats over the fixture Arena games', () => {
+    const arenaMatches = playerMatches.filter(({ match }) => Analytics.isArenaMatch(match));
+    const arena = Analytics.calculateArenaStats(playerMatches);
+    const placements = arenaMatches.map(({ playerParticipant }) => Analytics.getPlacement(playerParticipant));
+
+    assert.equal(arena.games, manifest.matches.filter(entry => entry.queueId === 1700).length);
+    assert.ok(arena.games > 0);
+    assert.equal(Object.values(arena.distribution).reduce((sum, count) => sum + count, 0), placements.length);
+    assert.equal(arena.avgPlacement, placements.reduce((sum, placement) => sum + placement, 0) / placements.length);
+    assert.equal(arena.partners.reduce((sum, partner) => sum + partner.games, 0), arena.games);
+    arenaMatches.forEach(({ match, playerParticipant }) => {
+        assert.deepEqual(Analytics.getTeammates(match, playerParticipant), [Analytics.getDuoPartner(match, playerParticipant)]);
+        assert.ok(Analytics.getAugmentIds(playerParticipant).length > 0);
+    });
+
+    assert.equal(Analytics.calculateArenaStats(ranked).games, 0);
+});
+
+test('item builds from item.json and the final inventory', () => {
+    const items = Analytics.calculateItemStats(ranked, itemData);
+
+    assert.equal(items.games, ranked.length);
+    assert.equal(items.timelineGames, 0);
+    assert.equal(items.slots.length, 3);
+    items.slots.forEach(slot => assert.ok(slot.reduce((sum, item) => sum + item.games, 0) <= ranked.length));
+    items.slots.flat().forEach(({ itemId }) => assert.equal(Analytics.getItemCategory(itemId, itemData), 'legendary'));
+    assert.ok(items.items.every(item => ['legendary', 'boots'].includes(item.category)));
+    assert.ok(items.coreBuilds.every(build => build.items.length >= 2));
+
+    const first = ranked[0].playerParticipant;
+    const { items: legendaries, source } = Analytics.getLegendaryOrder(first, itemData);
+    assert.equal(source, 'inventory');
+    assert.ok(legendaries.every(itemId => Analytics.getInventory(first).includes(itemId)));
+});
+
+test('timelines give the purchase order, without undone purchases', () => {
+    const [legendary, other] = Object.keys(itemData.data).map(Number).filter(id => Analytics.isLegendary(id, itemData)).slice(0, 2);
+    const { match, playerParticipant } = ranked[0];
+    const event = (type, fields) => ({ type, participantId: playerParticipant.participantId, timestamp: 0, ...fields });
+    const timeline = {
+        info: {
+            frames: [
+                { events: [event('ITEM_PURCHASED', { itemId: other }), event('ITEM_UNDO', { beforeId: other, afterId: 0 })] },
+                { events: [event('ITEM_PURCHASED', { itemId: legendary }), { type: 'ITEM_PURCHASED', participantId: 0, itemId: other }] }
+            ]
+        }
+    };
+
+    assert.deepEqual(Analytics.getPurchaseOrder(timeline, playerParticipant.participantId).map(p => p.itemId), [legendary]);
+    assert.deepEqual(Analytics.getLegendaryOrder(playerParticipant, itemData, timeline), { items: [legendary], source: 'timeline' });
+
+    const items = Analytics.calculateItemStats([ranked[0]], itemData, new Map([[match.metadata.matchId, timeline]]));
+    assert.equal(items.timelineGames, 1);
+    assert.deepEqual(items.slots[0].map(item => item.itemId), [legendary]);
+});
+
+test('loader reads timelines next to the matches', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-'));
+    try {
+        const [withTimeline, broken] = ranked;
+        fs.mkdirSync(path.join(dir, 'timelines'));
+        fs.writeFileSync(path.join(dir, 'timelines', `${withTimeline.match.metadata.matchId}.json`), '{"info": {"frames": []}}');
+        fs.writeFileSync(path.join(dir, 'timelines', `${broken.match.metadata.matchId}.json`), '{"info": {}}');
+
+        const timelines = loadTimelines(dir, ranked);
+        assert.deepEqual([...timelines.keys()], [withTimeline.match.metadata.matchId]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('report includes teammates, opponents, bans, Arena and item builds', () => {
+    const report = buildReport(playerMatches, NOW, { championData, itemData });
+
+    assert.deepEqual(report.teammates.map(teammate => teammate.puuid), Analytics.calculateTeammateStats(playerMatches).map(teammate => teammate.puuid));
+    assert.equal(report.opponents.length, Analytics.calculateOpponentStats(playerMatches).length);
+    assert.equal(report.bans.gamesWithBans, Analytics.calculateBanStats(playerMatches).gamesWithBans);
+    assert.equal(report.arena.games, Analytics.calculateArenaStats(playerMatches).games);
+    assert.equal(report.items.games, playerMatches.length);
+    assert.ok(report.champions.every(champ => champ.image.endsWith('.png')));
+});
@@ -0,0 +1,81 @@
+/**
+ * Game data fetcher tests - Runs scripts/fetch-game-data.js against a local mock Data Dragon
+ *
+ * Usage: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs, getFileUrl, run } = require('../scripts/fetch-game-data.js');
+const { startServer } = require('./mock-server.js');
+
+const GAME_DATA_DIR = path.join(__dirname, '..', 'game-data');
+const championVersion = JSON.parse(fs.readFileSync(path.join(GAME_DATA_DIR, 'champion.json'), 'utf8')).version;
+
+const runes = [{ id: 8100, key: 'Domination', name: 'Domination', slots: [{ runes: [{ id: 8112, key: 'Electrocute', name: 'Electrocute' }] }] }];
+const spells = { type: 'summoner', version: championVersion, data: { SummonerFlash: { id: 'SummonerFlash', key: '4', name: 'Flash' } } };
+const augments = [{ id: 1, nameTRA: 'Augment Name', augmentSmallIconPath: 'assets/ux/cherry/augments/icons/augment_small.png' }];
+const cdragonPatch = championVersion.split('.').slice(0, 2).join('.');
+
+// A project root holding a copy of the committed champion.json, like a fresh clone
+function makeProject(t) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-game-data-'));
+    t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(out, 'game-data'));
+    fs.copyFileSync(path.join(GAME_DATA_DIR, 'champion.json'), path.join(out, 'game-data', 'champion.json'));
+    return out;
+}
+
+test('downloads the rune, spell and Arena augment files for the champion.json version', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const dataPath = file => `/cdn/${championVersion}/data/en_US/${file}`;
+    const server = await startServer(t, {
+        [dataPath('runesReforged.json')]: [[200, runes]],
+        [dataPath('summoner.json')]: [[200, spells]],
+        [`/${cdragonPatch}/plugins/rcp-be-lol-game-data/global/default/v1/cherry-augments.json`]: [[200, augments]]
+    });
+    const out = makeProject(t);
+
+    const result = await run(parseArgs(['--base-url', `${server.baseUrl}/`, '--cdragon-url', server.baseUrl, '--out', out]));
+
+    assert.deepEqual(result, { version: championVersion, files: ['runesReforged.json', 'summoner.json', 'arenaAugments.json'] });
+    assert.equal(server.count('/api/versions.json'), 0, 'the local version needs no lookup');
+    const written = file => fs.readFileSync(path.join(out, 'game-data', file), 'utf8');
+    assert.equal(written('runesReforged.json'), JSON.stringify(runes, null, 2));
+    assert.deepEqual(JSON.parse(written('summoner.json')), spells);
+    assert.deepEqual(JSON.parse(written('arenaAugments.json')), augments);
+});
+
+test('Arena augments come from CommunityDragon for the same patch and locale', () => {
+    const options = parseArgs(['--language', 'ko_KR']);
+    assert.equal(getFileUrl(options, '15.15.1', 'arenaAugments.json'),
+        'https://raw.communitydragon.org/15.15/plugins/rcp-be-lol-game-data/global/ko_kr/v1/cherry-augments.json');
+    assert.equal(getFileUrl(options, '15.15.1', 'summoner.json'),
+        'https://ddragon.leagueoflegends.com/cdn/15.15.1/data/ko_KR/summoner.json');
+});
+
+test('--latest asks Data Dragon for its newest version', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const server = await startServer(t, {
+        '/api/versions.json': [[200, ['99.1.1', championVersion]]],
+        '/cdn/99.1.1/data/ko_KR/summoner.json': [[200, spells]]
+    });
+    const out = makeProject(t);
+
+    const result = await run(parseArgs(['--latest', '--language', 'ko_KR', '--files', 'summoner.json', '--base-url', server.baseUrl, '--out', out]));
+
+    assert.deepEqual(result, { version: '99.1.1', files: ['summoner.json'] });
+    assert.ok(fs.existsSync(path.join(out, 'game-data', 'summoner.json')));
+});
+
+test('a missing file fails the run', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const server = await startServer(t, {});
+    const out = makeProject(t);
+
+    await assert.rejects(run(parseArgs(['--files', 'runesReforged.json', '--base-url', server.baseUrl, '--out', out])), { status: 404 });
+    assert.ok(!fs.existsSync(path.join(out, 'game-data', 'runesReforged.json')));
+});
@@ -0,0 +1,130 @@
+/**
+ * Riot fetcher tests - Runs scripts/fetch-riot-data.js against a local mock server
+ *
+ * Usage: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RiotClient, parseRateLimitHeader, parseArgs, run } = require('../scripts/fetch-riot-data.js');
+const { startServer } = require('./mock-server.js');
+
+const MATCHES_DIR = path.join(__dirname, '..', 'matches');
+const manifest = JSON.parse(fs.readFileSync(path.join(MATCHES_DIR, 'index.json'), 'utf8'));
+const fixtures = manifest.matches.slice(0, 2).map(entry => JSON.parse(fs.readFileSync(path.join(MATCHES_DIR, entry.file), 'utf8')));
+
+function quiet(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+}
+
+test('parseRateLimitHeader reads limit:window pairs', () => {
+    assert.deepEqual(parseRateLimitHeader('20:1,100:120'), { 1: 20, 120: 100 });
+    assert.deepEqual(parseRateLimitHeader('3:1, 40:120'), { 1: 3, 120: 40 });
+    assert.deepEqual(parseRateLimitHeader('bad,5:x'), {});
+    assert.deepEqual(parseRateLimitHeader(null), {});
+});
+
+test('a full rate limit window delays the next request', () => {
+    const client = new RiotClient({ apiKey: 'key' });
+    const before = Date.now();
+
+    client.trackRateLimits(new Headers({ 'x-app-rate-limit': '20:1,100:120', 'x-app-rate-limit-count': '5:1,100:120' }));
+    assert.ok(client.nextRequestAt >= before + 120 * 1000);
+
+    const relaxed = new RiotClient({ apiKey: 'key' });
+    relaxed.trackRateLimits(new Headers({ 'x-method-rate-limit': '20:10', 'x-method-rate-limit-count': '19:10' }));
+    assert.equal(relaxed.nextRequestAt, 0);
+});
+
+test('429 with Retry-After waits and retries', async (t) => {
+    quiet(t);
+    const server = await startServer(t, {
+        '/limited': [[429, {}, { 'Retry-After': '1' }], [200, { ok: true }]]
+    });
+    const client = new RiotClient({ apiKey: 'key', baseBackoffMs: 10 });
+
+    const started = Date.now();
+    assert.deepEqual(await client.get(`${server.baseUrl}/limited`), { ok: true });
+    assert.equal(server.count('/limited'), 2);
+    assert.ok(Date.now() - started >= 900, 'waited for Retry-After');
+    assert.ok(server.requests.every(request => request.token === 'key'));
+});
+
+test('server errors back off until maxRetries, client errors fail at once', async (t) => {
+    quiet(t);
+    const server = await startServer(t, {
+        '/flaky': [[503, {}], [500, {}], [200, [1, 2]]],
+        '/down': [[500, {}]],
+        '/missing': [[404, {}]]
+    });
+    const client = new RiotClient({ apiKey: 'key', maxRetries: 2, baseBackoffMs: 5 });
+
+    assert.deepEqual(await client.get(`${server.baseUrl}/flaky`), [1, 2]);
+    assert.equal(server.count('/flaky'), 3);
+
+    await assert.rejects(client.get(`${server.baseUrl}/down`), { status: 500 });
+    assert.equal(server.count('/down'), 3);
+
+    await assert.rejects(client.get(`${server.baseUrl}/missing`), { status: 404 });
+    assert.equal(server.count('/missing'), 1);
+});
+
+test('run() writes matches, player data and the manifest through --base-url', async (t) => {
+    quiet(t);
+    const puuid = fixtures[0].info.participants[0].puuid;
+    const [first, second] = fixtures.map(match => match.metadata.matchId);
+    const rankedInfo = [{ queueType: 'RANKED_SOLO_5x5', tier: 'GOLD', rank: 'II', leaguePoints: 40, wins: 10, losses: 8 }];
+    const mastery = [{ championId: 1, championLevel: 5, championPoints: 12345 }];
+
+    const server = await startServer(t, {
+        '/riot/account/v1/accounts/by-riot-id/Test/TAG': [[200, { puuid, gameName: 'Test', tagLine: 'TAG' }]],
+        [`/lol/match/v5/matches/by-puuid/${puuid}/ids`]: [[200, [first, second]]],
+        [`/lol/match/v5/matches/${first}`]: [[429, {}, { 'Retry-After': '1' }], [200, fixtures[0]]],
+        [`/lol/match/v5/matches/${second}`]: [[200, fixtures[1]]],
+        [`/lol/league/v4/entries/by-puuid/${puuid}`]: [[200, rankedInfo]],
+        [`/lol/champion-mastery/v4/champion-masteries/by-puuid/${puuid}`]: [[200, mastery]]
+    });
+
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-riot-'));
+    t.after(() => fs.rmSync(out, { recursive: true, force: true }));
+
+    const options = parseArgs(['--riot-id', 'Test#TAG', '--count', '2', '--base-url', `${server.baseUrl}/`, '--out', out, '--api-key', 'key']);
+    const summary = await run(options);
+
+    assert.deepEqual(summary, { downloaded: 2, skipped: 0, failed: [] });
+    assert.equal(server.count(`/lol/match/v5/matches/${first}`), 2, 'the 429 was retried once');
+    assert.equal(server.requests.length, 7);
+
+    fixtures.forEach(match => {
+        const saved = JSON.parse(fs.readFileSync(path.join(out, 'matches', `${match.metadata.matchId}.json`), 'utf8'));
+        assert.deepEqual(saved, match);
+    });
+
+    const playerData = file => JSON.parse(fs.readFileSync(path.join(out, 'player-data', file), 'utf8'));
+    assert.deepEqual(playerData('rankedInfo.json'), rankedInfo);
+    assert.deepEqual(playerData('championMastery.json'), mastery);
+
+    const history = playerData('rankedHistory.json');
+    assert.equal(history.length, 1);
+    assert.deepEqual(Object.keys(history[0]).sort(), ['leaguePoints', 'losses', 'queueType', 'rank', 'tier', 'timestamp', 'wins']);
+
+    const written = JSON.parse(fs.readFileSync(path.join(out, 'matches', 'index.json'), 'utf8'));
+    assert.equal(written.count, 2);
+    assert.deepEqual(written.matches.map(entry => entry.matchId), manifest.matches.slice(0, 2).map(entry => entry.matchId));
+    written.matches.forEach((entry, index) => {
+        const expected = manifest.matches[index];
+        assert.deepEqual(Object.keys(entry).sort(), ['file', 'gameCreation', 'hash', 'matchId', 'patch', 'queueId', 'timeline']);
+        assert.equal(entry.file, expected.file);
+        assert.equal(entry.queueId, expected.queueId);
+        assert.equal(entry.patch, expected.patch);
+        assert.equal(entry.timeline, false);
+    });
+
+    // A second run skips files already on disk and leaves history alone when nothing changed
+    const again = await run(options);
+    assert.deepEqual(again, { downloaded: 0, skipped: 2, failed: [] });
+    assert.equal(playerData('rankedHistory.json').length, 1);
+});
@@ -0,0 +1,38 @@
+/**
+ * Hash Router tests - Route parsing and building for shareable links
+ *
+ * Usage: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HashRouter = require('../js/utils/hash-router.js');
+
+const DEFAULT_ROUTE = { view: null, id: null, params: {} };
+
+test('parses views, ids and filter params', () => {
+    assert.deepEqual(HashRouter.parse('#/match-history?champion=Jinx&queue=420'), {
+        view: 'match-history',
+        id: null,
+        params: { champion: 'Jinx', queue: '420' }
+    });
+    assert.deepEqual(HashRouter.parse('#/champion/Kai%27Sa'), { view: 'champion', id: "Kai'Sa", params: {} });
+    assert.deepEqual(HashRouter.parse(''), DEFAULT_ROUTE);
+});
+
+test('a malformed hash falls back to the default route', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.doesNotThrow(() => HashRouter.parse('#/nope/%E0%A4%A'));
+    assert.deepEqual(HashRouter.parse('#/nope/%E0%A4%A'), DEFAULT_ROUTE);
+    assert.deepEqual(HashRouter.parse('#/%?champion=Jinx'), DEFAULT_ROUTE);
+    assert.equal(console.warn.mock.callCount(), 3);
+});
+
+test('build drops empty params and round-trips through parse', () => {
+    const route = { view: 'match-history', id: null, params: { champion: "Kai'Sa", wins: true, role: '', losses: false } };
+    const hash = HashRouter.build(route);
+
+    assert.equal(hash, '#/match-history?champion=Kai%27Sa&wins=true');
+    assert.deepEqual(HashRouter.parse(hash), { view: 'match-history', id: null, params: { champion: "Kai'Sa", wins: 'true' } });
+    assert.equal(HashRouter.build({ view: 'match', id: 'VN2_966161684' }), '#/match/VN2_966161684');
+});
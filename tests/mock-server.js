@@ -0,0 +1,33 @@
+/**
+ * Mock HTTP server for the script tests - Serves canned JSON responses per path on 127.0.0.1
+ */
+const http = require('http');
+
+// routes: path -> list of [status, body, headers] served in order; the last one repeats
+async function startServer(t, routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        requests.push({ pathname, token: req.headers['x-riot-token'] });
+
+        const responses = routes[pathname];
+        if (!responses) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end('{"status":{"status_code":404}}');
+            return;
+        }
+
+        const served = requests.filter(r => r.pathname === pathname).length;
+        const [status, body, headers = {}] = responses[Math.min(served, responses.length) - 1];
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const count = pathname => requests.filter(r => r.pathname === pathname).length;
+    return { baseUrl: `http://127.0.0.1:${server.address().port}`, requests, count };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,58 @@
+/**
+ * Service worker tests - Checks the offline app shell against index.html
+ *
+ * Usage: node --test tests/
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+// Runs service-worker.js with a stub worker scope served from https://example.com/stats/
+function loadServiceWorker() {
+    const listeners = {};
+    const self = {
+        location: new URL('https://example.com/stats/service-worker.js'),
+        registration: { scope: 'https://example.com/stats/' },
+        addEventListener: (type, listener) => { listeners[type] = listener; }
+    };
+    const context = vm.createContext({ self, URL, console });
+    const code = fs.readFileSync(path.join(ROOT, 'service-worker.js'), 'utf8');
+    const { APP_SHELL, CDN_ASSETS, isShellRequest } = vm.runInContext(`${code}\n({ APP_SHELL, CDN_ASSETS, isShellRequest })`, context);
+    return { APP_SHELL, CDN_ASSETS, isShellRequest, listeners };
+}
+
+const sources = pattern => [...html.matchAll(pattern)].map(match => match[1]);
+
+test('the app shell lists every local script and stylesheet of index.html', () => {
+    const { APP_SHELL, CDN_ASSETS, listeners } = loadServiceWorker();
+    const scripts = sources(/<script src="([^"]+)"/g);
+    const styles = sources(/<link[^>]*href="([^"]+\.css)"/g);
+
+    [...scripts, ...styles].forEach(url => {
+        const list = url.startsWith('https://') ? CDN_ASSETS : APP_SHELL;
+        assert.ok(list.includes(url), `${url} is cached`);
+    });
+    assert.deepEqual([...CDN_ASSETS].sort(), [...scripts, ...styles].filter(url => url.startsWith('https://')).sort());
+    APP_SHELL.filter(url => url !== './').forEach(url => assert.ok(fs.existsSync(path.join(ROOT, url)), `${url} exists`));
+    assert.deepEqual(Object.keys(listeners).sort(), ['activate', 'fetch', 'install']);
+});
+
+test('data folders are left to MatchCache', () => {
+    const { isShellRequest } = loadServiceWorker();
+    const request = url => ({ url, method: 'GET' });
+
+    assert.ok(isShellRequest(request('https://example.com/stats/')));
+    assert.ok(isShellRequest(request('https://example.com/stats/js/app.js')));
+    assert.ok(isShellRequest(request('https://example.com/stats/ranked-emblems/emblems/Gold.png')));
+    assert.ok(isShellRequest(request('https://cdn.jsdelivr.net/npm/chart.js')));
+
+    assert.ok(!isShellRequest(request('https://example.com/stats/matches/index.json')));
+    assert.ok(!isShellRequest(request('https://example.com/stats/player-data/rankedInfo.json')));
+    assert.ok(!isShellRequest(request('https://example.com/stats/game-data/champion.json')));
+    assert.ok(!isShellRequest(request('https://ddragon.leagueoflegends.com/cdn/15.15.1/img/champion/Ahri.png')));
+});